@@ -0,0 +1,119 @@
+/* global process */
+// Optimizer benchmark on a large synthetic school: compares full re-scoring against
+// incremental (delta) evaluation and checks both agree with computeDiagnostics.
+//
+//   npm run bench [-- <iterations>]
+
+import { register } from 'node:module';
+
+// Source modules use extensionless imports (resolved by Vite); teach Node the same trick
+const resolveHook = `
+export async function resolve(specifier, context, next) {
+  try {
+    return await next(specifier, context);
+  } catch (err) {
+    if (specifier.startsWith('.') && !specifier.endsWith('.js')) return next(specifier + '.js', context);
+    throw err;
+  }
+}`;
+register(`data:text/javascript,${encodeURIComponent(resolveHook)}`);
+
+const { generateTimetable, computePenalty } = await import('../src/lib/generator.js');
+
+const DAYS = 6;
+const PERIODS = 8;
+const GRADES = 8;
+const SECTIONS = 6;
+
+const SUBJECTS = [
+  { id: 'ENG', name: 'English', weeklyPeriods: 6 },
+  { id: 'LANG', name: 'Second Language', weeklyPeriods: 5 },
+  { id: 'MATH', name: 'Mathematics', weeklyPeriods: 6 },
+  { id: 'SCI', name: 'Science', weeklyPeriods: 5, requiredResources: [{ type: 'lab' }] },
+  { id: 'SST', name: 'Social Science', weeklyPeriods: 5 },
+  { id: 'COMP', name: 'Computer', weeklyPeriods: 2, requiredResources: [{ type: 'computer_lab' }] },
+  { id: 'ART', name: 'Art', weeklyPeriods: 2 },
+  { id: 'PE', name: 'Physical Education', weeklyPeriods: 2, doubleBlocks: 1 },
+];
+
+function buildSchool() {
+  const fullWeek = () => Array.from({ length: DAYS }, () => new Array(PERIODS).fill(true));
+  const classes = [];
+  for (let g = 1; g <= GRADES; g++) {
+    for (let s = 0; s < SECTIONS; s++) {
+      const id = `C${g}${String.fromCharCode(65 + s)}`;
+      classes.push({
+        id,
+        name: `Class ${g}${String.fromCharCode(65 + s)}`,
+        subjects: Object.fromEntries(SUBJECTS.map((sub) => [sub.id, sub.weeklyPeriods])),
+      });
+    }
+  }
+
+  // Enough teachers per subject to cover demand at ~24 periods each, under their maxLoad of 28
+  const teachers = [];
+  for (const sub of SUBJECTS) {
+    const demand = classes.length * sub.weeklyPeriods;
+    const count = Math.ceil(demand / 24);
+    for (let i = 1; i <= count; i++) {
+      teachers.push({
+        id: `T_${sub.id}_${i}`,
+        name: `${sub.name} Teacher ${i}`,
+        subjects: [sub.id],
+        maxLoad: 28,
+        availability: fullWeek(),
+      });
+    }
+  }
+
+  const resources = [];
+  for (let i = 1; i <= 6; i++) resources.push({ id: `LAB${i}`, name: `Science Lab ${i}`, type: 'lab', availability: fullWeek() });
+  for (let i = 1; i <= 3; i++) resources.push({ id: `CL${i}`, name: `Computer Lab ${i}`, type: 'computer_lab', availability: fullWeek() });
+
+  return {
+    workingDays: DAYS,
+    periodsPerDay: PERIODS,
+    periodDuration: 40,
+    breaks: [
+      { name: 'Short Break', period: 3 },
+      { name: 'Lunch', period: 6 },
+    ],
+    subjects: SUBJECTS,
+    teachers,
+    classes,
+    resources,
+  };
+}
+
+const iterations = Number(process.argv[2]) || 2000;
+const data = buildSchool();
+console.log(`School: ${data.classes.length} classes, ${data.teachers.length} teachers, ${DAYS}x${PERIODS} grid`);
+console.log(`Optimizer iterations: ${iterations}\n`);
+
+let failed = false;
+for (const optimizer of ['hill', 'anneal', 'tabu']) {
+  const results = {};
+  for (const evaluation of ['full', 'delta']) {
+    const { timetable, diagnostics } = generateTimetable(data, { seed: 42, optimizer, optimizeIterations: iterations, evaluation });
+    const opt = diagnostics.optimizer;
+    const recomputed = computePenalty(timetable, data);
+    if (recomputed !== diagnostics.penaltyScore || recomputed !== opt.best) {
+      console.error(`  ${optimizer}/${evaluation}: best ${opt.best} but recomputed penalty ${recomputed}`);
+      failed = true;
+    }
+    results[evaluation] = opt;
+  }
+  const { full, delta } = results;
+  if (full.best !== delta.best) {
+    console.error(`  ${optimizer}: full and delta evaluation diverged (${full.best} vs ${delta.best})`);
+    failed = true;
+  }
+  const perMove = (o) => ((o.timeMs * 1000) / Math.max(1, o.iterations)).toFixed(0);
+  console.log(
+    `${optimizer.padEnd(7)} ${full.initial} -> ${delta.best}  ` +
+      `full ${full.timeMs}ms (${perMove(full)}us/it)  delta ${delta.timeMs}ms (${perMove(delta)}us/it)  ` +
+      `speedup x${(full.timeMs / Math.max(1, delta.timeMs)).toFixed(1)}`
+  );
+}
+
+if (failed) process.exit(1);
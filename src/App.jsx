@@ -8,13 +8,20 @@ import "./App.css";
 function App() {
   const TABS = ["Setup", "Generate", "Timetables"];
   const [activeTab, setActiveTab] = useState("Setup");
+  // Entity the Setup page should scroll to, e.g. { type: "teacher", id: "T1" }
+  const [setupFocus, setSetupFocus] = useState(null);
+
+  const openSetup = (target) => {
+    setSetupFocus(target);
+    setActiveTab("Setup");
+  };
 
   const renderPage = () => {
     switch (activeTab) {
       case "Setup":
-        return <SetupPage />;
+        return <SetupPage focus={setupFocus} />;
       case "Generate":
-        return <GeneratePage />;
+        return <GeneratePage onOpenSetup={openSetup} />;
       case "Timetables":
         return <TimetablesPage />;
       default:
@@ -39,7 +46,10 @@ function App() {
                 key={label}
                 label={label}
                 active={activeTab === label}
-                onClick={() => setActiveTab(label)}
+                onClick={() => {
+                  setSetupFocus(null);
+                  setActiveTab(label);
+                }}
               />
             ))}
           </nav>
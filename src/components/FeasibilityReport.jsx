@@ -0,0 +1,67 @@
+import { useState } from 'react';
+
+const LIGHTS = {
+  green: { label: 'Feasible', dot: 'bg-emerald-500', box: 'border-emerald-200 bg-emerald-50' },
+  amber: { label: 'Tight', dot: 'bg-amber-400', box: 'border-amber-200 bg-amber-50' },
+  red: { label: 'Impossible', dot: 'bg-rose-500', box: 'border-rose-200 bg-rose-50' },
+};
+
+const SUMMARY = {
+  green: 'Every class, subject, room and teacher has room to spare.',
+  amber: 'Demand is at or near capacity somewhere; generation may leave lessons unassigned.',
+  red: 'No timetable can place every lesson with this data. Fix the red items first.',
+};
+
+// Traffic-light summary of analyzeFeasibility(), with the checks that are not green listed on demand.
+// onOpen(ref) is called with an item's { type, id } to show that entity in Setup.
+export default function FeasibilityReport({ report, onOpen }) {
+  const [open, setOpen] = useState(false);
+  if (!report) return null;
+  const light = LIGHTS[report.status];
+  const flagged = report.checks.filter((c) => c.status !== 'green');
+
+  return (
+    <div className={`rounded-lg border p-3 text-sm ${light.box}`}>
+      <div className="flex items-center gap-2">
+        <span className={`inline-block h-3 w-3 rounded-full ${light.dot}`} />
+        <span className="font-medium">{light.label}</span>
+        <div className="ml-1 flex flex-wrap gap-1">
+          {report.checks.map((c) => (
+            <span key={c.id} title={c.label} className="inline-flex items-center gap-1 rounded-full bg-white/70 px-2 py-0.5 text-xs">
+              <span className={`inline-block h-2 w-2 rounded-full ${LIGHTS[c.status].dot}`} />
+              {c.label}
+            </span>
+          ))}
+        </div>
+        {flagged.length > 0 && (
+          <button type="button" className="ml-auto text-xs underline" onClick={() => setOpen(!open)}>
+            {open ? 'Hide details' : 'Details'}
+          </button>
+        )}
+      </div>
+      <div className="mt-1 text-xs text-[var(--color-gray)]">{SUMMARY[report.status]}</div>
+      {open && (
+        <div className="mt-2 space-y-2">
+          {flagged.map((c) => (
+            <div key={c.id}>
+              <div className="text-xs font-medium">{c.label}</div>
+              <ul className="mt-0.5 space-y-0.5">
+                {c.items.filter((i) => i.status !== 'green').map((i, k) => (
+                  <li key={k} className="flex items-baseline gap-2 text-xs">
+                    <span className={`inline-block h-2 w-2 shrink-0 rounded-full ${LIGHTS[i.status].dot}`} />
+                    <span>{i.message}</span>
+                    {onOpen && i.ref && (
+                      <button type="button" className="underline" style={{ color: 'var(--color-primary)' }} onClick={() => onOpen(i.ref)}>
+                        Show
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
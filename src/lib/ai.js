@@ -13,8 +13,18 @@ export async function generateTimetableWithAI(schoolData) {
     `- Days: ${days}, Periods per day: ${periods}\n` +
     `- A teacher cannot teach two classes at the same period.\n` +
     `- Respect teacher availability matrices (true means available).\n` +
+    `- Leave break periods (breaks[*].period, 1-based) null for every class.\n` +
+    `- Periods per day is the longest day. dayPeriods[d] gives the periods of each day; a class follows its own dayPeriods, else its wing's (wings[*].dayPeriods via classes[*].wing), else the school's. Leave periods past a class's day null.\n` +
     `- Respect subject weekly counts per class (classes[*].subjects mapping).\n` +
-    `- If a subject requires lab (subject.lab==true), allocate a resource (type 'lab' or 'computer_lab') that is available.\n` +
+    `- cycleWeeks > 1 means a rotating cycle: each class grid then has cycleWeeks x days rows (week A's days first), classes[*].cyclePeriods[subjectId] gives per-week counts where weeks differ, teachers[*].availability may list every day of the cycle and maxLoad is per week.\n` +
+    `- Of those periods, subjects[*].doubleBlocks / tripleBlocks (or classes[*].blocks[subjectId]) run as 2- or 3-period blocks on one day without a break; mark each block cell double:true.\n` +
+    `- subjects[*].periodWindows (per class: classes[*].periodWindows[subjectId]) lists 1-based periods: never use forbidden ones, prefer preferred ones and stay out of avoided ones.\n` +
+    `- lessonGroups[*] are placed by the app afterwards (all listed classes at once); leave room for their periods.\n` +
+    `- teachers[*].preferences, when present, is shaped like availability with 'prefer' / 'avoid' / null cells: favour prefer cells and keep avoid cells free where you can.\n` +
+    `- Respect teachers[*].maxPerDay and maxConsecutive (a break ends a run) when present.\n` +
+    `- Unless teacherContinuity is false, use one teacher per class and subject (allocations[*] pre-sets them, periods splits the count).\n` +
+    `- subjects[*].requiredResources lists what each lesson books, one resource per entry: {type} is any available resource of that type, {ids} one of those ids (earlier first). Put the first in resourceId and all of them in resourceIds when there are several. Older data uses subject.lab==true for a 'lab' (or 'computer_lab') resource.\n` +
+    `- Give other lessons a resourceId too when classes have a homeRoom or resources of type 'classroom' exist (home room first); never book a room twice in a slot or one whose capacity is below the class strength.\n` +
     `- Allow null in slots where assignment is not possible, but minimize nulls.\n` +
     `Output format ONLY JSON (no code fences, no prose):\n` +
     `{\n  \"timetable\": { \"<classId>\": [[ null | {\"subjectId\":\"...\",\"teacherId\":\"...\",\"resourceId\":\"...\"} ]] }\n}` +
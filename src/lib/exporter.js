@@ -1,9 +1,26 @@
 // Generate rows for CSV from a timetable view.
-// timetable: { [classId]: grid[day][period] = { subjectId, teacherId, resourceId?, unassigned? } }
+// timetable: { [classId]: grid[day][period] = { subjectId, teacherId, resourceId?, resourceIds?, unassigned?, double?, span? } }
+import { cellLessons, lessonResourceIds, timetableWeek, weekName } from './schedule';
+
+// Periods of a double/triple block are marked with their position, e.g. "PE (1/2)" and "PE (2/2)".
+// Lesson-group cells list their parallel lessons ("ECO / BIO"); teacher and room views show the
+// piece taught by that teacher or in that room, for all of the group's classes ("11A+11B:ECO").
+// Lessons with a room carry it after an @ ("MATH @R101"); the room view names the teacher instead.
 // viewType: 'class' | 'teacher' | 'room'
 // id: the selected id for the chosen view (classId / teacherId / roomId)
-// options (optional): { days, periods, dayNames }
+// options (optional): { days, periods, dayNames, dayPeriods, weeks }
+// dayPeriods lists the periods each day has in this view; a shorter day gets a shorter row.
+// weeks > 1: the grids hold a multi-week cycle and each week gets its own section ("Week A", ...).
 export function generateCSVRowsForView(timetable, viewType, id, options = {}) {
+  const weeks = options.weeks || 1;
+  if (weeks > 1) {
+    const weekDays = options.days || Math.ceil(inferDays(timetable) / weeks);
+    return Array.from({ length: weeks }, (_, w) => [
+      ...(w > 0 ? [[]] : []),
+      [`Week ${weekName(w)}`],
+      ...generateCSVRowsForView(timetableWeek(timetable, w, weekDays), viewType, id, { ...options, days: weekDays, weeks: 1 }),
+    ]).flat();
+  }
   const days = options.days || inferDays(timetable);
   const periods = options.periods || inferPeriods(timetable);
   const dayNames = options.dayNames || ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].slice(0, days);
@@ -11,14 +28,15 @@ export function generateCSVRowsForView(timetable, viewType, id, options = {}) {
   const rows = [];
   // Header
   rows.push(['Day', ...Array.from({ length: periods }, (_, i) => `P${i + 1}`)]);
+  const dayLength = (d) => Math.min(periods, options.dayPeriods?.[d] ?? periods);
 
   if (viewType === 'class') {
     const grid = timetable?.[id];
     for (let d = 0; d < days; d++) {
       const row = [dayNames[d] || `D${d + 1}`];
-      for (let p = 0; p < periods; p++) {
+      for (let p = 0; p < dayLength(d); p++) {
         const e = grid?.[d]?.[p];
-        row.push(cellToString(e, { includeTeacher: false }));
+        row.push(cellToString(e, { includeTeacher: false }) + blockSuffix(grid?.[d], p) + (e?.groupId ? '' : roomTag(e)));
       }
       rows.push(row);
     }
@@ -28,12 +46,13 @@ export function generateCSVRowsForView(timetable, viewType, id, options = {}) {
   if (viewType === 'teacher') {
     for (let d = 0; d < days; d++) {
       const row = [dayNames[d] || `D${d + 1}`];
-      for (let p = 0; p < periods; p++) {
+      for (let p = 0; p < dayLength(d); p++) {
         let txt = '';
         for (const [classId, grid] of Object.entries(timetable || {})) {
           const e = grid?.[d]?.[p];
-          if (e && !e.unassigned && e.teacherId === id) {
-            txt = `${classId}:${e.subjectId || ''}`;
+          const lesson = cellLessons(e).find((l) => l.teacherId === id);
+          if (lesson) {
+            txt = `${e.groupId ? e.classIds.join('+') : classId}:${lesson.subjectId || ''}${blockSuffix(grid[d], p)}${roomTag(lesson)}`;
             break;
           }
         }
@@ -47,12 +66,13 @@ export function generateCSVRowsForView(timetable, viewType, id, options = {}) {
   if (viewType === 'room') {
     for (let d = 0; d < days; d++) {
       const row = [dayNames[d] || `D${d + 1}`];
-      for (let p = 0; p < periods; p++) {
+      for (let p = 0; p < dayLength(d); p++) {
         let txt = '';
         for (const [classId, grid] of Object.entries(timetable || {})) {
           const e = grid?.[d]?.[p];
-          if (e && !e.unassigned && e.resourceId === id) {
-            txt = `${classId}:${e.subjectId || ''}`;
+          const lesson = cellLessons(e).find((l) => lessonResourceIds(l).includes(id));
+          if (lesson) {
+            txt = `${e.groupId ? e.classIds.join('+') : classId}:${lesson.subjectId || ''}${blockSuffix(grid[d], p)}${lesson.teacherId ? ` (${lesson.teacherId})` : ''}`;
             break;
           }
         }
@@ -65,7 +85,7 @@ export function generateCSVRowsForView(timetable, viewType, id, options = {}) {
 
   // default empty
   for (let d = 0; d < days; d++) {
-    rows.push([dayNames[d] || `D${d + 1}`, ...Array.from({ length: periods }, () => '')]);
+    rows.push([dayNames[d] || `D${d + 1}`, ...Array.from({ length: dayLength(d) }, () => '')]);
   }
   return rows;
 }
@@ -82,11 +102,27 @@ function inferPeriods(timetable) {
 
 function cellToString(e, { includeTeacher } = { includeTeacher: false }) {
   if (!e || e.unassigned) return '';
+  if (e.groupId) return cellLessons(e).map((l) => `${l.subjectId}${roomTag(l)}`).join(' / ');
   const subj = e.subjectId || '';
   const t = includeTeacher ? e.teacherId || '' : '';
   return includeTeacher && t ? `${subj} (${t})` : subj;
 }
 
+// " @R101" for a lesson with a room, " @CHEM1+LA1" for one booking several resources
+function roomTag(lesson) {
+  const ids = lesson && !lesson.unassigned ? lessonResourceIds(lesson) : [];
+  return ids.length ? ` @${ids.join('+')}` : '';
+}
+
+// " (2/3)" for the second period of a triple block; empty for single lessons
+function blockSuffix(row, p) {
+  const e = row?.[p];
+  if (!e || e.unassigned || !e.double) return '';
+  let head = p;
+  while (head > 0 && row[head]?.double && row[head].headOfDouble === false) head -= 1;
+  return ` (${p - head + 1}/${e.span || 2})`;
+}
+
 // Trigger a CSV download in the browser using Blob + anchor click
 export function downloadCSV(filename, rows) {
   const csv = rows.map((r) => r.map(escapeCSV).join(',')).join('\n');
@@ -0,0 +1,189 @@
+import { validateSchoolData } from './validator';
+import {
+  expandCycle,
+  getBreakPeriods,
+  getClassDayPeriods,
+  getCycleWeeks,
+  getLessonGroups,
+  getOpenDayPeriods,
+  getWeekPeriods,
+  lessonResources,
+  weekName,
+} from './schedule';
+
+// Pre-generation capacity analysis: compares what the school data asks for with what it offers.
+// Each check lists items { status, message, demand, supply, ref? } where ref = { type, id } names the
+// Setup entity to fix. 'red' means no timetable can place every lesson (demand above supply), 'amber'
+// that supply is tight (at least TIGHT of it is needed), 'green' that there is room. Red data blocks
+// generation; so does data validateSchoolData rejects, as the sums below assume its shapes.
+
+const TIGHT = 0.9;
+
+const RANK = { green: 0, amber: 1, red: 2 };
+
+function worst(statuses) {
+  return statuses.reduce((a, b) => (RANK[b] > RANK[a] ? b : a), 'green');
+}
+
+function rate(demand, supply) {
+  if (demand > supply) return 'red';
+  return demand > 0 && demand >= supply * TIGHT ? 'amber' : 'green';
+}
+
+function item(demand, supply, message, ref) {
+  return { status: rate(demand, supply), demand, supply, message, ...(ref ? { ref } : {}) };
+}
+
+// Teaching periods of each day for a bell schedule (periods past the day's count and breaks left out)
+function teachingPeriods(dayLengths, breakPeriods) {
+  return dayLengths.map((n) => Array.from({ length: n }, (_, p) => p).filter((p) => !breakPeriods.has(p)));
+}
+
+// Cells of an availability grid that are open, day by day; a missing grid is open everywhere
+function openCells(availability, days) {
+  return days.map((periods, d) => periods.filter((p) => !Array.isArray(availability) || availability[d]?.[p] === true).length);
+}
+
+// Class weekly periods (plus lesson groups) against its teaching slots, in the fullest week of a cycle
+function checkClasses(data, groups, breakPeriods) {
+  const weeks = getCycleWeeks(data);
+  return (data.classes || []).filter(Boolean).map((cls) => {
+    const slots = teachingPeriods(getClassDayPeriods(data, cls), breakPeriods).reduce((a, d) => a + d.length, 0);
+    const grouped = groups.filter((g) => g.classIds.includes(cls.id)).reduce((a, g) => a + g.periods, 0);
+    const perWeek = Array.from({ length: weeks }, (_, w) =>
+      Object.keys(cls.subjects || {}).reduce((a, sid) => a + getWeekPeriods(data, cls, sid)[w], grouped));
+    const demand = Math.max(0, ...perWeek);
+    const week = weeks > 1 ? ` in week ${weekName(perWeek.indexOf(demand))}` : '';
+    return item(demand, slots, `${cls.id} needs ${demand} periods${week} and has ${slots} teaching slots`, { type: 'class', id: cls.id });
+  });
+}
+
+// What a teacher can teach over the cycle: open cells, capped by maxPerDay on each day and by maxLoad
+function teacherCapacity(teacher, days) {
+  const perDay = teacher.maxPerDay > 0 ? teacher.maxPerDay : Infinity;
+  const open = openCells(teacher.availability, days);
+  const available = open.reduce((a, n) => a + n, 0);
+  const capped = open.reduce((a, n) => a + Math.min(n, perDay), 0);
+  return { available, capacity: Math.min(capped, Number(teacher.maxLoad) || 0) };
+}
+
+// Periods each teacher is bound to before any choice is made: set-up allocations, lesson groups and
+// class/subjects only they can teach. Returns teacherId -> periods over the cycle.
+function boundLoads(data, qualified) {
+  const out = new Map();
+  const add = (tid, n) => out.set(tid, (out.get(tid) || 0) + n);
+  const allocated = new Map();
+  for (const a of data.allocations || []) {
+    if (!a?.classId || !a.subjectId || !a.teacherId) continue;
+    const key = `${a.classId}|${a.subjectId}`;
+    if (!allocated.has(key)) allocated.set(key, []);
+    allocated.get(key).push(a);
+  }
+  for (const cls of data.classes || []) {
+    for (const [sid, count] of Object.entries(cls?.subjects || {})) {
+      let left = Math.max(0, Math.floor(Number(count) || 0));
+      const rows = allocated.get(`${cls.id}|${sid}`) || [];
+      // Splits first; the first allocation without a period count takes the rest
+      for (const a of [...rows.filter((x) => Number.isInteger(x.periods)), ...rows.filter((x) => !Number.isInteger(x.periods)).slice(0, 1)]) {
+        const n = Math.min(left, a.periods ?? left);
+        add(a.teacherId, n);
+        left -= n;
+      }
+      const only = qualified.get(sid) || [];
+      if (left > 0 && only.length === 1) add(only[0].id, left);
+    }
+  }
+  for (const g of getLessonGroups(data)) {
+    for (const l of g.lessons) if (l.teacherId) add(l.teacherId, g.periods);
+  }
+  return out;
+}
+
+export function analyzeFeasibility(schoolData) {
+  const { valid, errors } = validateSchoolData(schoolData);
+  if (!valid) {
+    return {
+      status: 'red',
+      blocking: true,
+      checks: [{ id: 'data', label: 'School data', status: 'red', items: errors.map((e) => ({ status: 'red', message: e.path ? `${e.path}: ${e.message}` : e.message })) }],
+    };
+  }
+
+  const breakPeriods = getBreakPeriods(schoolData);
+  const groups = getLessonGroups(schoolData);
+  const classes = checkClasses(schoolData, groups, breakPeriods);
+
+  // Teachers, subjects and resources are summed over the whole cycle
+  const data = expandCycle(schoolData);
+  const weeks = getCycleWeeks(schoolData);
+  const span = weeks > 1 ? ' over the cycle' : ' a week';
+  const days = teachingPeriods(getOpenDayPeriods(data), breakPeriods);
+  const teachers = (data.teachers || []).filter(Boolean);
+  const capacity = new Map(teachers.map((t) => [t.id, teacherCapacity(t, days)]));
+  const qualified = new Map();
+  for (const t of teachers) {
+    for (const sid of t.subjects || []) {
+      if (!qualified.has(sid)) qualified.set(sid, []);
+      qualified.get(sid).push(t);
+    }
+  }
+
+  // Subject demand against everyone who could teach it
+  const subjectDemand = new Map();
+  for (const cls of data.classes || []) {
+    for (const [sid, n] of Object.entries(cls?.subjects || {})) subjectDemand.set(sid, (subjectDemand.get(sid) || 0) + (Number(n) || 0));
+  }
+  const subjects = Array.from(subjectDemand)
+    .filter(([, demand]) => demand > 0)
+    .map(([sid, demand]) => {
+      const list = qualified.get(sid) || [];
+      const supply = list.reduce((a, t) => a + capacity.get(t.id).capacity, 0);
+      const message = list.length
+        ? `${sid} needs ${demand} periods${span}; ${list.map((t) => t.id).join(', ')} can teach ${supply}`
+        : `${sid} needs ${demand} periods${span} and no teacher is qualified for it`;
+      return item(demand, supply, message, { type: 'subject', id: sid });
+    });
+
+  // Resource demand, grouped by the set of resources a lesson may book
+  const resources = (data.resources || []).filter(Boolean);
+  const subjectsById = new Map((data.subjects || []).filter(Boolean).map((s) => [s.id, s]));
+  const pools = new Map(); // sorted ids -> { ids, demand }
+  const book = (ids, n) => {
+    if (!ids.length || n <= 0) return;
+    const key = ids.slice().sort().join(',');
+    if (!pools.has(key)) pools.set(key, { ids: key.split(','), demand: 0 });
+    pools.get(key).demand += n;
+  };
+  for (const cls of data.classes || []) {
+    for (const [sid, n] of Object.entries(cls?.subjects || {})) {
+      const options = lessonResources(subjectsById.get(sid) || { id: sid }, cls, resources);
+      for (const list of options || []) book(list.map((r) => r.id), Number(n) || 0);
+    }
+  }
+  for (const g of getLessonGroups(data)) {
+    for (const l of g.lessons) if (l.resourceId) book([l.resourceId], g.periods);
+  }
+  const resourcesById = new Map(resources.map((r) => [r.id, r]));
+  const rooms = Array.from(pools.values()).map(({ ids, demand }) => {
+    const supply = ids.reduce((a, id) => a + openCells(resourcesById.get(id)?.availability, days).reduce((x, n) => x + n, 0), 0);
+    const what = ids.length === 1 ? ids[0] : `${resourcesById.get(ids[0])?.type || 'resource'}s ${ids.join(', ')}`;
+    return item(demand, supply, `${what}: ${demand} lesson periods${span} need ${ids.length === 1 ? 'it' : 'them'}, ${supply} open slots`, ids.length === 1 ? { type: 'resource', id: ids[0] } : null);
+  });
+
+  // Teacher load that is already settled against what their availability and limits allow
+  const bound = boundLoads(data, qualified);
+  const loads = teachers.map((t) => {
+    const { available, capacity: cap } = capacity.get(t.id);
+    const demand = bound.get(t.id) || 0;
+    return item(demand, cap, `${t.id} is bound to ${demand} periods${span} and can teach ${cap} (${available} available, maxLoad ${t.maxLoad})`, { type: 'teacher', id: t.id });
+  });
+
+  const checks = [
+    { id: 'classes', label: 'Class periods vs slots', items: classes },
+    { id: 'subjects', label: 'Subject demand vs qualified teachers', items: subjects },
+    { id: 'resources', label: 'Rooms and labs vs availability', items: rooms },
+    { id: 'teachers', label: 'Teacher load vs availability', items: loads },
+  ].map((c) => ({ ...c, status: worst(c.items.map((i) => i.status)) }));
+  const status = worst(checks.map((c) => c.status));
+  return { status, blocking: status === 'red', checks };
+}
@@ -1,10 +1,66 @@
 /*
   Timetable Generator (browser-friendly, no external libs)
-  - Export: generateTimetable(schoolData, options)
+  - Export: generateTimetable(schoolData, options); computeDiagnostics/computePenalty score any timetable
   - Returns: { timetable, diagnostics }
-  - Greedy deterministic assignment + local swap optimizer
+  - Greedy deterministic assignment + metaheuristic optimizer (swap, move, teacher, Kempe moves)
+  - options.initialTimetable: repair an existing timetable (keeps feasible entries, fills the rest)
+  - Locked lessons (schoolData.fixedLessons, 1-based day/period, plus options.lockedLessons, 0-based)
+    are placed first, count against weekly demand and are never moved by the optimizer;
+    diagnostics.locked reports { placed, rejected[] }
+  - Lesson groups (schoolData.lessonGroups) are placed next: each slot puts one cell
+    { groupId, classIds, lessons[] } in every class of the group, booking every sub-lesson's teacher
+    and resource; the optimizer never moves them and diagnostics.lessonGroups reports placed periods
+  - Resources: every lesson books one resource per need of its subject (subject.requiredResources,
+    see lessonResources in schedule.js): a resource of a type, one from a preference list, or by
+    default the class's homeRoom or another 'classroom'. The first is the cell's resourceId; lessons
+    holding several carry resourceIds. Resources are never double-booked or smaller than
+    class.strength (resource.capacity)
+  - Break periods (schoolData.breaks) are blocked for every class, teacher and resource
+  - Bell schedules: schoolData.dayPeriods (per day), schoolData.wings / class.wing and class.dayPeriods
+    shorten a class's days (see getClassDayPeriods); periods past a class's day are never scheduled
+  - Multi-week cycles: schoolData.cycleWeeks > 1 makes every grid cover the whole cycle (week A's days
+    first) and is solved as one long week (see expandCycle). Each week gets its own demand
+    (class.cyclePeriods for weeks that differ), lessons never move to another week, minDays applies
+    per week and maxLoad is per week, so a cycle allows cycleWeeks times as much
+  - diagnostics.unassignedReasons explains each lesson (or lesson group period) left unplaced:
+    { code, message, refs } where refs point at the subject, teachers, class or resources to fix
+  - options.learnedPenalties: soft teacher/subject-period costs learned from manual edits
+  - options.solver: 'greedy' (default) | 'backtrack' (exact search within options.timeBudgetMs around
+    locked lessons and lesson groups; Setup allocations bind, auto-allocated lessons may take any
+    qualified teacher, the allocated one first);
+    diagnostics.solver reports { status, conflicts?, minimal?, nodes, timeMs }
+  - options.optimizer: 'anneal' (default) | 'tabu' | 'hill', bounded by options.optimizeIterations
+    and options.timeLimitMs; diagnostics.optimizer carries a convergence trace
+  - options.evaluation: 'delta' (default, re-scores only touched rows) | 'full'; see npm run bench
+  - Lesson blocks: class.subjects[id] is the weekly period count; subject.doubleBlocks / tripleBlocks
+    (overridable per class via class.blocks[id] = { double?, triple? }) say how many of those periods
+    run as 2- or 3-period blocks, the rest are singles. Block cells carry double: true and span
+  - Subject spread: subject.maxPerDay / minDays / spreadHard, overridable per class via
+    class.spread[subjectId] = { maxPerDay?, minDays?, hard? }; hard rules are never made worse,
+    violations are listed in diagnostics.spreadViolations
+  - Time-of-day windows: subject.periodWindows = { preferred?, avoided?, forbidden? } (1-based periods,
+    per class via class.periodWindows[subjectId], see getPeriodWindows); forbidden periods are never
+    used, the rest are soft rules. Every period out of its window is listed in diagnostics.windowViolations
+  - Teacher daily limits: teacher.maxPerDay and teacher.maxConsecutive (a break ends a run) are hard;
+    teacher.minPerDay is a soft target for days they teach; see diagnostics.teacherLimitViolations
+  - Teacher preferences: teacher.preferences is a grid like availability with 'prefer' / 'avoid' / null
+    cells; periods taught in them are soft rules, and diagnostics.teacherSatisfaction scores each
+    teacher who has any
+  - Teacher continuity (on unless schoolData.teacherContinuity === false): each class/subject keeps
+    the teacher(s) from schoolData.allocations, or one chosen up front; diagnostics.allocations lists
+    the plan and diagnostics.continuityViolations any class/subject taught by someone else
+  - Load balancing: greedy tries the least utilised teacher (load / maxLoad) first, and the
+    teacherLoadBalance rule scores the spread of utilisation; teacher moves hand a whole
+    auto-allocated class/subject to another teacher when continuity is on
+  - Soft-constraint weights come from schoolData.weights (see weights.js); diagnostics.penaltyBreakdown
+    lists count, weight and penalty per rule
+  - options.onProgress({ phase, iteration?, iterations?, best?, unassigned }): called between phases
+    ('seed' | 'solve' | 'greedy' | 'optimize' | 'done') and periodically while optimizing
 */
 
+import { expandCycle, getBreakPeriods, getClassDayPeriods, getFixedLessons, getLessonBlocks, getLessonGroups, getPeriodWindows, getWeekPeriods, lessonResourceIds, weekName, lessonResources, subjectResourceNeeds } from './schedule';
+import { SOFT_RULES, normalizeWeights } from './weights';
+
 // Simple deterministic PRNG (LCG). Seedable to make optimization reproducible.
 function createRng(seed = 42) {
   let s = (seed >>> 0) || 42;
@@ -33,25 +89,32 @@ function buildIndex(data) {
   const teachersById = new Map();
   (data.teachers || []).forEach((t) => teachersById.set(t.id, t));
 
-  const resources = Array.isArray(data.resources) ? data.resources : [];
-  const resourcesByType = new Map();
-  for (const r of resources) {
-    if (!resourcesByType.has(r.type)) resourcesByType.set(r.type, []);
-    resourcesByType.get(r.type).push(r);
-  }
+  const resourcesById = new Map();
+  (Array.isArray(data.resources) ? data.resources : []).forEach((r) => resourcesById.set(r.id, r));
 
-  return { subjectsById, teachersById, resourcesByType };
+  return { subjectsById, teachersById, resourcesById };
 }
 
-function inferSubjectResourceType(subject) {
-  // Prefer explicit .resourceType; else infer from .lab flag and name
-  if (subject.resourceType) return subject.resourceType;
-  if (subject.lab) {
-    const name = (subject.name || '').toLowerCase();
-    if (name.includes('computer')) return 'computer_lab';
-    return 'lab';
+// classId|subjectId -> per-need lists of resources the lesson may use, best first (null: books
+// nothing); see lessonResources
+function buildResourceOptions(data, subjectsById) {
+  const out = new Map();
+  for (const cls of data.classes || []) {
+    for (const sid of Object.keys(cls.subjects || {})) {
+      out.set(`${cls.id}|${sid}`, lessonResources(subjectsById.get(sid) || { id: sid }, cls, data.resources));
+    }
   }
-  return null;
+  return out;
+}
+
+// Days in one week of the cycle (weekDays is only set on expanded multi-week data)
+function weekLength(data) {
+  return data.weekDays || data.workingDays;
+}
+
+// classId -> periods on each day for that class
+function buildDayLengths(data) {
+  return new Map((data.classes || []).map((c) => [c.id, getClassDayPeriods(data, c)]));
 }
 
 function makeEmptyGrid(days, periods, fill = null) {
@@ -67,11 +130,690 @@ function cloneGrid(grid) {
   return grid.map((row) => row.slice());
 }
 
-// Compute simple diagnostics/penalty
-function computeDiagnostics(timetable, data) {
+// Learned (edit-history) cost of placing a subject/teacher in the given periods.
+// learnedPenalties: { teacherPeriods: {tid: {period: n}}, subjectPeriods: {sid: {period: n}} }
+function learnedSlotCost(learnedPenalties, subjectId, teacherId, periods) {
+  if (!learnedPenalties) return 0;
+  const byTeacher = (teacherId && learnedPenalties.teacherPeriods?.[teacherId]) || null;
+  const bySubject = (subjectId && learnedPenalties.subjectPeriods?.[subjectId]) || null;
+  let cost = 0;
+  for (const p of periods) {
+    if (byTeacher) cost += Number(byTeacher[p]) || 0;
+    if (bySubject) cost += Number(bySubject[p]) || 0;
+  }
+  return cost;
+}
+
+// Spread rule for one class/subject; class.spread overrides the subject's own settings
+function getSpreadRule(subject, cls) {
+  const o = cls?.spread?.[subject?.id] || {};
+  const maxPerDay = Number(o.maxPerDay ?? subject?.maxPerDay) || 0;
+  const minDays = Number(o.minDays ?? subject?.minDays) || 0;
+  if (maxPerDay <= 0 && minDays <= 0) return null;
+  return { maxPerDay, minDays, hard: !!(o.hard ?? subject?.spreadHard) };
+}
+
+// classId -> Map(subjectId -> rule), only for classes/subjects that have a rule
+function buildSpreadRules(data) {
+  const subjectsById = new Map((data.subjects || []).map((s) => [s.id, s]));
+  const out = new Map();
+  for (const cls of data.classes || []) {
+    const rules = new Map();
+    for (const sid of Object.keys(cls.subjects || {})) {
+      const rule = getSpreadRule(subjectsById.get(sid) || { id: sid }, cls);
+      if (rule) rules.set(sid, rule);
+    }
+    if (rules.size) out.set(cls.id, rules);
+  }
+  return out;
+}
+
+// classId -> Map(subjectId -> time-of-day windows), only for classes/subjects that have windows
+function buildWindowRules(data) {
+  const subjectsById = new Map((data.subjects || []).map((s) => [s.id, s]));
+  const out = new Map();
+  for (const cls of data.classes || []) {
+    const rules = new Map();
+    for (const sid of Object.keys(cls.subjects || {})) {
+      const windows = getPeriodWindows(subjectsById.get(sid) || { id: sid }, cls, data.periodsPerDay);
+      if (windows) rules.set(sid, windows);
+    }
+    if (rules.size) out.set(cls.id, rules);
+  }
+  return out;
+}
+
+function inForbiddenWindow(windows, periods) {
+  return !!windows && periods.some((p) => windows.forbidden.has(p));
+}
+
+// How a lesson period sits against its subject's windows: 'forbidden', 'avoided', 'preferred'
+// (outside the preferred periods) or null when it is fine
+function windowBreach(windows, period) {
+  if (!windows) return null;
+  if (windows.forbidden.has(period)) return 'forbidden';
+  if (windows.avoided.has(period)) return 'avoided';
+  if (windows.preferred && !windows.preferred.has(period)) return 'preferred';
+  return null;
+}
+
+// Every lesson period out of its subject's windows, for diagnostics
+function findWindowViolations(timetable, windowRules, weekDays) {
+  const out = [];
+  const what = { forbidden: 'a forbidden', avoided: 'an avoided', preferred: 'a non-preferred' };
+  for (const [classId, rules] of windowRules) {
+    const grid = timetable[classId];
+    if (!grid) continue;
+    grid.forEach((row, d) => {
+      row.forEach((e, p) => {
+        if (!e || e.unassigned || !e.subjectId) return;
+        const kind = windowBreach(rules.get(e.subjectId), p);
+        if (!kind) return;
+        const day = grid.length > weekDays ? `day ${(d % weekDays) + 1} of week ${weekName(Math.floor(d / weekDays))}` : `day ${d + 1}`;
+        out.push({
+          classId,
+          subjectId: e.subjectId,
+          day: d,
+          period: p,
+          kind,
+          hard: kind === 'forbidden',
+          message: `${classId} ${e.subjectId}: period ${p + 1} on ${day} is ${what[kind]} period`,
+        });
+      });
+    });
+  }
+  return out;
+}
+
+// Periods taught per subject in one class-day row (unassigned markers do not count)
+function subjectDayCounts(row) {
+  const counts = new Map();
+  for (const e of row) if (e && !e.unassigned && e.subjectId) counts.set(e.subjectId, (counts.get(e.subjectId) || 0) + 1);
+  return counts;
+}
+
+// Periods over maxPerDay in one row, and how many of those break a hard rule
+function dayOverMax(row, spread) {
+  let excess = 0;
+  let hard = 0;
+  if (!spread) return { excess, hard };
+  for (const [sid, n] of subjectDayCounts(row)) {
+    const rule = spread.get(sid);
+    if (!rule?.maxPerDay || n <= rule.maxPerDay) continue;
+    excess += n - rule.maxPerDay;
+    if (rule.hard) hard += n - rule.maxPerDay;
+  }
+  return { excess, hard };
+}
+
+// Days short of minDays over each week of a class's grid
+function weekShortfall(grid, spread, weekDays = grid.length) {
+  let shortfall = 0;
+  let hard = 0;
+  if (!spread) return { shortfall, hard };
+  for (let first = 0; first < grid.length; first += Math.max(1, weekDays)) {
+    const days = new Map();
+    for (let d = first; d < Math.min(grid.length, first + weekDays); d++) {
+      for (const sid of subjectDayCounts(grid[d]).keys()) {
+        if (!days.has(sid)) days.set(sid, new Set());
+        days.get(sid).add(d);
+      }
+    }
+    for (const [sid, rule] of spread) {
+      const missing = Math.max(0, rule.minDays - (days.get(sid)?.size || 0));
+      shortfall += missing;
+      if (rule.hard) hard += missing;
+    }
+  }
+  return { shortfall, hard };
+}
+
+// Each class/subject whose spread rule is broken, for diagnostics (minDays week by week)
+function findSpreadViolations(timetable, spreadRules, weekDays) {
+  const out = [];
+  for (const [classId, spread] of spreadRules) {
+    const grid = timetable[classId];
+    if (!grid) continue;
+    const perDay = grid.map(subjectDayCounts);
+    for (const [sid, rule] of spread) {
+      const counts = perDay.map((c) => c.get(sid) || 0);
+      if (rule.maxPerDay) {
+        const overDays = counts.map((n, d) => (n > rule.maxPerDay ? d : -1)).filter((d) => d >= 0);
+        if (overDays.length) {
+          out.push({
+            classId,
+            subjectId: sid,
+            kind: 'maxPerDay',
+            hard: rule.hard,
+            limit: rule.maxPerDay,
+            actual: Math.max(...counts),
+            days: overDays,
+            message: `${classId} ${sid}: more than ${rule.maxPerDay} period(s) on ${overDays.length} day(s)`,
+          });
+        }
+      }
+      const weeks = Math.ceil(counts.length / weekDays);
+      for (let w = 0; w < weeks && rule.minDays; w++) {
+        const usedDays = counts.slice(w * weekDays, (w + 1) * weekDays).filter((n) => n > 0).length;
+        if (usedDays >= rule.minDays) continue;
+        out.push({
+          classId,
+          subjectId: sid,
+          kind: 'minDays',
+          hard: rule.hard,
+          limit: rule.minDays,
+          actual: usedDays,
+          ...(weeks > 1 ? { week: w } : {}),
+          message: `${classId} ${sid}: taught on ${usedDays} day(s)${weeks > 1 ? ` in week ${weekName(w)}` : ''}, at least ${rule.minDays} wanted`,
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// Penalty terms are local to one class-day row, one class-week or one teacher-day, so the
+// optimizer can re-score only what a move touches (see createEvaluator).
+function classDayPenalty(row, learnedPenalties, weights, spread, windows) {
+  let unassigned = 0;
+  let consecutive = 0;
+  let learned = 0;
+  const breaches = { forbidden: 0, avoided: 0, preferred: 0 };
+  for (let p = 0; p < row.length; p++) {
+    const entry = row[p];
+    if (!entry) continue;
+    if (entry.unassigned) {
+      unassigned += 1;
+      continue;
+    }
+    learned += learnedSlotCost(learnedPenalties, entry.subjectId, entry.teacherId, [p]);
+    const breach = windows && entry.subjectId ? windowBreach(windows.get(entry.subjectId), p) : null;
+    if (breach) breaches[breach] += 1;
+    // same subject consecutive periods for same class; the periods of one block are one lesson
+    const next = row[p + 1];
+    if (next && !next.unassigned && entry.subjectId && next.subjectId && entry.subjectId === next.subjectId) {
+      if (!(next.double && next.headOfDouble === false)) consecutive += 1;
+    }
+  }
+  const over = dayOverMax(row, spread);
+  const penalty =
+    unassigned * weights.unassigned +
+    consecutive * weights.consecutiveSameSubject +
+    over.excess * weights.subjectMaxPerDay +
+    breaches.preferred * weights.subjectOutsidePreferred +
+    breaches.avoided * weights.subjectAvoidedPeriod +
+    learned;
+  return {
+    penalty,
+    unassigned,
+    consecutive,
+    overMax: over.excess,
+    hardOverMax: over.hard,
+    outsidePreferred: breaches.preferred,
+    avoided: breaches.avoided,
+    forbidden: breaches.forbidden,
+    learned,
+  };
+}
+
+// Teacher idle-gap: pattern assigned, free, assigned in the same day (breaks are not gaps)
+function teacherDayGaps(used, teachingPeriods) {
+  let gaps = 0;
+  for (let i = 1; i + 1 < teachingPeriods.length; i++) {
+    const [prev, cur, next] = [teachingPeriods[i - 1], teachingPeriods[i], teachingPeriods[i + 1]];
+    if (used[prev] && !used[cur] && used[next]) gaps += 1;
+  }
+  return gaps;
+}
+
+// Daily limits of one teacher for one day's usage (breaks end a consecutive run).
+// overMax/overRun are hard-limit excess; under is the shortfall from minPerDay on a teaching day.
+function teacherDayExcess(used, teacher, teachingPeriods) {
+  let taught = 0;
+  let run = 0;
+  let longest = 0;
+  let overRun = 0;
+  const maxConsecutive = teacher?.maxConsecutive || 0;
+  for (let i = 0; i < teachingPeriods.length; i++) {
+    const p = teachingPeriods[i];
+    if (!used[p]) {
+      run = 0;
+      continue;
+    }
+    taught += 1;
+    run = i > 0 && teachingPeriods[i - 1] === p - 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    if (maxConsecutive && run > maxConsecutive) overRun += 1;
+  }
+  const overMax = teacher?.maxPerDay ? Math.max(0, taught - teacher.maxPerDay) : 0;
+  const under = teacher?.minPerDay && taught > 0 ? Math.max(0, teacher.minPerDay - taught) : 0;
+  return { taught, longest, overMax, overRun, under };
+}
+
+// Periods one teacher teaches on one day in cells of their preference grid marked prefer / avoid
+function teacherDayPreference(used, teacher, day) {
+  let preferred = 0;
+  let avoided = 0;
+  const row = teacher?.preferences?.[day];
+  if (!Array.isArray(row)) return { preferred, avoided };
+  for (let p = 0; p < used.length; p++) {
+    if (!used[p]) continue;
+    if (row[p] === 'prefer') preferred += 1;
+    else if (row[p] === 'avoid') avoided += 1;
+  }
+  return { preferred, avoided };
+}
+
+// How well each teacher's preference grid was honoured, worst first. Only cells the teacher could
+// teach in count. A wish is an avoid cell left free or a prefer cell taught; prefer cells only count
+// up to the periods taught, so a teacher whose every lesson sits in a preferred cell scores 100.
+function teacherSatisfaction(teachers, teacherDayUsage, data, teachingPeriods) {
+  const out = [];
+  for (const t of teachers || []) {
+    if (!Array.isArray(t?.preferences)) continue;
+    const usage = teacherDayUsage.get(t.id);
+    let preferCells = 0;
+    let avoidCells = 0;
+    let taught = 0;
+    let preferred = 0;
+    let avoided = 0;
+    for (let d = 0; d < data.workingDays; d++) {
+      const row = t.preferences[d];
+      const used = usage?.get(d);
+      for (const p of teachingPeriods) {
+        if (used?.[p]) taught += 1;
+        if (!Array.isArray(row) || !row[p] || t.availability?.[d]?.[p] === false) continue;
+        if (row[p] === 'prefer') {
+          preferCells += 1;
+          if (used?.[p]) preferred += 1;
+        } else if (row[p] === 'avoid') {
+          avoidCells += 1;
+          if (used?.[p]) avoided += 1;
+        }
+      }
+    }
+    const wishes = Math.min(preferCells, taught) + avoidCells;
+    if (!wishes) continue;
+    const honoured = Math.min(preferred, taught) + avoidCells - avoided;
+    out.push({ teacherId: t.id, score: Math.round((100 * honoured) / wishes), taught, preferred, avoided, preferCells, avoidCells });
+  }
+  return out.sort((a, b) => a.score - b.score || (a.teacherId < b.teacherId ? -1 : 1));
+}
+
+function hasDailyLimits(teacher) {
+  return !!(teacher?.maxPerDay || teacher?.maxConsecutive);
+}
+
+// Whether a teacher's hard daily limits hold once `periods` are added to the periods already taught
+function withinDailyLimits(teacher, taughtPeriods, periods, teachingPeriods) {
+  if (!hasDailyLimits(teacher)) return true;
+  const used = [];
+  for (const p of taughtPeriods) used[p] = true;
+  for (const p of periods) used[p] = true;
+  const ex = teacherDayExcess(used, teacher, teachingPeriods);
+  return ex.overMax + ex.overRun === 0;
+}
+
+// Whether teachers' daily limits survive lessons moving ({ teacherId, fromDay, fromPeriods, toDay, toPeriods }).
+// A day that already breaks a limit may stay as it is, but must not get worse.
+function dailyLimitsHold(occupancy, teachersById, teachingPeriods, moves) {
+  const rows = new Map();
+  const rowFor = (teacherId, day) => {
+    const key = `${teacherId}|${day}`;
+    if (!rows.has(key)) {
+      const slots = occupancy.teacher.get(teacherId)?.[day] || [];
+      rows.set(key, { teacher: teachersById.get(teacherId), before: slots, after: slots.slice() });
+    }
+    return rows.get(key);
+  };
+  const limited = moves.filter((m) => hasDailyLimits(teachersById.get(m.teacherId)));
+  for (const m of limited) for (const p of m.fromPeriods) rowFor(m.teacherId, m.fromDay).after[p] = null;
+  for (const m of limited) for (const p of m.toPeriods) rowFor(m.teacherId, m.toDay).after[p] = true;
+  for (const { teacher, before, after } of rows.values()) {
+    const a = teacherDayExcess(after, teacher, teachingPeriods);
+    const b = teacherDayExcess(before, teacher, teachingPeriods);
+    if (a.overMax + a.overRun > b.overMax + b.overRun) return false;
+  }
+  return true;
+}
+
+// Load balance: standard deviation of teacher utilisation (load as a % of maxLoad), rounded to
+// whole points so scores stay integral. Balancing against maxLoad lets part-timers carry less.
+function loadSpread(loads, teachers) {
+  const shares = [];
+  for (const t of teachers || []) {
+    if (t?.maxLoad > 0) shares.push((100 * (loads.get(t.id) || 0)) / t.maxLoad);
+  }
+  if (shares.length === 0) return 0;
+  const mean = shares.reduce((a, b) => a + b, 0) / shares.length;
+  const variance = shares.reduce((acc, v) => acc + (v - mean) ** 2, 0) / shares.length;
+  return Math.round(Math.sqrt(variance));
+}
+
+function getTeachingPeriods(data) {
+  const breakPeriods = getBreakPeriods(data);
+  const out = [];
+  for (let p = 0; p < data.periodsPerDay; p++) if (!breakPeriods.has(p)) out.push(p);
+  return out;
+}
+
+// Teacher continuity: every lesson of a class/subject is taught by the teacher(s) allocated to it.
+// schoolData.allocations = [{ classId, subjectId, teacherId, periods? }] pre-sets them; periods splits
+// the weekly count between teachers (left out, the teacher takes whatever is not split off).
+// schoolData.teacherContinuity = false lets every lesson pick any qualified teacher again.
+function continuityEnabled(data) {
+  return data.teacherContinuity !== false;
+}
+
+function allocationPeriods(a) {
+  if (a.periods === undefined || a.periods === null || a.periods === '') return null;
+  const n = Number(a.periods);
+  return Number.isFinite(n) ? Math.max(0, Math.floor(n)) : null;
+}
+
+// `${classId}|${subjectId}` -> [{ teacherId, periods }] from schoolData.allocations
+function getAllocations(data) {
+  const out = new Map();
+  for (const a of data.allocations || []) {
+    if (!a?.classId || !a.subjectId || !a.teacherId) continue;
+    const key = `${a.classId}|${a.subjectId}`;
+    if (!out.has(key)) out.set(key, []);
+    out.get(key).push({ teacherId: a.teacherId, periods: allocationPeriods(a) });
+  }
+  return out;
+}
+
+// Periods a teacher can actually teach: available teaching cells, at most maxPerDay of them a day,
+// and no more than maxLoad
+function teacherCapacity(teacher, days, teachingPeriods) {
+  if (!teacher) return 0;
+  const perDay = teacher.maxPerDay > 0 ? teacher.maxPerDay : Infinity;
+  let open = 0;
+  for (let d = 0; d < days; d++) {
+    open += Math.min(perDay, teachingPeriods.filter((p) => checkTeacherAvailability(teacher, d, [p])).length);
+  }
+  return Math.min(open, teacher.maxLoad || 0);
+}
+
+// Teacher plan for every class/subject: `${classId}|${subjectId}` -> [{ teacherId, lessons, source }].
+// Set-up allocations are taken as given; whatever they leave open goes to the qualified teacher who
+// ends up least utilised (load relative to the periods they can actually teach, see teacherCapacity),
+// and is only split when nobody has room for all of it.
+function planAllocations(data, teachersById, teacherOrder, teachingPeriods) {
+  const explicit = getAllocations(data);
+  const capacity = new Map(teacherOrder.map((tid) => [tid, teacherCapacity(teachersById.get(tid), data.workingDays, teachingPeriods)]));
+  const spare = new Map(capacity);
+  const plan = new Map();
+  const open = [];
+
+  for (const cls of data.classes || []) {
+    for (const [sid, count] of Object.entries(cls.subjects || {})) {
+      const key = `${cls.id}|${sid}`;
+      const rows = [];
+      let left = count | 0;
+      const pre = explicit.get(key) || [];
+      // Fixed splits first, then the first open-ended allocation takes the rest
+      for (const a of [...pre.filter((x) => x.periods !== null), ...pre.filter((x) => x.periods === null).slice(0, 1)]) {
+        const periods = Math.min(left, a.periods ?? left);
+        if (periods <= 0) continue;
+        rows.push({ teacherId: a.teacherId, periods, source: 'setup' });
+        spare.set(a.teacherId, (spare.get(a.teacherId) || 0) - periods);
+        left -= periods;
+      }
+      plan.set(key, rows);
+      if (left > 0) open.push({ key, subjectId: sid, left });
+    }
+  }
+
+  // Hardest pairs choose first: fewest qualified teachers, then most periods
+  const qualified = (sid) => teacherOrder.filter((tid) => teacherCanTeach(teachersById.get(tid), sid));
+  for (const o of open) o.teachers = qualified(o.subjectId);
+  open.sort((a, b) => a.teachers.length - b.teachers.length || b.left - a.left || (a.key < b.key ? -1 : 1));
+
+  for (const o of open) {
+    if (!o.teachers.length) continue;
+    const rows = plan.get(o.key);
+    const ranked = o.teachers.slice().sort((a, b) => spare.get(b) - spare.get(a));
+    const need = o.left;
+    const shareAfter = (tid) => (capacity.get(tid) - spare.get(tid) + need) / (capacity.get(tid) || 1);
+    const take = (teacherId, periods) => {
+      const row = rows.find((r) => r.teacherId === teacherId);
+      if (row) row.periods += periods;
+      else rows.push({ teacherId, periods, source: 'auto' });
+      spare.set(teacherId, spare.get(teacherId) - periods);
+      o.left -= periods;
+    };
+    const whole = ranked.filter((tid) => spare.get(tid) >= need).sort((a, b) => shareAfter(a) - shareAfter(b))[0];
+    if (whole) {
+      take(whole, o.left);
+      continue;
+    }
+    for (const tid of ranked) {
+      const fits = Math.min(o.left, Math.max(0, spare.get(tid)));
+      if (fits > 0) take(tid, fits);
+      if (o.left === 0) break;
+    }
+    // Nobody has room: keep it with one teacher and let maxLoad leave the rest unassigned
+    if (o.left > 0) take(rows.find((r) => r.source === 'auto')?.teacherId || ranked[0], o.left);
+  }
+  return plan;
+}
+
+// Periods per teacher of one class/subject in a class grid
+function periodsByTeacher(grid, subjectId) {
+  const out = new Map();
+  for (const row of grid || []) {
+    for (const e of row) {
+      if (!e || e.unassigned || !e.teacherId || e.subjectId !== subjectId) continue;
+      out.set(e.teacherId, (out.get(e.teacherId) || 0) + 1);
+    }
+  }
+  return out;
+}
+
+// Plan as it stands after optimizing: auto-allocated class/subjects may have moved to another teacher
+function finalAllocations(plan, timetable) {
+  return Array.from(plan, ([key, rows]) => {
+    const [classId, subjectId] = key.split('|');
+    if (rows.length === 0 || rows.some((r) => r.source === 'setup')) return { classId, subjectId, teachers: rows };
+    const taught = periodsByTeacher(timetable[classId], subjectId);
+    if (taught.size === 0) return { classId, subjectId, teachers: rows };
+    const teachers = Array.from(taught, ([teacherId, periods]) => ({ teacherId, periods, source: 'auto' }));
+    // Periods left unplaced stay with the first teacher
+    const planned = rows.reduce((acc, r) => acc + r.periods, 0);
+    teachers[0].periods += Math.max(0, planned - teachers.reduce((acc, r) => acc + r.periods, 0));
+    return { classId, subjectId, teachers };
+  });
+}
+
+// Remaining periods per allocated teacher: `${classId}|${subjectId}` -> Map(teacherId -> periods)
+function createQuotas(plan) {
+  const quotas = new Map();
+  for (const [key, rows] of plan) quotas.set(key, new Map(rows.map((r) => [r.teacherId, r.periods])));
+  return quotas;
+}
+
+// Book a block against the quota; a block by someone else (e.g. a lock) still covers demand
+function takeQuota(quotas, key, teacherId, span) {
+  const q = quotas?.get(key);
+  if (!q) return;
+  let left = span;
+  const own = Math.min(left, q.get(teacherId) || 0);
+  if (own > 0) q.set(teacherId, q.get(teacherId) - own);
+  left -= own;
+  while (left > 0) {
+    let most = null;
+    for (const [tid, n] of q) if (n > 0 && (most === null || n > q.get(most))) most = tid;
+    if (most === null) return;
+    const n = Math.min(left, q.get(most));
+    q.set(most, q.get(most) - n);
+    left -= n;
+  }
+}
+
+// Teacher for each remaining block of a class/subject: bigger blocks first, each to the
+// allocated teacher with the most quota left that still holds the whole block
+function bindBlocksToTeachers(quota, spans) {
+  const left = new Map(quota || []);
+  return spans.map((span) => {
+    let best = null;
+    for (const [tid, n] of left) if (n >= span && (best === null || n > left.get(best))) best = tid;
+    if (best === null) for (const [tid, n] of left) if (n > 0 && (best === null || n > left.get(best))) best = tid;
+    if (best !== null) left.set(best, Math.max(0, left.get(best) - span));
+    return best;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Weekly demand as lesson blocks (see getLessonBlocks): `${classId}|${subjectId}` -> one
+// Map(span -> count) per week of the cycle
+// ---------------------------------------------------------------------------
+
+function buildDemand(data, subjectsById) {
+  const demand = new Map();
+  for (const cls of data.classes || []) {
+    for (const sid of Object.keys(cls.subjects || {})) {
+      const subject = subjectsById.get(sid) || { id: sid };
+      demand.set(`${cls.id}|${sid}`, getWeekPeriods(data, cls, sid).map((n) => {
+        const b = getLessonBlocks(subject, cls, n);
+        return new Map([[3, b.triple], [2, b.double], [1, b.single]]);
+      }));
+    }
+  }
+  return demand;
+}
+
+// Book a placed block of `span` periods against a week's demand. A block of a size that is not wanted
+// is carved out of singles or a bigger block, so the weekly period count stays right.
+function takeDemand(demand, key, span, week = 0) {
+  const blocks = demand.get(key)?.[week];
+  if (!blocks) return;
+  if ((blocks.get(span) || 0) > 0) {
+    blocks.set(span, blocks.get(span) - 1);
+    return;
+  }
+  if ((blocks.get(1) || 0) >= span) {
+    blocks.set(1, blocks.get(1) - span);
+    return;
+  }
+  for (const size of [2, 3]) {
+    if (size > span && (blocks.get(size) || 0) > 0) {
+      blocks.set(size, blocks.get(size) - 1);
+      blocks.set(1, (blocks.get(1) || 0) + size - span);
+      return;
+    }
+  }
+  // Not enough left in one piece: use up whatever remains
+  let left = span;
+  for (const size of [1, 2, 3]) {
+    while (left > 0 && (blocks.get(size) || 0) > 0) {
+      blocks.set(size, blocks.get(size) - 1);
+      left -= size;
+    }
+  }
+  if (left < 0) blocks.set(1, (blocks.get(1) || 0) - left);
+}
+
+// Spans of the blocks still to place, biggest first
+function demandSpans(blocks) {
+  const out = [];
+  for (const size of [3, 2, 1]) for (let i = 0; i < (blocks?.get(size) || 0); i++) out.push(size);
+  return out;
+}
+
+// Class/subjects taught by more teachers than allocated: without a set-up allocation
+// continuity means a single teacher; with one, only the listed teachers within their split.
+function findContinuityViolations(timetable, data) {
+  if (!continuityEnabled(data)) return [];
+  const explicit = getAllocations(data);
+  const out = [];
+  for (const [classId, grid] of Object.entries(timetable)) {
+    const subjectIds = new Set();
+    for (const row of grid) for (const e of row) if (e && !e.unassigned && e.teacherId) subjectIds.add(e.subjectId);
+    for (const subjectId of subjectIds) {
+      const byTeacher = periodsByTeacher(grid, subjectId);
+      const teachers = Array.from(byTeacher.keys()).sort();
+      const allocated = explicit.get(`${classId}|${subjectId}`);
+      let problem = null;
+      if (allocated) {
+        const outside = teachers.filter((t) => !allocated.some((a) => a.teacherId === t));
+        const over = allocated.filter((a) => a.periods !== null && (byTeacher.get(a.teacherId) || 0) > a.periods);
+        if (outside.length) problem = `${outside.join(', ')} not allocated (allocated: ${allocated.map((a) => a.teacherId).join(', ')})`;
+        else if (over.length) problem = over.map((a) => `${a.teacherId} teaches ${byTeacher.get(a.teacherId)} of ${a.periods} allocated`).join('; ');
+      } else if (teachers.length > 1) {
+        problem = `split between ${teachers.join(', ')}`;
+      }
+      if (problem) {
+        out.push({
+          classId,
+          subjectId,
+          teachers,
+          allocated: allocated ? allocated.map((a) => a.teacherId) : null,
+          message: `${classId} ${subjectId}: ${problem}`,
+        });
+      }
+    }
+  }
+  return out;
+}
+
+// Lessons whose teacher/resource a cell books. A lesson group sits in every class of the group
+// but books its sub-lessons once, under its first class.
+function cellBookings(classId, entry) {
+  if (!entry || entry.unassigned) return [];
+  if (entry.groupId) return entry.classIds?.[0] === classId ? entry.lessons || [] : [];
+  return [entry];
+}
+
+// Periods of class subjects the timetable is short of, week by week. This is what counts as
+// unassigned: a lesson that found no cell for its marker is missing all the same.
+function demandShortfall(timetable, data) {
+  const weekDays = weekLength(data);
+  let missing = 0;
+  for (const cls of data.classes || []) {
+    if (!cls) continue;
+    const grid = timetable[cls.id] || [];
+    for (const [sid, n] of Object.entries(cls.subjects || {})) {
+      const perWeek = cls.cyclePeriods?.[sid] || [Math.max(0, Math.floor(Number(n) || 0))];
+      perWeek.forEach((want, w) => {
+        let taught = 0;
+        for (let d = w * weekDays; d < (w + 1) * weekDays; d++) {
+          for (const e of grid[d] || []) if (e && !e.unassigned && !e.groupId && e.subjectId === sid) taught += 1;
+        }
+        missing += Math.max(0, want - taught);
+      });
+    }
+  }
+  return missing;
+}
+
+// Multi-week school data is scored over the whole cycle (see expandCycle)
+export function computeDiagnostics(timetable, schoolData, learnedPenalties) {
+  return diagnose(timetable, expandCycle(schoolData), learnedPenalties);
+}
+
+// Soft-rule counts and penalty, teacher loads and rule violations of a timetable. Lesson groups are
+// counted once per group (see cellBookings); data is already expanded over the cycle.
+function diagnose(timetable, data, learnedPenalties) {
   const { workingDays: days, periodsPerDay: periods } = data;
-  let unassignedCount = 0;
-  let penalty = 0;
+  const weights = normalizeWeights(data.weights);
+  const spreadRules = buildSpreadRules(data);
+  const windowRules = buildWindowRules(data);
+  const counts = {
+    unassigned: 0,
+    consecutiveSameSubject: 0,
+    subjectMaxPerDay: 0,
+    subjectMinDays: 0,
+    subjectOutsidePreferred: 0,
+    subjectAvoidedPeriod: 0,
+    teacherGap: 0,
+    teacherMinPerDay: 0,
+    teacherAvoidedPeriod: 0,
+    teacherPreferredPeriod: 0,
+    teacherLoadBalance: 0,
+  };
+  const teachersById = new Map((data.teachers || []).map((t) => [t.id, t]));
+  let learnedPenalty = 0;
 
   // Teacher loads
   const teacherLoads = new Map();
@@ -80,53 +822,88 @@ function computeDiagnostics(timetable, data) {
   const teacherDayUsage = new Map(); // tid -> day -> periods boolean
 
   for (const [classId, grid] of Object.entries(timetable)) {
+    const spread = spreadRules.get(classId);
+    counts.subjectMinDays += weekShortfall(grid, spread, weekLength(data)).shortfall;
     for (let d = 0; d < days; d++) {
-      // same subject consecutive periods for same class
+      const row = classDayPenalty(grid[d], learnedPenalties, weights, spread, windowRules.get(classId));
+      counts.consecutiveSameSubject += row.consecutive;
+      counts.subjectMaxPerDay += row.overMax;
+      counts.subjectOutsidePreferred += row.outsidePreferred;
+      counts.subjectAvoidedPeriod += row.avoided;
+      learnedPenalty += row.learned;
       for (let p = 0; p < periods; p++) {
-        const entry = grid[d][p];
-        if (!entry) continue;
-        if (entry.unassigned) {
-          unassignedCount += 1;
-          penalty += 20;
-          continue;
-        }
-        if (entry.teacherId) {
-          teacherLoads.set(entry.teacherId, (teacherLoads.get(entry.teacherId) || 0) + 1);
-          if (!teacherDayUsage.has(entry.teacherId)) teacherDayUsage.set(entry.teacherId, new Map());
-          const dayMap = teacherDayUsage.get(entry.teacherId);
+        for (const { teacherId } of cellBookings(classId, grid[d][p])) {
+          if (!teacherId) continue;
+          teacherLoads.set(teacherId, (teacherLoads.get(teacherId) || 0) + 1);
+          if (!teacherDayUsage.has(teacherId)) teacherDayUsage.set(teacherId, new Map());
+          const dayMap = teacherDayUsage.get(teacherId);
           if (!dayMap.has(d)) dayMap.set(d, new Array(periods).fill(false));
           dayMap.get(d)[p] = true;
         }
-        if (p + 1 < periods) {
-          const next = grid[d][p + 1];
-          if (
-            next &&
-            !next.unassigned &&
-            entry.subjectId &&
-            next.subjectId &&
-            entry.subjectId === next.subjectId
-          ) {
-            penalty += 10;
-          }
-        }
       }
     }
   }
 
-  // Teacher idle-gap: pattern assigned, free, assigned in the same day
-  for (const [, dayMap] of teacherDayUsage.entries()) {
-    for (const [, dayArr] of dayMap.entries()) {
-      for (let p = 1; p + 1 < dayArr.length; p++) {
-        if (dayArr[p - 1] && !dayArr[p] && dayArr[p + 1]) penalty += 5;
-      }
+  counts.unassigned = demandShortfall(timetable, data);
+
+  // Lesson group periods that found no slot count as unassigned
+  const lessonGroups = getLessonGroups(data).map((g) => {
+    const grid = timetable[g.classIds[0]];
+    const placed = grid ? grid.reduce((n, row) => n + row.filter((e) => e?.groupId === g.id).length, 0) : 0;
+    return { groupId: g.id, placed, periods: g.periods };
+  });
+  for (const g of lessonGroups) counts.unassigned += Math.max(0, g.periods - g.placed);
+
+  const teachingPeriods = getTeachingPeriods(data);
+  const teacherLimitViolations = [];
+  for (const [tid, dayMap] of teacherDayUsage.entries()) {
+    const teacher = teachersById.get(tid);
+    for (const [d, dayArr] of dayMap.entries()) {
+      counts.teacherGap += teacherDayGaps(dayArr, teachingPeriods);
+      const ex = teacherDayExcess(dayArr, teacher, teachingPeriods);
+      counts.teacherMinPerDay += ex.under;
+      const pref = teacherDayPreference(dayArr, teacher, d);
+      counts.teacherAvoidedPeriod += pref.avoided;
+      counts.teacherPreferredPeriod += pref.preferred;
+      const add = (kind, limit, actual, message) => teacherLimitViolations.push({ teacherId: tid, day: d, kind, limit, actual, message });
+      if (ex.overMax) add('maxPerDay', teacher.maxPerDay, ex.taught, `${tid} teaches ${ex.taught} periods on day ${d + 1} (max ${teacher.maxPerDay})`);
+      if (ex.overRun) add('maxConsecutive', teacher.maxConsecutive, ex.longest, `${tid} teaches ${ex.longest} periods in a row on day ${d + 1} (max ${teacher.maxConsecutive})`);
+      if (ex.under) add('minPerDay', teacher.minPerDay, ex.taught, `${tid} teaches only ${ex.taught} period(s) on day ${d + 1} (min ${teacher.minPerDay})`);
     }
   }
 
+  counts.teacherLoadBalance = loadSpread(teacherLoads, data.teachers);
+
+  // Per-rule breakdown; learned edit penalties are listed separately when present
+  const penaltyBreakdown = SOFT_RULES.map((rule) => ({
+    rule: rule.id,
+    label: rule.label,
+    count: counts[rule.id],
+    weight: weights[rule.id],
+    penalty: counts[rule.id] * weights[rule.id],
+  }));
+  if (learnedPenalties) {
+    penaltyBreakdown.push({ rule: 'learned', label: 'Learned edit penalties', count: null, weight: null, penalty: learnedPenalty });
+  }
+  const penalty = penaltyBreakdown.reduce((acc, row) => acc + row.penalty, 0);
+
   // Convert teacherLoads map to plain object
   const teacherLoadsObj = {};
   for (const [k, v] of teacherLoads.entries()) teacherLoadsObj[k] = v;
 
-  return { unassignedCount, penaltyScore: penalty, teacherLoads: teacherLoadsObj };
+  return {
+    unassignedCount: counts.unassigned,
+    penaltyScore: penalty,
+    penaltyBreakdown,
+    spreadViolations: findSpreadViolations(timetable, spreadRules, weekLength(data)),
+    windowViolations: findWindowViolations(timetable, windowRules, weekLength(data)),
+    teacherLimitViolations,
+    teacherSatisfaction: teacherSatisfaction(data.teachers, teacherDayUsage, data, teachingPeriods),
+    continuityViolations: findContinuityViolations(timetable, data),
+    ...(lessonGroups.length ? { lessonGroups } : {}),
+    learnedPenalty,
+    teacherLoads: teacherLoadsObj,
+  };
 }
 
 // Check if teacher is free and available in given slots
@@ -147,6 +924,10 @@ function slotsAreFree(grid, day, periods) {
   return periods.every((p) => !grid[day][p]);
 }
 
+function touchesBreak(breakPeriods, periods) {
+  return periods.some((p) => breakPeriods.has(p));
+}
+
 function teacherFreeSchedule(teacherSchedule, teacherId, day, periods) {
   const dayMap = teacherSchedule.get(teacherId) || new Map();
   const usedArr = dayMap.get(day) || new Set();
@@ -194,188 +975,1550 @@ function incTeacherLoad(teacherLoads, teacherId, by = 1) {
   teacherLoads.set(teacherId, (teacherLoads.get(teacherId) || 0) + by);
 }
 
+function findFreeResource(list, resourceSchedule, day, periods) {
+  for (const r of list || []) {
+    if (!resourceFree(r, day, periods)) continue;
+    if (resourceOccupied(resourceSchedule, r.id, day, periods)) continue;
+    return r;
+  }
+  return null;
+}
+
+// One free resource for each need (lists from lessonResources), or null when a need cannot be met.
+// Resources in `preferred` (ids) are tried first; ids in `taken` are skipped.
+function findFreeResources(needs, resourceSchedule, day, periods, preferred = [], taken = new Set()) {
+  const out = [];
+  for (const list of needs || []) {
+    const open = list.filter((r) => !taken.has(r.id) && !out.includes(r));
+    const ordered = [...open.filter((r) => preferred.includes(r.id)), ...open.filter((r) => !preferred.includes(r.id))];
+    const r = findFreeResource(ordered, resourceSchedule, day, periods);
+    if (!r) return null;
+    out.push(r);
+  }
+  return out;
+}
+
+// Resource fields of a lesson booking these resources
+function resourceFields(resources) {
+  const ids = (resources || []).map((r) => r.id);
+  if (ids.length === 0) return {};
+  return ids.length > 1 ? { resourceId: ids[0], resourceIds: ids } : { resourceId: ids[0] };
+}
+
+// Write a lesson into the class grid (every period of a block) and book its teacher/resources
+function placeEntry(args) {
+  const { classGrid, day, periods, subjectId, teacherId, resources, teacherSchedule, resourceSchedule, teacherLoads } = args;
+  const entry = { subjectId, teacherId, ...resourceFields(resources) };
+  if (periods.length > 1) {
+    entry.double = true;
+    entry.headOfDouble = true;
+    entry.span = periods.length;
+  }
+  classGrid[day][periods[0]] = entry;
+  for (let i = 1; i < periods.length; i++) {
+    classGrid[day][periods[i]] = { ...entry, headOfDouble: false };
+  }
+  occupyTeacherSchedule(teacherSchedule, teacherId, day, periods);
+  for (const r of resources || []) occupyResource(resourceSchedule, r.id, day, periods);
+  incTeacherLoad(teacherLoads, teacherId, periods.length);
+}
+
 function tryAssignSlot(args) {
   const {
     classGrid,
     subjectId,
-    requiresDouble,
+    span,
     teacherList,
     teachersById,
     teacherSchedule,
     teacherLoads,
     maxLoadByTeacher,
     dayCount,
+    firstDay = 0,
     periodCount,
-    resourceType,
-    availableResources,
+    dayLength,
+    needs,
     resourceSchedule,
+    breakPeriods,
+    learnedPenalties,
+    spread,
+    windows,
+    teachingPeriods,
+    markUnplaced = true,
   } = args;
 
-  const periodSpan = requiresDouble ? 2 : 1;
-
-  for (let d = 0; d < dayCount; d++) {
-    for (let p = 0; p + periodSpan - 1 < periodCount; p++) {
-      const periods = requiresDouble ? [p, p + 1] : [p];
-      if (!slotsAreFree(classGrid, d, periods)) continue;
-
-      // Try teachers in deterministic order (by id)
-      for (const teacherId of teacherList) {
-        const t = teachersById.get(teacherId);
-        if (!t) continue;
-        if (!teacherCanTeach(t, subjectId)) continue;
-        if (!checkTeacherAvailability(t, d, periods)) continue;
-        if (!teacherFreeSchedule(teacherSchedule, teacherId, d, periods)) continue;
-        if (totalTeacherLoad(teacherLoads, teacherId) + periodSpan > (maxLoadByTeacher.get(teacherId) || 0)) continue;
-
-        // Resource if needed
-        let chosenResource = null;
-        if (resourceType) {
-          const list = availableResources.get(resourceType) || [];
-          for (const r of list) {
-            if (!resourceFree(r, d, periods)) continue;
-            if (resourceOccupied(resourceSchedule, r.id, d, periods)) continue;
-            chosenResource = r;
-            break;
-          }
-          if (!chosenResource) continue; // need resource but none free
-        }
-
-        // Assign
-        const entry = { subjectId, teacherId };
-        if (chosenResource) entry.resourceId = chosenResource.id;
-        if (requiresDouble) entry.double = true, entry.headOfDouble = true;
-        classGrid[d][p] = entry;
-        if (requiresDouble) {
-          classGrid[d][p + 1] = { ...entry, headOfDouble: false };
+  const periodSpan = span || 1;
+  const blockAt = (p) => Array.from({ length: periodSpan }, (_, i) => p + i);
+  const lastStart = (d) => (dayLength ? dayLength[d] : periodCount) - periodSpan;
+  const share = (tid) => totalTeacherLoad(teacherLoads, tid) / (maxLoadByTeacher.get(tid) || 1);
+  const rankedTeachers = teacherList.length > 1 ? teacherList.slice().sort((a, b) => share(a) - share(b) || (a < b ? -1 : 1)) : teacherList;
+
+  // With a spread rule, fill the days where this subject is thinnest first and skip days at a hard cap
+  const taught = (d) => classGrid[d].filter((e) => e && !e.unassigned && e.subjectId === subjectId).length;
+  const dayOrder = Array.from({ length: dayCount }, (_, d) => firstDay + d);
+  if (spread) dayOrder.sort((a, b) => taught(a) - taught(b) || a - b);
+
+  // Slots in the subject's preferred (and not avoided) periods are tried first. With learned
+  // penalties, first look only at slots users have not been moving lessons away from
+  const learnedPasses = learnedPenalties ? [true, false] : [false];
+  const windowPasses = windows?.preferred || windows?.avoided.size ? [true, false] : [false];
+  const passes = windowPasses.flatMap((inWindow) => learnedPasses.map((avoidLearned) => ({ inWindow, avoidLearned })));
+  const fitsWindow = (periods) => periods.every((q) => !windowBreach(windows, q));
+  for (const { inWindow, avoidLearned } of passes) {
+    for (const d of dayOrder) {
+      if (spread?.hard && spread.maxPerDay && taught(d) + periodSpan > spread.maxPerDay) continue;
+      for (let p = 0; p <= lastStart(d); p++) {
+        const periods = blockAt(p);
+        if (touchesBreak(breakPeriods, periods)) continue;
+        if (inForbiddenWindow(windows, periods)) continue;
+        if (inWindow && !fitsWindow(periods)) continue;
+        if (!slotsAreFree(classGrid, d, periods)) continue;
+
+        // Least utilised teacher first (load relative to maxLoad), ties by id
+        for (const teacherId of rankedTeachers) {
+          const t = teachersById.get(teacherId);
+          if (!t) continue;
+          if (!teacherCanTeach(t, subjectId)) continue;
+          if (!checkTeacherAvailability(t, d, periods)) continue;
+          if (!teacherFreeSchedule(teacherSchedule, teacherId, d, periods)) continue;
+          if (totalTeacherLoad(teacherLoads, teacherId) + periodSpan > (maxLoadByTeacher.get(teacherId) || 0)) continue;
+          if (!withinDailyLimits(t, teacherSchedule.get(teacherId)?.get(d) || [], periods, teachingPeriods)) continue;
+          if (avoidLearned && learnedSlotCost(learnedPenalties, subjectId, teacherId, periods) > 0) continue;
+
+          // A free resource for every need, best first (home room before other classrooms)
+          const chosen = findFreeResources(needs, resourceSchedule, d, periods);
+          if (!chosen) continue;
+
+          placeEntry({
+            classGrid,
+            day: d,
+            periods,
+            subjectId,
+            teacherId,
+            resources: chosen,
+            teacherSchedule,
+            resourceSchedule,
+            teacherLoads,
+          });
+          return true;
         }
-        occupyTeacherSchedule(teacherSchedule, teacherId, d, periods);
-        if (chosenResource) occupyResource(resourceSchedule, chosenResource.id, d, periods);
-        incTeacherLoad(teacherLoads, teacherId, periodSpan);
-        return true;
       }
     }
   }
 
-  // Mark first available class slots as unassigned to preserve need
-  for (let d = 0; d < dayCount; d++) {
-    for (let p = 0; p + periodSpan - 1 < periodCount; p++) {
-      const periods = requiresDouble ? [p, p + 1] : [p];
-      if (!slotsAreFree(classGrid, d, periods)) continue;
-      const un = { subjectId, unassigned: true };
-      classGrid[d][p] = un;
-      if (requiresDouble) classGrid[d][p + 1] = { ...un };
-      return false;
+  if (!markUnplaced) return false;
+  // Mark first available class slots as unassigned to preserve need: a free block outside the
+  // forbidden periods, else any free block, else single free cells. Periods left without a marker
+  // still count as unassigned (diagnose counts missing demand, not markers).
+  const mark = (d, periods) => {
+    for (const q of periods) classGrid[d][q] = { subjectId, unassigned: true };
+  };
+  for (const allowed of [(periods) => !inForbiddenWindow(windows, periods), () => true]) {
+    for (let d = firstDay; d < firstDay + dayCount; d++) {
+      for (let p = 0; p <= lastStart(d); p++) {
+        const periods = blockAt(p);
+        if (touchesBreak(breakPeriods, periods) || !allowed(periods) || !slotsAreFree(classGrid, d, periods)) continue;
+        mark(d, periods);
+        return false;
+      }
+    }
+  }
+  let left = periodSpan;
+  for (let d = firstDay; d < firstDay + dayCount && left > 0; d++) {
+    for (let p = 0; p < (dayLength ? dayLength[d] : periodCount) && left > 0; p++) {
+      if (breakPeriods.has(p) || classGrid[d][p]) continue;
+      mark(d, [p]);
+      left -= 1;
     }
   }
   return false;
 }
 
-function collectAssignedSlots(timetable, data) {
-  const items = [];
-  for (const [classId, grid] of Object.entries(timetable)) {
-    for (let d = 0; d < data.workingDays; d++) {
-      for (let p = 0; p < data.periodsPerDay; p++) {
-        const e = grid[d][p];
-        if (!e || e.unassigned) continue;
-        // Avoid double-counting the second half of doubles
-        if (e.double && e.headOfDouble === false) continue;
-        items.push({ classId, day: d, period: p, entry: e });
-      }
+// Place locked lessons before anything else. A lock is only rejected when it cannot physically
+// exist (outside the grid, on a break, cell or teacher/resource already taken); availability and
+// qualification are the user's call. Placed blocks are booked against the weekly demand.
+function placeLockedLessons(args) {
+  const {
+    locks,
+    timetable,
+    schoolData,
+    subjectsById,
+    resourcesById,
+    resourceOptions,
+    teacherSchedule,
+    resourceSchedule,
+    teacherLoads,
+    breakPeriods,
+    dayLengths,
+    demand,
+    quotas,
+  } = args;
+  const rejected = [];
+  let placed = 0;
+
+  for (const lock of locks) {
+    const classGrid = timetable[lock.classId];
+    const subj = subjectsById.get(lock.subjectId);
+    const span = lock.span || (lock.double ? 2 : 1);
+    const periods = Array.from({ length: span }, (_, i) => lock.period + i);
+    const givenIds = lessonResourceIds(lock);
+    const given = givenIds.map((id) => resourcesById.get(id)).filter(Boolean);
+    let reason = null;
+    if (!classGrid) reason = 'unknown class';
+    else if (!subj) reason = 'unknown subject';
+    else if (!lock.teacherId) reason = 'no teacher given';
+    else if (lock.day < 0 || lock.day >= schoolData.workingDays || lock.period < 0 || periods[periods.length - 1] >= Math.min(schoolData.periodsPerDay, dayLengths.get(lock.classId)?.[lock.day] ?? Infinity)) reason = 'outside the timetable';
+    else if (touchesBreak(breakPeriods, periods)) reason = 'falls on a break';
+    else if (!slotsAreFree(classGrid, lock.day, periods)) reason = 'cell already locked';
+    else if (!teacherFreeSchedule(teacherSchedule, lock.teacherId, lock.day, periods)) reason = 'teacher already locked elsewhere';
+    else if (given.length < givenIds.length) reason = 'unknown resource';
+    else if (given.some((r) => resourceOccupied(resourceSchedule, r.id, lock.day, periods))) reason = 'resource already locked elsewhere';
+    if (reason) {
+      rejected.push({ ...lock, reason });
+      continue;
+    }
+    // Needs the lock does not cover get the best free resource that fits (home room first), if any.
+    // A given resource no need lists stands in for the first uncovered need.
+    const needs = resourceOptions.get(`${lock.classId}|${lock.subjectId}`) || lessonResources(subj, null, schoolData.resources) || [];
+    const resources = given.slice();
+    const open = needs.filter((list) => !list.some((r) => given.includes(r)));
+    const unmatched = given.filter((r) => !needs.some((list) => list.includes(r))).length;
+    for (const list of open.slice(unmatched)) {
+      const r = findFreeResource(list.filter((x) => !resources.includes(x)), resourceSchedule, lock.day, periods);
+      if (r) resources.push(r);
+    }
+
+    placeEntry({
+      classGrid,
+      day: lock.day,
+      periods,
+      subjectId: lock.subjectId,
+      teacherId: lock.teacherId,
+      resources,
+      teacherSchedule,
+      resourceSchedule,
+      teacherLoads,
+    });
+    for (const p of periods) {
+      classGrid[lock.day][p].locked = true;
+      if (lock.fixed) classGrid[lock.day][p].fixed = true;
     }
+    const key = `${lock.classId}|${lock.subjectId}`;
+    takeDemand(demand, key, span, Math.floor(lock.day / weekLength(schoolData)));
+    takeQuota(quotas, key, lock.teacherId, span);
+    placed += 1;
   }
-  return items;
+  return { placed, rejected };
 }
 
-function swapFeasible(a, b, timetable, data, indices) {
-  // Try swapping entries a and b; ensure no teacher/resource conflicts across their target slots
-  const { teachersById, resourcesByType } = indices;
-  const days = data.workingDays;
-  const periods = data.periodsPerDay;
+// Place each lesson group's weekly periods in slots where every class of the group is free and
+// every sub-lesson's teacher (and room) can take it. Days with fewer periods of the group go first,
+// so a group spreads over the week. In a cycle, every week gets its share of group.periods.
+function placeLessonGroups(args) {
+  const {
+    groups,
+    timetable,
+    schoolData,
+    subjectsById,
+    teachersById,
+    resourcesById,
+    teacherSchedule,
+    resourceSchedule,
+    teacherLoads,
+    maxLoadByTeacher,
+    breakPeriods,
+    dayLengths,
+    teachingPeriods,
+    initial,
+  } = args;
+  const weekDays = weekLength(schoolData);
+  const weeks = Math.max(1, Math.round(schoolData.workingDays / weekDays));
+  const periodCount = schoolData.periodsPerDay;
+
+  // Sub-lessons book what their subject needs; a classroom need takes the home rooms of the group's
+  // classes first, then any classroom. The split of students is not known, so capacity is not
+  // checked here.
+  const homeRooms = new Map((schoolData.classes || []).map((c) => [c.id, c.homeRoom]));
+  const classesById = new Map((schoolData.classes || []).map((c) => [c.id, c]));
+  const needsFor = (subjectId, group) => {
+    const subject = subjectsById.get(subjectId) || { id: subjectId };
+    const homes = group.classIds.map((id) => resourcesById.get(homeRooms.get(id))).filter(Boolean);
+    const lists = lessonResources(subject, null, schoolData.resources);
+    if (!lists) return homes.length ? [homes] : [];
+    return subjectResourceNeeds(subject).map((need, i) =>
+      need.type === 'classroom' ? [...homes, ...lists[i].filter((r) => !homes.includes(r))] : lists[i]);
+  };
 
-  const Agrid = timetable[a.classId];
-  const Bgrid = timetable[b.classId];
+  // Teachers and resources for the group's sub-lessons at one slot, or null if any of them cannot make it
+  const bookingsAt = (group, d, p) => {
+    const taken = new Set();
+    const out = [];
+    for (const lesson of group.lessons) {
+      const teacher = teachersById.get(lesson.teacherId);
+      if (!teacher || !checkTeacherAvailability(teacher, d, [p]) || !teacherFreeSchedule(teacherSchedule, teacher.id, d, [p])) return null;
+      if (totalTeacherLoad(teacherLoads, teacher.id) + 1 > (maxLoadByTeacher.get(teacher.id) || 0)) return null;
+      if (!withinDailyLimits(teacher, teacherSchedule.get(teacher.id)?.get(d) || [], [p], teachingPeriods)) return null;
+      // A resource set on the sub-lesson replaces the need it meets (or the first)
+      let needs = needsFor(lesson.subjectId, group);
+      if (lesson.resourceId) {
+        const set = [resourcesById.get(lesson.resourceId)].filter(Boolean);
+        const i = Math.max(0, needs.findIndex((list) => list.includes(set[0])));
+        needs = needs.length ? needs.map((list, k) => (k === i ? set : list)) : [set];
+      }
+      const resources = findFreeResources(needs, resourceSchedule, d, [p], [], taken);
+      if (!resources) return null;
+      for (const r of resources) taken.add(r.id);
+      out.push({ subjectId: lesson.subjectId, teacherId: teacher.id, ...resourceFields(resources) });
+    }
+    return out;
+  };
 
-  const Aentry = Agrid[a.day][a.period];
-  const Bentry = Bgrid[b.day][b.period];
+  for (const group of groups) {
+    const grids = group.classIds.map((id) => timetable[id]);
+    if (grids.some((g) => !g)) continue;
+    // A slot has to exist for every class of the group
+    const dayLength = (d) => Math.min(...group.classIds.map((id) => dayLengths.get(id)?.[d] ?? periodCount));
+    // Periods a sub-lesson's subject forbids for any class of the group
+    const forbidden = new Set();
+    for (const lesson of group.lessons) {
+      const subject = subjectsById.get(lesson.subjectId) || { id: lesson.subjectId };
+      for (const id of group.classIds) {
+        for (const p of getPeriodWindows(subject, classesById.get(id), periodCount)?.forbidden || []) forbidden.add(p);
+      }
+    }
+    const previous = initial?.[group.classIds[0]];
+    const perDay = new Array(schoolData.workingDays).fill(0);
+    for (let n = 0; n < group.periods; n++) {
+      const first = Math.floor((n * weeks) / group.periods) * weekDays;
+      const slots = [];
+      for (let d = first; d < first + weekDays; d++) {
+        for (let p = 0; p < dayLength(d); p++) {
+          if (breakPeriods.has(p) || forbidden.has(p) || grids.some((g) => g[d][p])) continue;
+          slots.push({ d, p, kept: previous?.[d]?.[p]?.groupId === group.id ? 0 : 1 });
+        }
+      }
+      slots.sort((a, b) => a.kept - b.kept || perDay[a.d] - perDay[b.d] || a.d - b.d || a.p - b.p);
+      for (const { d, p } of slots) {
+        const lessons = bookingsAt(group, d, p);
+        if (!lessons) continue;
+        for (const g of grids) g[d][p] = { groupId: group.id, classIds: group.classIds, lessons, locked: true };
+        for (const lesson of lessons) {
+          occupyTeacherSchedule(teacherSchedule, lesson.teacherId, d, [p]);
+          for (const id of lessonResourceIds(lesson)) occupyResource(resourceSchedule, id, d, [p]);
+          incTeacherLoad(teacherLoads, lesson.teacherId);
+        }
+        perDay[d] += 1;
+        break;
+      }
+    }
+  }
+}
 
-  // Determine spans
-  const Aperiods = Aentry.double ? [a.period, a.period + 1] : [a.period];
-  const Bperiods = Bentry.double ? [b.period, b.period + 1] : [b.period];
+// Keep the feasible entries of an existing timetable (e.g. an AI draft), booking them against
+// the weekly demand. A run of cells with the same subject and teacher becomes a block when the
+// class still needs a block of that length.
+function seedFromTimetable(args) {
+  const {
+    initial,
+    timetable,
+    schoolData,
+    subjectsById,
+    teachersById,
+    resourceOptions,
+    teacherSchedule,
+    resourceSchedule,
+    teacherLoads,
+    maxLoadByTeacher,
+    breakPeriods,
+    dayLengths,
+    spreadRules,
+    windowRules,
+    teachingPeriods,
+    demand,
+    quotas,
+  } = args;
+  const days = schoolData.workingDays;
+  const periodCount = schoolData.periodsPerDay;
+  let kept = 0;
+  let discarded = 0;
 
-  if (Aentry.double && a.period + 1 >= periods) return false;
-  if (Bentry.double && b.period + 1 >= periods) return false;
+  for (const cls of schoolData.classes || []) {
+    const src = initial?.[cls.id];
+    const classGrid = timetable[cls.id];
+    if (!Array.isArray(src) || !classGrid) continue;
 
-  // Destination occupancy within target grids
-  // Ensure destination slots are free or belong to the counterpart entry (so swap doesn't overlap others)
-  function destFree(targetGrid, day, perArr, exceptEntry) {
-    for (const p of perArr) {
-      const x = targetGrid[day][p];
-      if (!x) continue;
-      if (x === exceptEntry) continue;
-      // Allow the second half of the same double being moved together
-      if (exceptEntry.double && x.double && x.subjectId === exceptEntry.subjectId && x.teacherId === exceptEntry.teacherId) continue;
-      return false;
-    }
-    return true;
-  }
+    for (let d = 0; d < days; d++) {
+      for (let p = 0; p < periodCount; p++) {
+        const cell = src[d]?.[p];
+        if (!cell || cell.unassigned || !cell.subjectId) continue;
+        // Already consumed as part of a block
+        if (classGrid[d][p]) continue;
+
+        const subj = subjectsById.get(cell.subjectId);
+        const key = `${cls.id}|${cell.subjectId}`;
+        const week = Math.floor(d / weekLength(schoolData));
+        const blocks = demand.get(key)?.[week];
+        const sameLesson = (q) => src[d][q]?.subjectId === cell.subjectId && src[d][q]?.teacherId === cell.teacherId;
+        const span = [3, 2, 1].find((n) => (blocks?.get(n) || 0) > 0 && Array.from({ length: n }, (_, i) => p + i).every(sameLesson));
+        const periods = Array.from({ length: span || 1 }, (_, i) => p + i);
+        const teacher = teachersById.get(cell.teacherId);
+        const spread = spreadRules.get(cls.id)?.get(cell.subjectId);
+        const taughtToday = classGrid[d].filter((e) => e && e.subjectId === cell.subjectId).length;
+
+        const ok =
+          subj &&
+          span &&
+          periods[periods.length - 1] < Math.min(periodCount, dayLengths.get(cls.id)?.[d] ?? periodCount) &&
+          !touchesBreak(breakPeriods, periods) &&
+          !inForbiddenWindow(windowRules.get(cls.id)?.get(cell.subjectId), periods) &&
+          slotsAreFree(classGrid, d, periods) &&
+          teacher &&
+          teacherCanTeach(teacher, cell.subjectId) &&
+          (!quotas || (quotas.get(key)?.get(teacher.id) || 0) >= span) &&
+          checkTeacherAvailability(teacher, d, periods) &&
+          teacherFreeSchedule(teacherSchedule, teacher.id, d, periods) &&
+          totalTeacherLoad(teacherLoads, teacher.id) + periods.length <= (maxLoadByTeacher.get(teacher.id) || 0) &&
+          withinDailyLimits(teacher, teacherSchedule.get(teacher.id)?.get(d) || [], periods, teachingPeriods) &&
+          (!spread?.hard || !spread.maxPerDay || taughtToday + periods.length <= spread.maxPerDay);
+        if (!ok) {
+          discarded += 1;
+          continue;
+        }
 
-  if (!destFree(Bgrid, a.day, Aperiods, Bentry)) return false;
-  if (!destFree(Agrid, b.day, Bperiods, Aentry)) return false;
+        // Keep the suggested resources the lesson may use, otherwise pick the best free ones
+        const resources = findFreeResources(resourceOptions.get(key), resourceSchedule, d, periods, lessonResourceIds(cell));
+        if (!resources) {
+          discarded += 1;
+          continue;
+        }
 
-  // Teacher conflicts at new times: teacher cannot teach two classes at same time
-  function teacherHasConflict(movingEntry, destClassId, day, perArr) {
-    for (const p of perArr) {
-      // Scan all other classes at (day,p)
-      for (const [cid, grid] of Object.entries(timetable)) {
-        if (cid === destClassId) continue; // other classes only
-        const e = grid[day][p];
-        if (!e || e.unassigned) continue;
-        if (e.teacherId && movingEntry.teacherId && e.teacherId === movingEntry.teacherId) return true;
-        if (movingEntry.resourceId && e.resourceId && e.resourceId === movingEntry.resourceId) return true;
+        placeEntry({
+          classGrid,
+          day: d,
+          periods,
+          subjectId: cell.subjectId,
+          teacherId: teacher.id,
+          resources,
+          teacherSchedule,
+          resourceSchedule,
+          teacherLoads,
+        });
+        takeDemand(demand, key, span, week);
+        takeQuota(quotas, key, teacher.id, span);
+        kept += 1;
       }
     }
-    return false;
   }
 
-  if (teacherHasConflict(Aentry, b.classId, b.day, Bperiods)) return false;
-  if (teacherHasConflict(Bentry, a.classId, a.day, Aperiods)) return false;
+  return { kept, discarded };
+}
 
-  return true;
+// ---------------------------------------------------------------------------
+// Why lessons stay unassigned. Every lesson the greedy pass could not place is checked against the
+// final timetable one cause at a time; the first cause that rules out every slot is its reason:
+// { classId, subjectId, span, week?, lessons, code, message, refs: [{ type, id }] }. refs name the
+// setup entities (subject, teacher, class, resource, lessonGroup) to look at.
+// ---------------------------------------------------------------------------
+
+function taughtPeriodsOn(occupancy, teacherId, day) {
+  const row = occupancy.teacher.get(teacherId)?.[day] || [];
+  return row.map((classId, p) => (classId ? p : -1)).filter((p) => p >= 0);
+}
+
+function resourceOpen(occupancy, resource, day, periods) {
+  return resourceFree(resource, day, periods) && periods.every((p) => !occupancy.classAt(occupancy.resource, resource.id, day, p));
+}
+
+function explainUnplaced(item, ctx) {
+  const { data, timetable, occupancy, loads, teachersById, teacherOrder, maxLoadByTeacher, quotas } = ctx;
+  const { classId, subjectId, span } = item;
+  const weekDays = weekLength(data);
+  const multiWeek = data.workingDays > weekDays;
+  const reason = (code, message, refs) => ({ classId, subjectId, span, ...(multiWeek ? { week: item.week } : {}), code, message, refs });
+  const teacherRefs = (ids) => ids.map((id) => ({ type: 'teacher', id }));
+  // Lessons allocated in Setup are only ever tried with their allocated teachers, so say so
+  const named = (ids) => `${item.setup ? `allocated teacher${ids.length > 1 ? 's' : ''} ` : ''}${ids.join(', ')}`;
+  const who = (ids) => `${named(ids)} ${ids.length > 1 ? 'are' : 'is'}`;
+  const block = BLOCK_NAMES[span] || '';
+  const where = `${classId}${multiWeek ? ` in week ${weekName(item.week)}` : ''}`;
+
+  const qualified = teacherOrder.filter((tid) => teacherCanTeach(teachersById.get(tid), subjectId));
+  if (!qualified.length) return reason('no-qualified-teacher', `no teacher qualified for ${subjectId}`, [{ type: 'subject', id: subjectId }]);
+  // With continuity an empty list means the class/subject's allocated teachers ran out of periods
+  const allocated = item.teacherIds && !item.teacherIds.length ? Array.from(quotas?.get(`${classId}|${subjectId}`)?.keys() || []) : null;
+  const candidates = item.teacherIds?.length ? item.teacherIds : allocated?.length ? allocated : qualified;
+  const withLoad = allocated ? [] : candidates.filter((tid) => (loads.get(tid) || 0) + span <= (maxLoadByTeacher.get(tid) || 0));
+  if (!withLoad.length) {
+    const whom = item.setup && candidates.length ? named(candidates) : `all ${allocated?.length ? 'allocated' : 'qualified'} teachers`;
+    return reason('teachers-at-max-load', `${whom} at maxLoad${item.setup && candidates.length ? '' : ` (${candidates.join(', ')})`}`, teacherRefs(candidates));
+  }
+
+  // Free slots of the class in the lesson's week: empty cells, or cells held for this subject
+  // (unassigned markers of other subjects belong to their own lessons)
+  const grid = timetable[classId];
+  const spread = ctx.spreadRules.get(classId)?.get(subjectId);
+  const windows = ctx.windowRules.get(classId)?.get(subjectId);
+  const first = item.week * weekDays;
+  const dayLength = (d) => Math.min(data.periodsPerDay, ctx.dayLengths.get(classId)?.[d] ?? data.periodsPerDay);
+  const slots = [];
+  for (let d = first; d < first + weekDays; d++) {
+    const taught = grid[d].filter((e) => e && !e.unassigned && e.subjectId === subjectId).length;
+    if (spread?.hard && spread.maxPerDay && taught + span > spread.maxPerDay) continue;
+    for (let p = 0; p + span <= dayLength(d); p++) {
+      const periods = Array.from({ length: span }, (_, i) => p + i);
+      if (touchesBreak(ctx.breakPeriods, periods) || inForbiddenWindow(windows, periods)) continue;
+      if (periods.every((q) => !grid[d][q] || (grid[d][q].unassigned && grid[d][q].subjectId === subjectId))) slots.push({ day: d, periods });
+    }
+  }
+  if (!slots.length) {
+    // A class asked for more periods than its week has is the usual cause
+    const cls = (data.classes || []).find((c) => c.id === classId);
+    const weeks = Math.max(1, Math.round(data.workingDays / weekDays));
+    const demand =
+      Object.keys(cls?.subjects || {}).reduce((n, sid) => n + (cls.cyclePeriods?.[sid]?.[item.week] ?? cls.subjects[sid]), 0) +
+      getLessonGroups(data).reduce((n, g) => n + (g.classIds.includes(classId) ? Math.ceil(g.periods / weeks) : 0), 0);
+    let open = 0;
+    for (let d = first; d < first + weekDays; d++) for (let p = 0; p < dayLength(d); p++) if (!ctx.breakPeriods.has(p)) open += 1;
+    const over = demand > open ? ` (it needs ${demand} periods a week but has ${open})` : '';
+    return reason('no-class-slot', `${where} has no free ${block}slot${over}`, [{ type: 'class', id: classId }]);
+  }
+
+  // Teachers who could take each slot, narrowed one rule at a time
+  const narrow = (lists, keep) => lists.map((list, i) => list.filter((tid) => keep(tid, slots[i])));
+  const available = narrow(slots.map(() => withLoad), (tid, s) => checkTeacherAvailability(teachersById.get(tid), s.day, s.periods));
+  if (available.every((l) => !l.length)) {
+    return reason('teacher-unavailable', `${who(withLoad)} not available in any free ${block}slot of ${where}`, teacherRefs(withLoad));
+  }
+  const free = narrow(available, (tid, s) => !busyElsewhere(occupancy, null, s.day, s.periods, tid));
+  if (free.every((l) => !l.length)) {
+    return reason('teacher-busy', `${who(withLoad)} teaching other classes in every free ${block}slot of ${where}`, teacherRefs(withLoad));
+  }
+  const fit = narrow(free, (tid, s) => withinDailyLimits(teachersById.get(tid), taughtPeriodsOn(occupancy, tid, s.day), s.periods, ctx.teachingPeriods));
+  if (fit.every((l) => !l.length)) {
+    return reason('teacher-daily-limit', `${named(withLoad)} would break their daily limits in every free ${block}slot of ${where}`, teacherRefs(withLoad));
+  }
+
+  // Resources in the slots a teacher can take
+  const open = slots.filter((_, i) => fit[i].length);
+  const needs = ctx.resourceOptions.get(`${classId}|${subjectId}`) || [];
+  for (const list of needs) {
+    if (!list.length) return reason('no-resource', `no resource fits ${subjectId} for ${classId}`, [{ type: 'subject', id: subjectId }, { type: 'class', id: classId }]);
+    if (open.some((s) => list.some((r) => resourceOpen(occupancy, r, s.day, s.periods)))) continue;
+    const what = list.length === 1 ? `${list[0].type} ${list[0].id}` : `every ${list[0].type} (${list.map((r) => r.id).join(', ')})`;
+    return reason('resource-booked', `${what} fully booked in the remaining free slots of ${where}`, list.map((r) => ({ type: 'resource', id: r.id })));
+  }
+  const combos = resourceCombos(needs);
+  if (open.some((s) => combos.some((combo) => combo.every((r) => resourceOpen(occupancy, r, s.day, s.periods))))) {
+    return reason('slot-opened', `a ${block}slot of ${where} opened up after it was given up; Repair can fill it`, [{ type: 'class', id: classId }]);
+  }
+  return reason('no-common-slot', `no free ${block}slot of ${where} has a teacher and every resource free at once`, [
+    { type: 'class', id: classId },
+    ...teacherRefs(withLoad),
+  ]);
+}
+
+// Periods a lesson group is short of: either its classes share no free period, or the sub-lesson
+// teachers (and rooms) are never all free in one
+function explainUnplacedGroup(group, missing, ctx) {
+  const { data, timetable, occupancy, loads, maxLoadByTeacher, teachersById } = ctx;
+  const teachers = group.lessons.map((l) => l.teacherId);
+  const reason = (code, message, refs) => ({ groupId: group.id, classIds: group.classIds, lessons: missing, code, message, refs: [{ type: 'lessonGroup', id: group.id }, ...refs] });
+  const full = teachers.filter((tid) => (loads.get(tid) || 0) + 1 > (maxLoadByTeacher.get(tid) || 0));
+  if (full.length) return reason('teachers-at-max-load', `${full.join(', ')} at maxLoad`, full.map((id) => ({ type: 'teacher', id })));
+  const slots = [];
+  for (let d = 0; d < data.workingDays; d++) {
+    for (let p = 0; p < data.periodsPerDay; p++) {
+      if (ctx.breakPeriods.has(p)) continue;
+      if (group.classIds.every((id) => p < (ctx.dayLengths.get(id)?.[d] ?? data.periodsPerDay) && (!timetable[id]?.[d][p] || timetable[id][d][p].unassigned))) slots.push({ d, p });
+    }
+  }
+  if (!slots.length) return reason('no-class-slot', `${group.classIds.join(', ')} share no free period`, group.classIds.map((id) => ({ type: 'class', id })));
+  const teachersFree = ({ d, p }) =>
+    teachers.every((tid) => checkTeacherAvailability(teachersById.get(tid) || {}, d, [p]) && !busyElsewhere(occupancy, null, d, [p], tid));
+  if (!slots.some(teachersFree)) {
+    return reason('teacher-busy', `${teachers.join(', ')} are never all free in a period ${group.classIds.join(', ')} share`, teachers.map((id) => ({ type: 'teacher', id })));
+  }
+  return reason('no-common-slot', `no shared free period has every teacher and room of the group free`, []);
+}
+
+// Reasons for every lesson left unassigned, identical ones merged with a lesson count
+function explainUnassigned(unplaced, ctx, lessonGroups) {
+  const out = new Map();
+  for (const item of unplaced) {
+    const r = explainUnplaced(item, ctx);
+    const key = `${r.classId}|${r.subjectId}|${r.span}|${r.week ?? ''}|${r.code}`;
+    if (out.has(key)) out.get(key).lessons += 1;
+    else out.set(key, { ...r, lessons: 1 });
+  }
+  const groupsById = new Map(getLessonGroups(ctx.data).map((g) => [g.id, g]));
+  for (const g of lessonGroups || []) {
+    if (g.placed < g.periods && groupsById.has(g.groupId)) out.set(`group|${g.groupId}`, explainUnplacedGroup(groupsById.get(g.groupId), g.periods - g.placed, ctx));
+  }
+  return Array.from(out.values());
+}
+
+// ---------------------------------------------------------------------------
+// Exact solver: backtracking with forward checking, most-constrained lesson first.
+// Identical lessons (class, subject, block length, teacher) form one group placed in increasing slot
+// order (symmetry breaking). Either finds a complete assignment or, when the
+// search space is exhausted, shrinks the demand to an irreducible conflicting set.
+// ---------------------------------------------------------------------------
+
+function groupRequiredItems(required) {
+  const groups = new Map();
+  for (const item of required) {
+    // Blocks of different lengths or weeks give one group each; a split allocation stays one group
+    // that prefers all of its teachers
+    const key = `${item.classId}|${item.subjectId}|${item.span}|${item.week}`;
+    if (groups.has(key)) {
+      const g = groups.get(key);
+      if (item.teacherIds) g.teacherIds = Array.from(new Set([...(g.teacherIds || []), ...item.teacherIds]));
+    } else {
+      groups.set(key, {
+        key,
+        classId: item.classId,
+        subjectId: item.subjectId,
+        teacherIds: item.teacherIds,
+        setup: item.setup,
+        quota: item.quota,
+        span: item.span,
+        week: item.week,
+        needs: item.needs,
+        spread: item.spread,
+        windows: item.windows,
+        count: 0,
+      });
+    }
+    groups.get(key).count += 1;
+  }
+  return Array.from(groups.values());
+}
+
+// Every way to meet a lesson's needs with distinct resources ([[]] when it books nothing)
+function resourceCombos(needs) {
+  let combos = [[]];
+  for (const list of needs || []) {
+    combos = combos.flatMap((c) => list.filter((r) => !c.includes(r)).map((r) => [...c, r]));
+  }
+  return combos;
+}
+
+// Statically feasible placements for one lesson of a group, ordered by slot position. A class/subject
+// allocated in Setup only takes its allocated teachers (within their quotas, see solveBacktracking).
+// Otherwise every qualified teacher is a value, so infeasibility holds for the data and not just one
+// automatic allocation; the auto-allocated teacher's placements are marked and tried first.
+function buildGroupDomain(group, ctx) {
+  const { dayCount, weekDays = dayCount, periodCount, breakPeriods, dayLengths, teacherOrder, teachersById, maxLoadByTeacher } = ctx;
+  const span = group.span;
+  const combos = resourceCombos(group.needs);
+  const domain = [];
+  const first = (group.week || 0) * weekDays;
+  for (let d = first; d < first + weekDays; d++) {
+    const dayLength = Math.min(periodCount, dayLengths?.get(group.classId)?.[d] ?? periodCount);
+    for (let p = 0; p + span - 1 < dayLength; p++) {
+      const periods = Array.from({ length: span }, (_, i) => p + i);
+      if (touchesBreak(breakPeriods, periods)) continue;
+      if (inForbiddenWindow(group.windows, periods)) continue;
+      for (const teacherId of group.setup ? teacherOrder.filter((tid) => group.quota?.get(tid) > 0) : teacherOrder) {
+        const t = teachersById.get(teacherId);
+        if (!t || !teacherCanTeach(t, group.subjectId)) continue;
+        if (!checkTeacherAvailability(t, d, periods)) continue;
+        if ((maxLoadByTeacher.get(teacherId) || 0) < span) continue;
+        const allocated = !group.teacherIds?.length || group.teacherIds.includes(teacherId);
+        for (const resources of combos) {
+          if (!resources.every((r) => resourceFree(r, d, periods))) continue;
+          domain.push({ pos: d * periodCount + p, day: d, periods, teacherId, resources, allocated });
+        }
+      }
+    }
+  }
+  return domain;
+}
+
+const BLOCK_NAMES = { 2: 'double ', 3: 'triple ' };
+
+function describeConflictGroup(group) {
+  return {
+    classId: group.classId,
+    subjectId: group.subjectId,
+    lessons: group.count,
+    periods: group.count * group.span,
+    teachers: Array.from(new Set(group.domain.map((c) => c.teacherId))),
+    resources: Array.from(new Set(group.domain.flatMap((c) => c.resources.map((r) => r.id)))),
+    ...(group.setup ? { allocated: Array.from(group.quota.keys()) } : {}),
+    message: `${group.classId} needs ${group.count} ${BLOCK_NAMES[group.span] || ''}${group.subjectId} lesson(s)${
+      group.setup ? ` from ${Array.from(group.quota, ([tid, n]) => `${tid} (${n})`).join(', ')} as allocated in Setup` : ''
+    }`,
+  };
+}
+
+function solveBacktracking(args) {
+  const {
+    required,
+    timetable,
+    teacherSchedule,
+    resourceSchedule,
+    teacherLoads,
+    maxLoadByTeacher,
+    learnedPenalties,
+    breakPeriods,
+    dayLengths,
+    teachersById,
+    teachingPeriods,
+    timeBudgetMs,
+  } = args;
+  const t0 = Date.now();
+  const deadline = t0 + Math.max(0, timeBudgetMs ?? 5000);
+  let nodes = 0;
+  let timedOut = false;
+
+  // Occupancy already fixed before the search (e.g. seeded lessons)
+  const baseBusy = new Set();
+  for (const [classId, grid] of Object.entries(timetable)) {
+    grid.forEach((row, d) => row.forEach((e, p) => { if (e) baseBusy.add(`c|${classId}|${d}|${p}`); }));
+  }
+  for (const [tid, dayMap] of teacherSchedule) {
+    for (const [d, used] of dayMap) for (const p of used) baseBusy.add(`t|${tid}|${d}|${p}`);
+  }
+  for (const [rid, dayMap] of resourceSchedule) {
+    for (const [d, used] of dayMap) for (const p of used) baseBusy.add(`r|${rid}|${d}|${p}`);
+  }
+
+  const groups = groupRequiredItems(required);
+  for (const g of groups) g.domain = buildGroupDomain(g, args);
+
+  // Periods of the group's subject already in the class timetable (seeded lessons), by day
+  function taughtPerDay(g) {
+    const perDay = new Map();
+    timetable[g.classId].forEach((row, d) => {
+      const n = row.filter((e) => e && !e.unassigned && e.subjectId === g.subjectId).length;
+      if (n) perDay.set(d, n);
+    });
+    return perDay;
+  }
+
+  function fits(state, g, cand) {
+    for (const p of cand.periods) {
+      if (state.busy.has(`c|${g.classId}|${cand.day}|${p}`)) return false;
+      if (state.busy.has(`t|${cand.teacherId}|${cand.day}|${p}`)) return false;
+      if (cand.resources.some((r) => state.busy.has(`r|${r.id}|${cand.day}|${p}`))) return false;
+    }
+    if ((state.loads.get(cand.teacherId) || 0) + cand.periods.length > (maxLoadByTeacher.get(cand.teacherId) || 0)) return false;
+    // An allocation made in Setup gives each of its teachers a number of periods
+    if (g.setup && (state.quotaUsed.get(`${g.classId}|${g.subjectId}|${cand.teacherId}`) || 0) + cand.periods.length > (g.quota.get(cand.teacherId) || 0)) return false;
+    const teacher = teachersById.get(cand.teacherId);
+    if (!hasDailyLimits(teacher)) return true;
+    const taught = teachingPeriods.filter((p) => state.busy.has(`t|${cand.teacherId}|${cand.day}|${p}`));
+    return withinDailyLimits(teacher, taught, cand.periods, teachingPeriods);
+  }
+
+  function occupy(state, g, cand, on) {
+    for (const p of cand.periods) {
+      const keys = [`c|${g.classId}|${cand.day}|${p}`, `t|${cand.teacherId}|${cand.day}|${p}`];
+      for (const r of cand.resources) keys.push(`r|${r.id}|${cand.day}|${p}`);
+      for (const k of keys) (on ? state.busy.add(k) : state.busy.delete(k));
+    }
+    const by = on ? cand.periods.length : -cand.periods.length;
+    state.loads.set(cand.teacherId, (state.loads.get(cand.teacherId) || 0) + by);
+    const used = `${g.classId}|${g.subjectId}|${cand.teacherId}`;
+    state.quotaUsed.set(used, (state.quotaUsed.get(used) || 0) + by);
+  }
+
+  // Teaching slots that exist for a class: inside its day and off every break
+  const slotExists = (classId, d, p) => !breakPeriods.has(p) && p < (dayLengths?.get(classId)?.[d] ?? Infinity);
+
+  // Open teaching slots per class, before any lesson of the search is placed
+  const classCapacity = new Map();
+  for (const [classId, grid] of Object.entries(timetable)) {
+    let free = 0;
+    grid.forEach((row, d) => row.forEach((e, p) => {
+      if (slotExists(classId, d, p) && !baseBusy.has(`c|${classId}|${d}|${p}`)) free += 1;
+    }));
+    classCapacity.set(classId, free);
+  }
+  for (const g of groups) g.teacherSet = Array.from(new Set(g.domain.map((c) => c.teacherId))).sort();
+
+  // Counting bounds: a class cannot take more periods than it has open slots, and groups that
+  // can only be taught by a set of teachers cannot exceed that set's remaining load.
+  function capacityViolation(state, open) {
+    const classDemand = new Map();
+    for (const a of open) {
+      const need = a.remaining * a.g.span;
+      classDemand.set(a.g.classId, (classDemand.get(a.g.classId) || 0) + need);
+    }
+    for (const [classId, need] of classDemand) {
+      let free = 0;
+      const grid = timetable[classId];
+      for (let d = 0; d < grid.length; d++) {
+        for (let p = 0; p < grid[d].length; p++) {
+          if (slotExists(classId, d, p) && !state.busy.has(`c|${classId}|${d}|${p}`)) free += 1;
+        }
+      }
+      if (need > free) return { kind: 'class', classId, need, available: free };
+    }
+    const sets = new Map(open.map((a) => [a.g.teacherSet.join(','), a.g.teacherSet]));
+    for (const [key, teachers] of sets) {
+      let need = 0;
+      for (const a of open) {
+        if (a.g.teacherSet.every((t) => teachers.includes(t))) need += a.remaining * a.g.span;
+      }
+      const available = teachers.reduce((acc, t) => acc + Math.max(0, (maxLoadByTeacher.get(t) || 0) - (state.loads.get(t) || 0)), 0);
+      if (need > available) return { kind: 'teacher', teachers: key, need, available };
+    }
+    return null;
+  }
+
+  // Returns { status: 'solved' | 'infeasible' | 'timeout', assignment }
+  function search(subset) {
+    const state = { busy: new Set(baseBusy), loads: new Map(teacherLoads), quotaUsed: new Map() };
+    // Groups of one class/subject split between teachers share the per-day counts
+    const perDayByPair = new Map();
+    const active = subset.map((g) => {
+      const pair = `${g.classId}|${g.subjectId}`;
+      if (!perDayByPair.has(pair)) perDayByPair.set(pair, { perDay: taughtPerDay(g), groups: 0 });
+      perDayByPair.get(pair).groups += 1;
+      return { g, remaining: g.count, last: -1, pair: perDayByPair.get(pair) };
+    });
+    for (const a of active) {
+      a.perDay = a.pair.perDay;
+      a.solo = a.pair.groups === 1;
+    }
+    const assignment = [];
+
+    function dfs() {
+      nodes += 1;
+      if ((nodes & 255) === 0 && Date.now() > deadline) timedOut = true;
+      if (timedOut) return false;
+
+      const open = active.filter((a) => a.remaining > 0);
+      if (capacityViolation(state, open)) return false;
+
+      // Forward check every open group; pick the one with the fewest live values
+      let best = null;
+      let bestFits = null;
+      for (const a of open) {
+        const live = [];
+        const positions = new Set();
+        const hardSpread = a.g.spread?.hard ? a.g.spread : null;
+        for (const cand of a.g.domain) {
+          if (cand.pos <= a.last) continue;
+          if (!fits(state, a.g, cand)) continue;
+          if (hardSpread?.maxPerDay && (a.perDay.get(cand.day) || 0) + cand.periods.length > hardSpread.maxPerDay) continue;
+          live.push(cand);
+          positions.add(cand.pos);
+        }
+        if (positions.size < a.remaining) return false;
+        // A hard minDays rule needs enough untouched days still reachable (when one group holds the subject)
+        if (hardSpread?.minDays && a.solo) {
+          const used = Array.from(a.perDay.values()).filter((n) => n > 0).length;
+          const fresh = new Set(live.filter((c) => !a.perDay.get(c.day)).map((c) => c.day)).size;
+          if (used + Math.min(a.remaining, fresh) < hardSpread.minDays) return false;
+        }
+        if (!best || live.length < bestFits.length || (live.length === bestFits.length && a.remaining > best.remaining)) {
+          best = a;
+          bestFits = live;
+        }
+      }
+      if (!best) return true;
+
+      // Value order: the allocated teacher, learned cost, then spread across days, then slot position
+      const ranked = bestFits
+        .map((cand) => ({
+          cand,
+          other: cand.allocated ? 0 : 1,
+          cost: learnedSlotCost(learnedPenalties, best.g.subjectId, cand.teacherId, cand.periods),
+          sameDay: best.perDay.get(cand.day) || 0,
+        }))
+        .sort((x, y) => x.other - y.other || x.cost - y.cost || x.sameDay - y.sameDay || x.cand.pos - y.cand.pos);
+
+      for (const { cand } of ranked) {
+        const prevLast = best.last;
+        occupy(state, best.g, cand, true);
+        best.remaining -= 1;
+        best.last = cand.pos;
+        best.perDay.set(cand.day, (best.perDay.get(cand.day) || 0) + cand.periods.length);
+        assignment.push({ group: best.g, cand });
+        if (dfs()) return true;
+        assignment.pop();
+        best.perDay.set(cand.day, best.perDay.get(cand.day) - cand.periods.length);
+        best.last = prevLast;
+        best.remaining += 1;
+        occupy(state, best.g, cand, false);
+        if (timedOut) return false;
+      }
+      return false;
+    }
+
+    const ok = dfs();
+    return { status: ok ? 'solved' : timedOut ? 'timeout' : 'infeasible', assignment };
+  }
+
+  const finish = (result) => ({ ...result, nodes, timeMs: Date.now() - t0 });
+
+  // Explain a conflicting set by the first bound it breaks, else by exhausted search
+  function explain(subset) {
+    const state = { busy: baseBusy, loads: new Map(teacherLoads) };
+    const v = capacityViolation(state, subset.map((g) => ({ g, remaining: g.count })));
+    if (v?.kind === 'class') return `${v.classId} needs ${v.need} periods but has ${v.available} open slots`;
+    if (v?.kind === 'teacher') return `Only ${v.teachers || 'no teacher'} can teach these lessons: ${v.need} periods needed, ${v.available} left within maxLoad`;
+    return `No arrangement of these lessons satisfies teacher, resource and slot constraints${subset.some((g) => g.setup) ? ' with the teachers allocated in Setup' : ''}`;
+  }
+
+  // Groups that cannot fit even on an empty timetable are conflicts on their own
+  const selfConflicting = groups.filter((g) => new Set(g.domain.map((c) => c.pos)).size < g.count);
+  if (selfConflicting.length) {
+    const g = selfConflicting[0];
+    return finish({
+      status: 'infeasible',
+      minimal: true,
+      reason: `${g.classId} ${g.subjectId}: only ${new Set(g.domain.map((c) => c.pos)).size} usable slot(s) for ${g.count} lesson(s)${g.setup ? ' with its allocated teachers' : ''}`,
+      conflicts: [describeConflictGroup(g)],
+    });
+  }
+
+  const full = search(groups);
+  if (full.status === 'solved') {
+    for (const { group, cand } of full.assignment) {
+      placeEntry({
+        classGrid: timetable[group.classId],
+        day: cand.day,
+        periods: cand.periods,
+        subjectId: group.subjectId,
+        teacherId: cand.teacherId,
+        resources: cand.resources,
+        teacherSchedule,
+        resourceSchedule,
+        teacherLoads,
+      });
+    }
+    return finish({ status: 'solved' });
+  }
+  if (full.status === 'timeout') return finish({ status: 'timeout' });
+
+  // Deletion filter: drop every demand group whose removal keeps the rest infeasible
+  let core = groups.slice();
+  let minimal = true;
+  for (const g of groups) {
+    if (Date.now() > deadline) {
+      minimal = false;
+      break;
+    }
+    const trial = core.filter((x) => x !== g);
+    const res = search(trial);
+    if (res.status === 'infeasible') core = trial;
+    else if (res.status === 'timeout') {
+      minimal = false;
+      break;
+    }
+  }
+  return finish({ status: 'infeasible', minimal, reason: explain(core), conflicts: core.map(describeConflictGroup) });
+}
+
+// Periods covered by a lesson starting at `period` (blocks carry their length; older doubles do not)
+function entrySpan(entry, period) {
+  const n = entry.double ? entry.span || 2 : 1;
+  return Array.from({ length: n }, (_, i) => period + i);
+}
+
+// Writes that put a lesson (every period of its block) at a start period
+function blockWrites(classId, entry, day, period) {
+  return entrySpan(entry, period).map((p, i) => ({
+    classId,
+    day,
+    period: p,
+    value: { ...entry, headOfDouble: entry.double ? i === 0 : undefined },
+  }));
+}
+
+// Periods a class has on a day (ctx.dayLengths, capped at periodsPerDay)
+function classDayLength(ctx, classId, day) {
+  return Math.min(ctx.data.periodsPerDay, ctx.dayLengths?.get(classId)?.[day] ?? Infinity);
+}
+
+function swapFeasible(a, b, timetable, data, indices) {
+  // Swap the time slots of two lessons of the same class, so the class keeps its subject counts.
+  // Ensure no teacher/resource conflicts or unavailability across their target slots.
+  const { teachersById, resourcesById, breakPeriods } = indices;
+  const periods = data.periodsPerDay;
+  if (a.classId !== b.classId) return false;
+
+  const grid = timetable[a.classId];
+  const Aentry = grid[a.day][a.period];
+  const Bentry = grid[b.day][b.period];
+
+  const Anew = entrySpan(Aentry, b.period);
+  const Bnew = entrySpan(Bentry, a.period);
+  if (Anew[Anew.length - 1] >= periods || Bnew[Bnew.length - 1] >= periods) return false;
+  if (Anew[Anew.length - 1] >= classDayLength(indices, a.classId, b.day) || Bnew[Bnew.length - 1] >= classDayLength(indices, a.classId, a.day)) return false;
+  if (a.day === b.day && Anew.some((p) => Bnew.includes(p))) return false;
+  if (touchesBreak(breakPeriods, Anew) || touchesBreak(breakPeriods, Bnew)) return false;
+
+  // Destination cells must be empty or vacated by the swap itself
+  const vacated = new Set([
+    ...entrySpan(Aentry, a.period).map((p) => `${a.day}|${p}`),
+    ...entrySpan(Bentry, b.period).map((p) => `${b.day}|${p}`),
+  ]);
+  const freeAfterSwap = (day, perArr) => perArr.every((p) => !grid[day][p] || vacated.has(`${day}|${p}`));
+  if (!freeAfterSwap(b.day, Anew) || !freeAfterSwap(a.day, Bnew)) return false;
+
+  // Availability at new times
+  function availableAt(entry, day, perArr) {
+    const t = teachersById.get(entry.teacherId);
+    if (t && !checkTeacherAvailability(t, day, perArr)) return false;
+    for (const id of lessonResourceIds(entry)) {
+      const r = resourcesById.get(id);
+      if (r && !resourceFree(r, day, perArr)) return false;
+    }
+    return true;
+  }
+
+  if (!availableAt(Aentry, b.day, Anew) || !availableAt(Bentry, a.day, Bnew)) return false;
+
+  // Teacher conflicts at new times: teacher cannot teach two classes at same time
+  const { occupancy } = indices;
+  if (busyElsewhere(occupancy, a.classId, b.day, Anew, Aentry.teacherId, lessonResourceIds(Aentry))) return false;
+  if (busyElsewhere(occupancy, a.classId, a.day, Bnew, Bentry.teacherId, lessonResourceIds(Bentry))) return false;
+
+  // Teachers' daily limits once the two lessons trade places
+  const moves = [
+    { entry: Aentry, fromDay: a.day, fromPeriods: entrySpan(Aentry, a.period), toDay: b.day, toPeriods: Anew },
+    { entry: Bentry, fromDay: b.day, fromPeriods: entrySpan(Bentry, b.period), toDay: a.day, toPeriods: Bnew },
+  ]
+    .filter((m) => !m.entry.unassigned && m.entry.teacherId)
+    .map((m) => ({ ...m, teacherId: m.entry.teacherId }));
+  return dailyLimitsHold(occupancy, teachersById, indices.teachingPeriods, moves);
+}
+
+// Teacher/resource occupancy index: id -> day -> period -> classId. Lets feasibility checks
+// look up a slot directly instead of scanning every class.
+function createOccupancy(timetable, data) {
+  const teacher = new Map();
+  const resource = new Map();
+  const slotsFor = (index, id) => {
+    if (!index.has(id)) {
+      index.set(id, Array.from({ length: data.workingDays }, () => new Array(data.periodsPerDay).fill(null)));
+    }
+    return index.get(id);
+  };
+  const occupancy = {
+    teacher,
+    resource,
+    classAt(index, id, day, period) {
+      return index.get(id)?.[day]?.[period] ?? null;
+    },
+    add(classId, entry, day, period) {
+      for (const lesson of cellBookings(classId, entry)) {
+        if (lesson.teacherId) slotsFor(teacher, lesson.teacherId)[day][period] = classId;
+        for (const id of lessonResourceIds(lesson)) slotsFor(resource, id)[day][period] = classId;
+      }
+    },
+    remove(classId, entry, day, period) {
+      for (const lesson of cellBookings(classId, entry)) {
+        const t = teacher.get(lesson.teacherId);
+        if (t && t[day][period] === classId) t[day][period] = null;
+        for (const id of lessonResourceIds(lesson)) {
+          const r = resource.get(id);
+          if (r && r[day][period] === classId) r[day][period] = null;
+        }
+      }
+    },
+  };
+  for (const [classId, grid] of Object.entries(timetable)) {
+    grid.forEach((row, d) => row.forEach((e, p) => occupancy.add(classId, e, d, p)));
+  }
+  return occupancy;
+}
+
+function busyElsewhere(occupancy, exceptClassId, day, periods, teacherId, resourceIds = []) {
+  for (const p of periods) {
+    const byTeacher = teacherId ? occupancy.classAt(occupancy.teacher, teacherId, day, p) : null;
+    if (byTeacher && byTeacher !== exceptClassId) return true;
+    for (const id of resourceIds) {
+      const byResource = occupancy.classAt(occupancy.resource, id, day, p);
+      if (byResource && byResource !== exceptClassId) return true;
+    }
+  }
+  return false;
+}
+
+// Incremental scoring: a move only changes the class-day rows and teacher-days it touches,
+// so a candidate costs O(affected slots) rather than a full computeDiagnostics pass.
+function createEvaluator(timetable, ctx) {
+  const { occupancy, learnedPenalties, teachingPeriods, weights, spreadRules, windowRules, teachersById } = ctx;
+
+  function affected(changes) {
+    const rows = new Set();
+    const classes = new Set();
+    const teacherDays = new Set();
+    for (const c of changes) {
+      rows.add(`${c.classId}|${c.day}`);
+      if (spreadRules.has(c.classId)) classes.add(c.classId);
+      for (const e of [c.before, c.after]) {
+        if (e && !e.unassigned && e.teacherId) teacherDays.add(`${e.teacherId}|${c.day}`);
+      }
+    }
+    return { rows, classes, teacherDays };
+  }
+
+  // { penalty, hard }: soft score of the scope and its count of hard-rule violations
+  function localScore({ rows, classes, teacherDays }) {
+    let total = 0;
+    let hard = 0;
+    for (const key of rows) {
+      const sep = key.lastIndexOf('|');
+      const classId = key.slice(0, sep);
+      const row = classDayPenalty(
+        timetable[classId][Number(key.slice(sep + 1))],
+        learnedPenalties,
+        weights,
+        spreadRules.get(classId),
+        windowRules.get(classId)
+      );
+      total += row.penalty;
+      hard += row.hardOverMax + row.forbidden;
+    }
+    for (const classId of classes) {
+      const week = weekShortfall(timetable[classId], spreadRules.get(classId), weekLength(ctx.data));
+      total += week.shortfall * weights.subjectMinDays;
+      hard += week.hard;
+    }
+    for (const key of teacherDays) {
+      const sep = key.lastIndexOf('|');
+      const slots = occupancy.teacher.get(key.slice(0, sep))?.[Number(key.slice(sep + 1))];
+      if (!slots) continue;
+      const teacher = teachersById.get(key.slice(0, sep));
+      const ex = teacherDayExcess(slots, teacher, teachingPeriods);
+      const pref = teacherDayPreference(slots, teacher, Number(key.slice(sep + 1)));
+      total += teacherDayGaps(slots, teachingPeriods) * weights.teacherGap + ex.under * weights.teacherMinPerDay;
+      total += pref.avoided * weights.teacherAvoidedPeriod + pref.preferred * weights.teacherPreferredPeriod;
+      hard += ex.overMax + ex.overRun;
+    }
+    return { penalty: total, hard };
+  }
+
+  return {
+    // Apply a move and return the change in total penalty and in hard-rule violations
+    applyAndScore(changes) {
+      const scope = affected(changes);
+      // Load balance is global but only moves that hand lessons to another teacher change it
+      const reassigns = changes.some((c) => (c.before?.teacherId || null) !== (c.after?.teacherId || null));
+      const before = localScore(scope);
+      const loadBefore = reassigns ? loadSpread(ctx.loads, ctx.data.teachers) : 0;
+      applyChanges(timetable, changes, ctx);
+      const after = localScore(scope);
+      const loadAfter = reassigns ? loadSpread(ctx.loads, ctx.data.teachers) : 0;
+      return {
+        delta: after.penalty - before.penalty + (loadAfter - loadBefore) * weights.teacherLoadBalance,
+        hardDelta: after.hard - before.hard,
+      };
+    },
+  };
 }
 
-function applySwap(a, b, timetable) {
-  const Agrid = timetable[a.classId];
-  const Bgrid = timetable[b.classId];
-  const A = Agrid[a.day][a.period];
-  const B = Bgrid[b.day][b.period];
+// Hard spread, forbidden-window and teacher daily-limit violations over the whole timetable
+// (full evaluation mode)
+function countHardViolations(timetable, ctx) {
+  let hard = 0;
+  for (const [classId, rules] of ctx.windowRules) {
+    const grid = timetable[classId];
+    if (!grid) continue;
+    grid.forEach((row) => row.forEach((e, p) => {
+      if (e && !e.unassigned && inForbiddenWindow(rules.get(e.subjectId), [p])) hard += 1;
+    }));
+  }
+  for (const [classId, spread] of ctx.spreadRules) {
+    const grid = timetable[classId];
+    if (!grid) continue;
+    hard += weekShortfall(grid, spread, weekLength(ctx.data)).hard;
+    for (const row of grid) hard += dayOverMax(row, spread).hard;
+  }
+  for (const [tid, days] of ctx.occupancy.teacher) {
+    const teacher = ctx.teachersById.get(tid);
+    if (!hasDailyLimits(teacher)) continue;
+    for (const slots of days) {
+      const ex = teacherDayExcess(slots, teacher, ctx.teachingPeriods);
+      hard += ex.overMax + ex.overRun;
+    }
+  }
+  return hard;
+}
 
-  // Clear original spans
-  function clearSpan(grid, day, startEntry) {
-    const periods = startEntry.double ? [startEntry, grid[day][a.period + 1]] : [startEntry];
+// ---------------------------------------------------------------------------
+// Metaheuristic optimizer
+// Moves are lists of cell changes { classId, day, period, before, after }, so every
+// move type shares one apply/undo path. Strategies decide which moves to keep:
+//   'hill'   - accept strictly improving moves only
+//   'anneal' - simulated annealing with a geometric temperature schedule
+//   'tabu'   - best of a sampled neighbourhood, recently vacated positions are tabu
+// ---------------------------------------------------------------------------
+
+const DEFAULT_MOVE_WEIGHTS = { swap: 0.35, move: 0.3, teacher: 0.15, kempe: 0.2 };
+
+// Turn ordered cell writes into unique changes that remember the previous value
+function makeChanges(timetable, writes) {
+  const byCell = new Map();
+  for (const w of writes) {
+    const key = `${w.classId}|${w.day}|${w.period}`;
+    const prev = byCell.get(key);
+    if (prev) prev.after = w.value;
+    else byCell.set(key, { classId: w.classId, day: w.day, period: w.period, before: timetable[w.classId][w.day][w.period], after: w.value });
   }
+  return Array.from(byCell.values());
+}
 
-  // Move A -> B location
-  function moveEntry(srcGrid, src, dstGrid, dst) {
-    const entry = srcGrid[src.day][src.period];
-    const span = entry.double ? [0, 1] : [0];
+// Apply (or undo) cell changes, keeping teacher loads and the occupancy index in step
+function applyChanges(timetable, changes, ctx, undo = false) {
+  const { loads, occupancy } = ctx;
+  for (const c of changes) {
+    const from = undo ? c.after : c.before;
+    occupancy.remove(c.classId, from, c.day, c.period);
+    if (from && !from.unassigned && from.teacherId) loads.set(from.teacherId, (loads.get(from.teacherId) || 0) - 1);
+  }
+  for (const c of changes) {
+    const to = undo ? c.before : c.after;
+    timetable[c.classId][c.day][c.period] = to;
+    occupancy.add(c.classId, to, c.day, c.period);
+    if (to && !to.unassigned && to.teacherId) loads.set(to.teacherId, (loads.get(to.teacherId) || 0) + 1);
+  }
+}
+
+// Writes that clear a lesson's span and place it (possibly modified) at a new start period
+function relocateWrites(classId, entry, from, to) {
+  const writes = entrySpan(entry, from.period).map((p) => ({ classId, day: from.day, period: p, value: null }));
+  return writes.concat(blockWrites(classId, entry, to.day, to.period));
+}
+
+// Random lesson head (skips empties and unassigned markers; a pick inside a block moves to its head).
+// Given a day, only looks at that day's week of the cycle.
+function pickLesson(timetable, classIds, rng, data, sameWeekAs = null) {
+  for (let tries = 0; tries < 12; tries++) {
+    const classId = rng.pick(classIds);
+    const day = sameWeekAs === null ? Math.floor(rng.nextFloat() * data.workingDays) : randomDayInWeek(data, sameWeekAs, rng);
+    let period = Math.floor(rng.nextFloat() * data.periodsPerDay);
+    let entry = timetable[classId]?.[day]?.[period];
+    while (entry?.double && entry.headOfDouble === false && period > 0) {
+      period -= 1;
+      entry = timetable[classId][day][period];
+    }
+    if (entry && !entry.unassigned && !entry.locked) return { classId, day, period, entry };
+  }
+  return null;
+}
+
+// A random day in the same week of the cycle as `day`; lessons never change week, so each week
+// keeps its own subject counts
+function randomDayInWeek(data, day, rng) {
+  const weekDays = weekLength(data);
+  return day - (day % weekDays) + Math.floor(rng.nextFloat() * weekDays);
+}
+
+function proposeSwap(timetable, ctx, rng) {
+  const a = pickLesson(timetable, ctx.classIds, rng, ctx.data);
+  if (!a) return null;
+  const b = pickLesson(timetable, [a.classId], rng, ctx.data, a.day);
+  if (!b || (a.day === b.day && a.period === b.period)) return null;
+  if (!swapFeasible(a, b, timetable, ctx.data, ctx)) return null;
+  const writes = [
+    ...entrySpan(a.entry, a.period).map((p) => ({ classId: a.classId, day: a.day, period: p, value: null })),
+    ...entrySpan(b.entry, b.period).map((p) => ({ classId: a.classId, day: b.day, period: p, value: null })),
+  ];
+  for (const [entry, at] of [[a.entry, b], [b.entry, a]]) writes.push(...blockWrites(a.classId, entry, at.day, at.period));
+  return { type: 'swap', changes: makeChanges(timetable, writes) };
+}
+
+// Move a lesson into an empty slot of its class, keeping its room or re-picking one it may use
+function proposeMoveToEmpty(timetable, ctx, rng) {
+  const a = pickLesson(timetable, ctx.classIds, rng, ctx.data);
+  if (!a) return null;
+  const grid = timetable[a.classId];
+  const day = randomDayInWeek(ctx.data, a.day, rng);
+  const period = Math.floor(rng.nextFloat() * ctx.data.periodsPerDay);
+  const periods = entrySpan(a.entry, period);
+  if (periods[periods.length - 1] >= classDayLength(ctx, a.classId, day)) return null;
+  if (touchesBreak(ctx.breakPeriods, periods)) return null;
+  const own = new Set(entrySpan(a.entry, a.period).map((p) => `${a.day}|${p}`));
+  if (day === a.day && period === a.period) return null;
+  if (!periods.every((p) => !grid[day][p] || own.has(`${day}|${p}`))) return null;
+
+  const teacher = ctx.teachersById.get(a.entry.teacherId);
+  if (teacher && !checkTeacherAvailability(teacher, day, periods)) return null;
+  if (busyElsewhere(ctx.occupancy, a.classId, day, periods, a.entry.teacherId)) return null;
+
+  let entry = a.entry;
+  const current = lessonResourceIds(a.entry);
+  if (current.length) {
+    // Per need: the resource it had, else the best other one that is free
+    const needs = ctx.resourceOptions.get(`${a.classId}|${a.entry.subjectId}`) || [];
+    const lists = needs.length === current.length ? needs : current.map(() => []);
+    const resources = [];
+    for (let i = 0; i < lists.length; i++) {
+      const had = ctx.resourcesById.get(current[i]);
+      const candidates = had ? [had, ...lists[i].filter((r) => r !== had)] : lists[i];
+      const r = candidates.find((x) => !resources.includes(x) && resourceFree(x, day, periods) && !busyElsewhere(ctx.occupancy, a.classId, day, periods, null, [x.id]));
+      if (!r) return null;
+      resources.push(r);
+    }
+    entry = { ...a.entry, ...resourceFields(resources) };
+    if (resources.length < 2) delete entry.resourceIds;
+  }
+  return { type: 'move', changes: makeChanges(timetable, relocateWrites(a.classId, entry, a, { day, period })) };
+}
+
+// Give a lesson to another qualified teacher who is free at that time
+// Hand a lesson to another qualified teacher. With teacher continuity the whole class/subject
+// moves at once (all of the old teacher's lessons there), and set-up allocations stay put.
+function proposeTeacherChange(timetable, ctx, rng) {
+  const a = pickLesson(timetable, ctx.classIds, rng, ctx.data);
+  if (!a) return null;
+  let cells = entrySpan(a.entry, a.period).map((p) => ({ day: a.day, period: p }));
+  if (ctx.continuity) {
+    if (ctx.setupAllocations.has(`${a.classId}|${a.entry.subjectId}`)) return null;
+    cells = [];
+    const grid = timetable[a.classId];
+    for (let d = 0; d < grid.length; d++) {
+      for (let p = 0; p < grid[d].length; p++) {
+        const e = grid[d][p];
+        if (!e || e.unassigned || e.subjectId !== a.entry.subjectId || e.teacherId !== a.entry.teacherId) continue;
+        if (e.locked) return null;
+        cells.push({ day: d, period: p });
+      }
+    }
+  }
+  const options = ctx.teacherOrder.filter((tid) => {
+    if (tid === a.entry.teacherId) return false;
+    const t = ctx.teachersById.get(tid);
+    if (!t || !teacherCanTeach(t, a.entry.subjectId)) return false;
+    if ((ctx.loads.get(tid) || 0) + cells.length > (ctx.maxLoadByTeacher.get(tid) || 0)) return false;
+    return cells.every(({ day, period }) =>
+      checkTeacherAvailability(t, day, [period]) && !busyElsewhere(ctx.occupancy, a.classId, day, [period], tid));
+  });
+  const teacherId = rng.pick(options);
+  if (!teacherId) return null;
+  const writes = cells.map(({ day, period }) => ({ classId: a.classId, day, period, value: { ...timetable[a.classId][day][period], teacherId } }));
+  return { type: 'teacher', changes: makeChanges(timetable, writes) };
+}
+
+// Kempe chain: lessons at two time slots linked by shared class, teacher or resource
+// are exchanged together, so the swap cannot create clashes.
+function proposeKempe(timetable, ctx, rng) {
+  const a = pickLesson(timetable, ctx.classIds, rng, ctx.data);
+  if (!a || a.entry.double) return null;
+  const t1 = { day: a.day, period: a.period };
+  const t2 = { day: randomDayInWeek(ctx.data, a.day, rng), period: Math.floor(rng.nextFloat() * ctx.data.periodsPerDay) };
+  if (t1.day === t2.day && t1.period === t2.period) return null;
+  if (ctx.breakPeriods.has(t2.period)) return null;
+
+  // Breadth-first over the other slot's lessons sharing a class, teacher or resource
+  const node = (classId, slot) => {
+    const entry = timetable[classId][slot.day][slot.period];
+    return entry ? { key: `${classId}|${slot === t1 ? 1 : 2}`, classId, slot, entry } : null;
+  };
+  const neighbours = (x) => {
+    const other = x.slot === t1 ? t2 : t1;
+    const ids = [x.classId];
+    if (!x.entry.unassigned) {
+      if (x.entry.teacherId) ids.push(ctx.occupancy.classAt(ctx.occupancy.teacher, x.entry.teacherId, other.day, other.period));
+      for (const id of lessonResourceIds(x.entry)) ids.push(ctx.occupancy.classAt(ctx.occupancy.resource, id, other.day, other.period));
+    }
+    return ids.filter(Boolean).map((cid) => node(cid, other)).filter(Boolean);
+  };
+
+  const start = node(a.classId, t1);
+  const seen = new Map([[start.key, start]]);
+  const queue = [start];
+  while (queue.length) {
+    const x = queue.shift();
+    for (const y of neighbours(x)) {
+      if (seen.has(y.key)) continue;
+      seen.set(y.key, y);
+      queue.push(y);
+    }
+  }
+  const chain = Array.from(seen.values());
+
+  const writes = [];
+  for (const x of chain) {
+    if (x.entry.double) return null;
+    const dest = x.slot === t1 ? t2 : t1;
+    if (dest.period >= classDayLength(ctx, x.classId, dest.day)) return null;
+    if (!x.entry.unassigned) {
+      const t = ctx.teachersById.get(x.entry.teacherId);
+      if (t && !checkTeacherAvailability(t, dest.day, [dest.period])) return null;
+      const resources = lessonResourceIds(x.entry).map((id) => ctx.resourcesById.get(id));
+      if (resources.some((r) => r && !resourceFree(r, dest.day, [dest.period]))) return null;
+    }
+    writes.push({ classId: x.classId, day: x.slot.day, period: x.slot.period, value: null });
+  }
+  for (const x of chain) {
+    const dest = x.slot === t1 ? t2 : t1;
+    writes.push({ classId: x.classId, day: dest.day, period: dest.period, value: x.entry });
+  }
+  return { type: 'kempe', changes: makeChanges(timetable, writes) };
+}
+
+const MOVE_PROPOSERS = {
+  swap: proposeSwap,
+  move: proposeMoveToEmpty,
+  teacher: proposeTeacherChange,
+  kempe: proposeKempe,
+};
+
+function proposeMove(timetable, ctx, rng) {
+  let roll = rng.nextFloat() * ctx.totalMoveWeight;
+  for (const [type, w] of ctx.moveWeights) {
+    roll -= w;
+    if (roll > 0) continue;
+    const move = MOVE_PROPOSERS[type](timetable, ctx, rng);
+    // Locked lessons never move, whichever proposer picked them up
+    return move && move.changes.some((c) => c.before?.locked) ? null : move;
+  }
+  return null;
+}
+
+// Lesson/position pairs a move vacates (becomes tabu) and occupies (checked against tabu)
+function moveAttributes(changes) {
+  const key = (c, e) => `${c.classId}|${e.subjectId}|${e.teacherId}@${c.day}|${c.period}`;
+  return {
+    vacated: changes.filter((c) => c.before && !c.before.unassigned).map((c) => key(c, c.before)),
+    occupied: changes.filter((c) => c.after && !c.after.unassigned).map((c) => key(c, c.after)),
+  };
+}
+
+function cloneTimetable(timetable) {
+  const out = {};
+  for (const [classId, grid] of Object.entries(timetable)) out[classId] = cloneGrid(grid);
+  return out;
+}
+
+function optimizeTimetable(timetable, ctx, options) {
+  const t0 = Date.now();
+  const strategy = options.optimizer || 'anneal';
+  const iterations = Math.max(0, options.optimizeIterations ?? 200);
+  const deadline = options.timeLimitMs ? t0 + options.timeLimitMs : Infinity;
+  const rng = ctx.rng;
+  const score = () => diagnose(timetable, ctx.data, ctx.learnedPenalties).penaltyScore;
+  // 'full' re-scores the whole school after every move; kept for benchmarking and cross-checks
+  const evaluator = options.evaluation === 'full' ? null : createEvaluator(timetable, ctx);
+  // Returns the new penalty, or null (with the move already undone) if it breaks a hard rule further
+  const applyScored = (changes, from) => {
+    if (!evaluator) {
+      const hardBefore = countHardViolations(timetable, ctx);
+      applyChanges(timetable, changes, ctx);
+      if (countHardViolations(timetable, ctx) > hardBefore) {
+        applyChanges(timetable, changes, ctx, true);
+        return null;
+      }
+      return score();
+    }
+    const { delta, hardDelta } = evaluator.applyAndScore(changes);
+    if (hardDelta > 0) {
+      applyChanges(timetable, changes, ctx, true);
+      return null;
+    }
+    return from + delta;
+  };
+
+  const t0Temp = options.initialTemperature ?? 20;
+  const tEndTemp = options.finalTemperature ?? 0.1;
+  const tenure = options.tabuTenure ?? 10;
+  const sampleSize = options.tabuSampleSize ?? 12;
+  const tabuUntil = new Map();
+
+  let current = score();
+  let best = current;
+  let bestSnapshot = null;
+  let accepted = 0;
+  let it = 0;
+  let temperature = t0Temp;
+  const traceEvery = Math.max(1, Math.floor(iterations / 100));
+  const trace = [{ iteration: 0, timeMs: 0, current, best }];
+
+  for (; it < iterations; it++) {
+    if (Date.now() > deadline) break;
+    const progress = Math.max(it / iterations, deadline === Infinity ? 0 : (Date.now() - t0) / options.timeLimitMs);
+    temperature = t0Temp * Math.pow(tEndTemp / t0Temp, progress);
+
+    if (strategy === 'tabu') {
+      let choice = null;
+      for (let k = 0; k < sampleSize; k++) {
+        const move = proposeMove(timetable, ctx, rng);
+        if (!move || move.changes.length === 0) continue;
+        const next = applyScored(move.changes, current);
+        if (next === null) continue;
+        applyChanges(timetable, move.changes, ctx, true);
+        const attrs = moveAttributes(move.changes);
+        const isTabu = attrs.occupied.some((a) => (tabuUntil.get(a) || 0) > it);
+        // Aspiration: a tabu move is still allowed when it beats the best so far
+        if (isTabu && next >= best) continue;
+        if (!choice || next < choice.next) choice = { move, next, attrs };
+      }
+      if (choice) {
+        applyChanges(timetable, choice.move.changes, ctx);
+        current = choice.next;
+        accepted += 1;
+        for (const a of choice.attrs.vacated) tabuUntil.set(a, it + tenure);
+      }
+    } else {
+      const move = proposeMove(timetable, ctx, rng);
+      const next = move && move.changes.length ? applyScored(move.changes, current) : null;
+      if (next !== null) {
+        const delta = next - current;
+        const keep =
+          delta < 0 ||
+          (strategy === 'anneal' && (delta === 0 || rng.nextFloat() < Math.exp(-delta / Math.max(temperature, 1e-9))));
+        if (keep) {
+          current = next;
+          accepted += 1;
+        } else {
+          applyChanges(timetable, move.changes, ctx, true);
+        }
+      }
+    }
 
-    // Clear original
-    srcGrid[src.day][src.period] = null;
-    if (entry.double) srcGrid[src.day][src.period + 1] = null;
+    if (current < best) {
+      best = current;
+      bestSnapshot = cloneTimetable(timetable);
+    }
+    if ((it + 1) % traceEvery === 0) {
+      trace.push({ iteration: it + 1, timeMs: Date.now() - t0, current, best, temperature });
+      options.onProgress?.({ iteration: it + 1, iterations, best });
+    }
+  }
 
-    // Place at destination
-    dstGrid[dst.day][dst.period] = { ...entry, headOfDouble: entry.double ? true : undefined };
-    if (entry.double) dstGrid[dst.day][dst.period + 1] = { ...entry, headOfDouble: false };
+  // Annealing and tabu may end on a worse neighbour than the best one visited
+  if (current > best && bestSnapshot) {
+    for (const [classId, grid] of Object.entries(bestSnapshot)) timetable[classId] = grid;
   }
+  if (trace[trace.length - 1].iteration !== it) trace.push({ iteration: it, timeMs: Date.now() - t0, current, best, temperature });
 
-  moveEntry(Agrid, a, Bgrid, b);
-  moveEntry(Bgrid, b, Agrid, a);
+  return {
+    strategy,
+    evaluation: evaluator ? 'delta' : 'full',
+    iterations: it,
+    accepted,
+    initial: trace[0].current,
+    best,
+    timeMs: Date.now() - t0,
+    trace,
+  };
 }
 
-export function generateTimetable(schoolData, options = {}) {
+export function generateTimetable(input, options = {}) {
   const t0 = Date.now();
+  // A multi-week cycle is filled as one long week
+  const schoolData = expandCycle(input);
   const { workingDays: days, periodsPerDay: periods } = schoolData;
-  const { subjectsById, teachersById, resourcesByType } = buildIndex(schoolData);
+  const weekDays = weekLength(schoolData);
+  const { subjectsById, teachersById, resourcesById } = buildIndex(schoolData);
+  const resourceOptions = buildResourceOptions(schoolData, subjectsById);
+  const breakPeriods = getBreakPeriods(schoolData);
+  const dayLengths = buildDayLengths(schoolData);
+  const teachingPeriods = getTeachingPeriods(schoolData);
+  const spreadRules = buildSpreadRules(schoolData);
+  const windowRules = buildWindowRules(schoolData);
+  const learnedPenalties = options.learnedPenalties || null;
+  let unassigned = 0;
+  const report = (phase, extra) => options.onProgress?.({ phase, unassigned, ...extra });
 
   // Build empty timetable per class
   const timetable = {};
@@ -387,31 +2530,118 @@ export function generateTimetable(schoolData, options = {}) {
   const maxLoadByTeacher = new Map();
   (schoolData.teachers || []).forEach((t) => maxLoadByTeacher.set(t.id, t.maxLoad || 0));
 
-  // Flatten required class-subject slots
+  // Schedules and loads during greedy assignment
+  const teacherSchedule = new Map(); // tid -> day -> Set(period)
+  const resourceSchedule = new Map(); // rid -> day -> Set(period)
+  const teacherLoads = new Map();
+
+  // Deterministic teacher iteration order
+  const teacherOrder = (schoolData.teachers || []).map((t) => t.id).sort();
+
+  // Teacher continuity: settle who teaches each class/subject before placing anything
+  const continuity = continuityEnabled(schoolData);
+  const allocationPlan = continuity ? planAllocations(schoolData, teachersById, teacherOrder, teachingPeriods) : null;
+  const quotas = allocationPlan ? createQuotas(allocationPlan) : null;
+
+  // Weekly demand as lesson blocks; locked and seeded lessons are booked against it
+  const demand = buildDemand(schoolData, subjectsById);
+
+  // Locked lessons go in first: fixed ones from school data, then locks carried over from the UI
+  const locked = placeLockedLessons({
+    locks: [...getFixedLessons(schoolData), ...(options.lockedLessons || [])],
+    timetable,
+    schoolData,
+    subjectsById,
+    resourcesById,
+    resourceOptions,
+    teacherSchedule,
+    resourceSchedule,
+    teacherLoads,
+    breakPeriods,
+    dayLengths,
+    demand,
+    quotas,
+  });
+
+  // Lesson groups next, in the slots they had in a supplied timetable where those still work
+  placeLessonGroups({
+    groups: getLessonGroups(schoolData),
+    timetable,
+    schoolData,
+    subjectsById,
+    teachersById,
+    resourcesById,
+    teacherSchedule,
+    resourceSchedule,
+    teacherLoads,
+    maxLoadByTeacher,
+    breakPeriods,
+    dayLengths,
+    teachingPeriods,
+    initial: options.initialTimetable,
+  });
+
+  // Repair mode: keep what is feasible from a supplied timetable before filling the rest
+  if (options.initialTimetable) report('seed');
+  const seeded = options.initialTimetable
+    ? seedFromTimetable({
+        initial: options.initialTimetable,
+        timetable,
+        schoolData,
+        subjectsById,
+        teachersById,
+        resourceOptions,
+        teacherSchedule,
+        resourceSchedule,
+        teacherLoads,
+        maxLoadByTeacher,
+        breakPeriods,
+        dayLengths,
+        spreadRules,
+        windowRules,
+        teachingPeriods,
+        demand,
+        quotas,
+      })
+    : null;
+
+  // Flatten the remaining lesson blocks
   const required = [];
   for (const cls of schoolData.classes || []) {
-    const subjMap = cls.subjects || {};
-    for (const sid of Object.keys(subjMap)) {
-      const count = subjMap[sid] | 0;
+    for (const sid of Object.keys(cls.subjects || {})) {
+      const key = `${cls.id}|${sid}`;
+      // Blocks still to place in every week of the cycle
+      const blocks = demand.get(key).flatMap((weekBlocks, week) => demandSpans(weekBlocks).map((span) => ({ span, week })));
+      const spans = blocks.map((b) => b.span);
+      const count = cls.subjects[sid] | 0;
       const subj = subjectsById.get(sid) || { id: sid, name: sid };
-      const requiresDouble = !!subj.doublePeriod;
-      const resourceType = inferSubjectResourceType(subj);
-      for (let i = 0; i < count; i++) {
+      const needs = resourceOptions.get(key);
+      const lab = subjectResourceNeeds(subj).some((need) => need.type !== 'classroom');
+      // With continuity each block is bound to an allocated teacher; blocks nobody can take keep an empty list.
+      // Allocations made in Setup are binding, with what is left of each teacher's periods as a quota.
+      const teacherFor = quotas ? bindBlocksToTeachers(quotas.get(key), spans) : null;
+      const setup = !!allocationPlan?.get(key)?.some((r) => r.source === 'setup');
+      blocks.forEach(({ span, week }, i) => {
         required.push({
           classId: cls.id,
           subjectId: sid,
-          requiresDouble,
+          teacherIds: teacherFor ? (teacherFor[i] ? [teacherFor[i]] : []) : undefined,
+          ...(setup ? { setup, quota: new Map(quotas.get(key)) } : {}),
+          span,
+          week,
           weeklyPeriods: subj.weeklyPeriods || count,
-          resourceType,
-          priorityLab: !!resourceType,
+          needs,
+          priorityLab: lab,
+          spread: spreadRules.get(cls.id)?.get(sid) || null,
+          windows: windowRules.get(cls.id)?.get(sid) || null,
         });
-      }
+      });
     }
   }
 
-  // Order slots by difficulty: double/lab first, then high weeklyPeriods
+  // Order slots by difficulty: longer blocks and labs first, then high weeklyPeriods
   required.sort((a, b) => {
-    const a1 = a.requiresDouble === b.requiresDouble ? 0 : a.requiresDouble ? -1 : 1;
+    const a1 = b.span - a.span;
     if (a1 !== 0) return a1;
     const a2 = a.priorityLab === b.priorityLab ? 0 : a.priorityLab ? -1 : 1;
     if (a2 !== 0) return a2;
@@ -423,77 +2653,146 @@ export function generateTimetable(schoolData, options = {}) {
     return 0;
   });
 
-  // Schedules and loads during greedy assignment
-  const teacherSchedule = new Map(); // tid -> day -> Set(period)
-  const resourceSchedule = new Map(); // rid -> day -> Set(period)
-  const teacherLoads = new Map();
-
-  // Deterministic teacher iteration order
-  const teacherOrder = (schoolData.teachers || []).map((t) => t.id).sort();
-
-  // Assign greedily per required slot
-  for (const slot of required) {
-    const classGrid = timetable[slot.classId];
-    tryAssignSlot({
-      classGrid,
+  // Exact mode: try a complete assignment first, fall back to greedy if it fails
+  let solver = null;
+  if (options.solver === 'backtrack') {
+    report('solve');
+    solver = solveBacktracking({
+      required,
+      timetable,
+      teacherSchedule,
+      resourceSchedule,
+      teacherLoads,
+      maxLoadByTeacher,
+      teachersById,
+      teacherOrder,
+      dayCount: days,
+      weekDays,
+      periodCount: periods,
+      breakPeriods,
+      dayLengths,
+      teachingPeriods,
+      learnedPenalties,
+      timeBudgetMs: options.timeBudgetMs,
+    });
+  }
+  const greedyItems = solver?.status === 'solved' ? [] : required;
+
+  // Assign greedily per required slot, keeping the lessons that find no slot
+  if (greedyItems.length) report('greedy');
+  const unplaced = [];
+  for (const slot of greedyItems) {
+    const attempt = (teacherList, markUnplaced) => tryAssignSlot({
+      classGrid: timetable[slot.classId],
       subjectId: slot.subjectId,
-      requiresDouble: slot.requiresDouble,
-      teacherList: teacherOrder,
+      span: slot.span,
+      teacherList,
+      markUnplaced,
       teachersById,
       teacherSchedule,
       teacherLoads,
       maxLoadByTeacher,
-      dayCount: days,
+      dayCount: weekDays,
+      firstDay: slot.week * weekDays,
       periodCount: periods,
-      resourceType: slot.resourceType,
-      availableResources: resourcesByType,
+      dayLength: dayLengths.get(slot.classId),
+      needs: slot.needs,
       resourceSchedule,
+      breakPeriods,
+      learnedPenalties,
+      spread: slot.spread,
+      windows: slot.windows,
+      teachingPeriods,
     });
+    // Lessons of a class/subject allocated in Setup only ever go to its allocated teachers
+    if (!slot.teacherIds || slot.setup) {
+      if (!attempt(slot.teacherIds || teacherOrder, true)) unplaced.push(slot);
+      continue;
+    }
+    // An auto-allocated block the chosen teacher cannot take goes to another qualified teacher
+    // before it is given up; it is then explained against all of them
+    if (attempt(slot.teacherIds, false)) continue;
+    if (!attempt(teacherOrder.filter((tid) => !slot.teacherIds.includes(tid)), true)) unplaced.push({ ...slot, teacherIds: undefined });
   }
 
-  // Local-swap optimizer
-  const iterations = Math.max(0, options.optimizeIterations ?? 200);
-  const rng = createRng((options && options.seed) || 42);
-
-  function totalPenalty() {
-    return computeDiagnostics(timetable, schoolData).penaltyScore;
-  }
-
-  let bestPenalty = totalPenalty();
-  for (let it = 0; it < iterations; it++) {
-    const pool = collectAssignedSlots(timetable, schoolData);
-    if (pool.length < 2) break;
-    // Pick two different entries
-    const a = pool[Math.floor(rng.nextFloat() * pool.length)];
-    let b = pool[Math.floor(rng.nextFloat() * pool.length)];
-    if (!a || !b) continue;
-    if (a.classId === b.classId && a.day === b.day && a.period === b.period) continue;
-
-    if (!swapFeasible(a, b, timetable, schoolData, { teachersById, resourcesByType })) continue;
-
-    // Apply swap and evaluate
-    const snapshot = {
-      Agr: cloneGrid(timetable[a.classId]),
-      Bgr: cloneGrid(timetable[b.classId])
-    };
-    applySwap(a, b, timetable);
-    const newPenalty = totalPenalty();
-    if (newPenalty < bestPenalty) {
-      bestPenalty = newPenalty; // keep
-    } else {
-      // revert
-      timetable[a.classId] = snapshot.Agr;
-      timetable[b.classId] = snapshot.Bgr;
+  // Metaheuristic optimizer over the greedy/exact result
+  unassigned = unplaced.reduce((n, slot) => n + slot.span, 0);
+  const loads = new Map();
+  for (const [classId, grid] of Object.entries(timetable)) {
+    for (const row of grid) {
+      for (const e of row) {
+        for (const lesson of cellBookings(classId, e)) if (lesson.teacherId) incTeacherLoad(loads, lesson.teacherId);
+      }
     }
   }
+  report('optimize', { iteration: 0, iterations: Math.max(0, options.optimizeIterations ?? 200) });
+  const moveWeights = Object.entries({ ...DEFAULT_MOVE_WEIGHTS, ...(options.moveWeights || {}) })
+    .filter(([type, w]) => MOVE_PROPOSERS[type] && w > 0);
+  const optimizer = optimizeTimetable(
+    timetable,
+    {
+      data: schoolData,
+      classIds: Object.keys(timetable),
+      teachersById,
+      teacherOrder,
+      resourcesById,
+      resourceOptions,
+      breakPeriods,
+      dayLengths,
+      learnedPenalties,
+      maxLoadByTeacher,
+      loads,
+      occupancy: createOccupancy(timetable, schoolData),
+      teachingPeriods,
+      weights: normalizeWeights(schoolData.weights),
+      spreadRules,
+      windowRules,
+      continuity,
+      setupAllocations: getAllocations(schoolData),
+      moveWeights,
+      totalMoveWeight: moveWeights.reduce((acc, [, w]) => acc + w, 0),
+      rng: createRng((options && options.seed) || 42),
+    },
+    { ...options, onProgress: (p) => report('optimize', p) }
+  );
 
-  const diag = computeDiagnostics(timetable, schoolData);
+  const diag = diagnose(timetable, schoolData, learnedPenalties);
+  const finalLoads = new Map();
+  for (const [classId, grid] of Object.entries(timetable)) {
+    for (const row of grid) for (const e of row) for (const lesson of cellBookings(classId, e)) if (lesson.teacherId) incTeacherLoad(finalLoads, lesson.teacherId);
+  }
+  const unassignedReasons = explainUnassigned(
+    unplaced,
+    {
+      data: schoolData,
+      timetable,
+      occupancy: createOccupancy(timetable, schoolData),
+      loads: finalLoads,
+      teachersById,
+      teacherOrder,
+      maxLoadByTeacher,
+      quotas,
+      resourceOptions,
+      breakPeriods,
+      dayLengths,
+      teachingPeriods,
+      spreadRules,
+      windowRules,
+    },
+    diag.lessonGroups
+  );
+  report('done', { best: diag.penaltyScore });
   const t1 = Date.now();
   return {
     timetable,
     diagnostics: {
       ...diag,
-      timeTakenMs: t1 - t0,
+      unassignedReasons,
+      ...(seeded ? { seededKept: seeded.kept, seededDiscarded: seeded.discarded } : {}),
+      ...(locked.placed || locked.rejected.length ? { locked: { placed: locked.placed, rejected: locked.rejected } } : {}),
+      ...(solver ? { solver } : {}),
+      ...(allocationPlan ? { allocations: finalAllocations(allocationPlan, timetable) } : {}),
+      optimizer,
       timeMs: t1 - t0,
     },
   };
@@ -501,7 +2800,7 @@ export function generateTimetable(schoolData, options = {}) {
 
 // UI-friendly helper: return a single numeric penalty for a timetable
 export function computePenalty(timetable, schoolData, learnedPenalties) {
-  // learnedPenalties is reserved for future use (e.g., user feedback weighting)
-  const d = computeDiagnostics(timetable, schoolData);
+  // learnedPenalties (from learn.getPreferencePenalties) adds edit-history costs when given
+  const d = computeDiagnostics(timetable, schoolData, learnedPenalties);
   return d.penaltyScore || 0;
 }
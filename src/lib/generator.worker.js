@@ -0,0 +1,19 @@
+// Web Worker wrapper around generateTimetable.
+// In:  { schoolData, options }
+// Out: { type: 'progress', progress } while running, then { type: 'result', result } or { type: 'error', message }
+// Cancellation is done by terminating the worker (see runner.js).
+
+import { generateTimetable } from './generator';
+
+self.onmessage = (e) => {
+  const { schoolData, options } = e.data || {};
+  try {
+    const result = generateTimetable(schoolData, {
+      ...options,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,117 @@
+// Runs the local generator off the main thread.
+// - runGeneration: one worker; streams progress and can be cancelled
+// - runPortfolio: several seeds in parallel workers; every candidate is kept, best first
+// Both return { promise, cancel }. A cancelled run rejects with an Error named 'AbortError'.
+
+function createWorker() {
+  return new Worker(new URL('./generator.worker.js', import.meta.url), { type: 'module' });
+}
+
+function cancelledError() {
+  const err = new Error('Generation cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Fewer empty slots wins, then the lower penalty
+export function compareResults(a, b) {
+  const da = a?.diagnostics || {};
+  const db = b?.diagnostics || {};
+  const u = (da.unassignedCount ?? Infinity) - (db.unassignedCount ?? Infinity);
+  if (u !== 0) return u;
+  return (da.penaltyScore ?? Infinity) - (db.penaltyScore ?? Infinity);
+}
+
+export function runGeneration(schoolData, options = {}, onProgress) {
+  const worker = createWorker();
+  let settle = null;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === 'progress') {
+        if (onProgress) onProgress(msg.progress);
+        return;
+      }
+      worker.terminate();
+      if (msg.type === 'result') resolve(msg.result);
+      else reject(new Error(msg.message || 'Generation failed'));
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e?.message || 'Generation worker crashed'));
+    };
+    worker.postMessage({ schoolData, options });
+  });
+  const cancel = () => {
+    worker.terminate();
+    settle.reject(cancelledError());
+  };
+  return { promise, cancel };
+}
+
+// seeds: list of seeds to try. At most `concurrency` workers run at once.
+// onProgress(index, progress) reports per-candidate progress; candidates keep their seed order.
+export function runPortfolio(schoolData, options = {}, { seeds = [], concurrency, onProgress } = {}) {
+  const limit = Math.max(1, Math.min(seeds.length, concurrency || navigator.hardwareConcurrency || 2));
+  const candidates = seeds.map((seed) => ({ seed, status: 'pending', result: null, error: null }));
+  const running = new Map(); // index -> cancel
+  let cancelled = false;
+  let settle = null;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+    let next = 0;
+    let finished = 0;
+
+    const finish = () => {
+      const done = candidates.filter((c) => c.status === 'done');
+      if (done.length === 0) {
+        reject(new Error(candidates.find((c) => c.error)?.error || 'Every portfolio run failed'));
+        return;
+      }
+      const ranked = done.slice().sort((a, b) => compareResults(a.result, b.result));
+      resolve({ best: ranked[0], candidates });
+    };
+
+    const launch = () => {
+      if (cancelled || next >= seeds.length) return;
+      const index = next++;
+      const candidate = candidates[index];
+      candidate.status = 'running';
+      const run = runGeneration(schoolData, { ...options, seed: candidate.seed }, (p) => onProgress && onProgress(index, p));
+      running.set(index, run.cancel);
+      run.promise
+        .then((result) => {
+          candidate.status = 'done';
+          candidate.result = result;
+        })
+        .catch((err) => {
+          candidate.status = err?.name === 'AbortError' ? 'cancelled' : 'failed';
+          candidate.error = err?.message || String(err);
+        })
+        .finally(() => {
+          running.delete(index);
+          finished += 1;
+          if (cancelled) return;
+          if (finished === seeds.length) finish();
+          else launch();
+        });
+    };
+
+    if (seeds.length === 0) {
+      reject(new Error('No seeds to run'));
+      return;
+    }
+    for (let i = 0; i < limit; i++) launch();
+  });
+
+  const cancel = () => {
+    if (cancelled) return;
+    cancelled = true;
+    for (const stop of running.values()) stop();
+    for (const c of candidates) if (c.status === 'pending') c.status = 'cancelled';
+    settle.reject(cancelledError());
+  };
+  return { promise, cancel };
+}
@@ -0,0 +1,275 @@
+// Calendar shape helpers shared by the generator, validators and views.
+// Breaks are stored with 1-based periods, either as a list [{ name, period }]
+// or (older data) as an object { name: { period } }.
+
+export function normalizeBreaks(breaks) {
+  if (Array.isArray(breaks)) {
+    return breaks
+      .map((b) => ({ name: b?.name || 'Break', period: Number(b?.period) || 1 }))
+      .filter((b) => Number.isFinite(b.period));
+  }
+  if (breaks && typeof breaks === 'object') {
+    return Object.entries(breaks).map(([name, val]) => ({
+      name,
+      period: Number(val?.period) || 1,
+    }));
+  }
+  return [];
+}
+
+// Map of 0-based period index -> break name, limited to the configured periods per day
+export function getBreakPeriods(data) {
+  const periods = data?.periodsPerDay || 0;
+  const out = new Map();
+  for (const b of normalizeBreaks(data?.breaks)) {
+    const idx = b.period - 1;
+    if (idx < 0 || idx >= periods) continue;
+    if (!out.has(idx)) out.set(idx, b.name);
+  }
+  return out;
+}
+
+// Bell schedules. periodsPerDay is the longest day; schoolData.dayPeriods gives the periods of each
+// day (a half day has fewer). A class follows class.dayPeriods, else its wing's
+// (schoolData.wings: [{ id, name?, dayPeriods }], class.wing), else the school's, day by day.
+// Periods past a day's count do not exist for that class: nothing goes there and views leave them out.
+function dayCounts(list, fallback, max) {
+  return fallback.map((n, d) => {
+    const raw = Array.isArray(list) ? list[d] : undefined;
+    if (raw === undefined || raw === null || raw === '' || !Number.isFinite(Number(raw))) return n;
+    return Math.max(0, Math.min(max, Math.floor(Number(raw))));
+  });
+}
+
+// Periods on each day for the school as a whole
+export function getDayPeriods(data) {
+  const max = Math.max(0, Number(data?.periodsPerDay) || 0);
+  const days = Math.max(0, Number(data?.workingDays) || 0);
+  return dayCounts(data?.dayPeriods, new Array(days).fill(max), max);
+}
+
+// Periods on each day for one class (its own list, its wing's, or the school's)
+export function getClassDayPeriods(data, cls) {
+  const school = getDayPeriods(data);
+  const wing = cls?.wing ? (Array.isArray(data?.wings) ? data.wings : []).find((w) => w?.id === cls.wing) : null;
+  const max = Math.max(0, Number(data?.periodsPerDay) || 0);
+  return dayCounts(cls?.dayPeriods, dayCounts(wing?.dayPeriods, school, max), max);
+}
+
+// Periods on each day that exist for at least one class; teacher and room views show these
+export function getOpenDayPeriods(data) {
+  const classes = (Array.isArray(data?.classes) ? data.classes : []).filter(Boolean);
+  if (classes.length === 0) return getDayPeriods(data);
+  const out = getDayPeriods(data).map(() => 0);
+  for (const cls of classes) {
+    getClassDayPeriods(data, cls).forEach((n, d) => {
+      out[d] = Math.max(out[d], n);
+    });
+  }
+  return out;
+}
+
+// Multi-week cycles. schoolData.cycleWeeks (default 1) repeats the timetable over several weeks, e.g.
+// 2 for an A/B fortnight. Grids then hold every day of the cycle, week A first: day d of a
+// timetable is weekday d % workingDays of week Math.floor(d / workingDays).
+export function getCycleWeeks(data) {
+  const n = Math.floor(Number(data?.cycleWeeks) || 1);
+  return Math.max(1, Math.min(4, n));
+}
+
+// 'A', 'B', ... for week 0, 1, ...
+export function weekName(week) {
+  return String.fromCharCode(65 + week);
+}
+
+// Periods of a subject in each week of the cycle. class.cyclePeriods[subjectId] = [weekA, weekB, ...]
+// sets them where the weeks differ, e.g. [3, 2]; otherwise class.subjects[subjectId] is every week's.
+export function getWeekPeriods(data, cls, subjectId) {
+  const count = (v) => Math.max(0, Math.floor(Number(v) || 0));
+  const list = cls?.cyclePeriods?.[subjectId];
+  return Array.from({ length: getCycleWeeks(data) }, (_, w) =>
+    count(Array.isArray(list) && list[w] !== undefined && list[w] !== null && list[w] !== '' ? list[w] : cls?.subjects?.[subjectId]));
+}
+
+// One week of a timetable: every class grid cut down to that week's days
+export function timetableWeek(timetable, week, days) {
+  return Object.fromEntries(Object.entries(timetable || {}).map(([id, grid]) => [id, (grid || []).slice(week * days, (week + 1) * days)]));
+}
+
+// A per-day list over the whole cycle: a list for every day of the cycle is kept, a one-week list
+// repeats each week
+function cycleRows(list, days, weeks) {
+  if (!Array.isArray(list) || list.length >= days * weeks) return list;
+  return Array.from({ length: days * weeks }, (_, d) => list[d % days]);
+}
+
+// School data with the cycle unrolled into one long week of cycleWeeks x workingDays days, which is
+// what the generator scores and fills. Per-day lists repeat each week, though teacher and resource
+// availability and teacher preferences may give every day of the cycle (a teacher who only works
+// week A). class.subjects and teacher.maxLoad become totals over the cycle while class.cyclePeriods
+// keeps each week's count, lesson groups run their periods every week, and fixed lessons recur each
+// week unless they name one (fixedLesson.week, 1-based). weekDays keeps the length of one week.
+// One-week data, and data that is already expanded, is returned as is.
+export function expandCycle(data) {
+  const weeks = getCycleWeeks(data);
+  if (weeks === 1 || !data || data.weekDays) return data;
+  const days = Math.max(0, Number(data.workingDays) || 0);
+  const repeat = (list) => cycleRows(list, days, weeks);
+  const withDays = (x) => (x && Array.isArray(x.dayPeriods) ? { ...x, dayPeriods: repeat(x.dayPeriods) } : x);
+  const withAvailability = (x) => (x && Array.isArray(x.availability) ? { ...x, availability: repeat(x.availability) } : x);
+  const withPreferences = (t) => (t && Array.isArray(t.preferences) ? { ...t, preferences: repeat(t.preferences) } : t);
+  return {
+    ...data,
+    workingDays: days * weeks,
+    weekDays: days,
+    ...(Array.isArray(data.dayPeriods) ? { dayPeriods: repeat(data.dayPeriods) } : {}),
+    ...(Array.isArray(data.wings) ? { wings: data.wings.map(withDays) } : {}),
+    teachers: (data.teachers || []).map((t) => (t ? { ...withPreferences(withAvailability(t)), maxLoad: (Number(t.maxLoad) || 0) * weeks } : t)),
+    ...(Array.isArray(data.resources) ? { resources: data.resources.map(withAvailability) } : {}),
+    classes: (data.classes || []).map((c) => {
+      if (!c) return c;
+      const perWeek = Object.keys(c.subjects || {}).map((sid) => [sid, getWeekPeriods(data, c, sid)]);
+      return {
+        ...withDays(c),
+        subjects: Object.fromEntries(perWeek.map(([sid, list]) => [sid, list.reduce((a, b) => a + b, 0)])),
+        cyclePeriods: Object.fromEntries(perWeek),
+      };
+    }),
+    ...(Array.isArray(data.lessonGroups) ? { lessonGroups: data.lessonGroups.map((g) => (g ? { ...g, periods: (Number(g.periods) || 0) * weeks } : g)) } : {}),
+    ...(Array.isArray(data.fixedLessons)
+      ? {
+          fixedLessons: data.fixedLessons.flatMap((f) => {
+            if (!f) return [];
+            const only = Math.floor(Number(f.week) || 0);
+            const list = only >= 1 ? [only - 1] : Array.from({ length: weeks }, (_, w) => w);
+            return list.map((w) => ({ ...f, day: w * days + (Number(f.day) || 1) }));
+          }),
+        }
+      : {}),
+  };
+}
+
+// How a class's weekly periods of a subject are delivered. class.subjects[subjectId] is the weekly
+// period count; subject.doubleBlocks / tripleBlocks (per class: class.blocks[subjectId] = { double?, triple? })
+// say how many of them come as 2- or 3-period blocks, and singles make up the rest. The older
+// subject.doublePeriod flag means as many doubles as fit. Blocks beyond the weekly count are dropped
+// here; validateSchoolData reports them. periods overrides the weekly count, e.g. for one week of a cycle.
+export function getLessonBlocks(subject, cls, periods = cls?.subjects?.[subject?.id]) {
+  const count = (v) => Math.max(0, Math.floor(Number(v) || 0));
+  periods = count(periods);
+  const o = cls?.blocks?.[subject?.id] || {};
+  const triple = Math.min(count(o.triple ?? subject?.tripleBlocks), Math.floor(periods / 3));
+  const doubleRaw = o.double ?? subject?.doubleBlocks ?? (subject?.doublePeriod ? Infinity : 0);
+  const double = Math.min(doubleRaw === Infinity ? Infinity : count(doubleRaw), Math.floor((periods - 3 * triple) / 2));
+  return { periods, triple, double, single: periods - 3 * triple - 2 * double };
+}
+
+// Time-of-day windows of a subject: subject.periodWindows = { preferred?, avoided?, forbidden? }, each a
+// list of 1-based periods (per class: class.periodWindows[subjectId], each list given replaces the
+// subject's). Forbidden periods are never used; lessons outside preferred or in avoided periods cost a
+// penalty. Returns 0-based Sets, preferred null when the subject has no preference, or null without windows.
+export function getPeriodWindows(subject, cls, periodsPerDay) {
+  const o = cls?.periodWindows?.[subject?.id] || {};
+  const own = subject?.periodWindows || {};
+  const toSet = (list) =>
+    new Set((Array.isArray(list) ? list : []).map((p) => Number(p) - 1).filter((p) => Number.isInteger(p) && p >= 0 && p < periodsPerDay));
+  const preferred = toSet(o.preferred ?? own.preferred);
+  const avoided = toSet(o.avoided ?? own.avoided);
+  const forbidden = toSet(o.forbidden ?? own.forbidden);
+  if (!preferred.size && !avoided.size && !forbidden.size) return null;
+  return { preferred: preferred.size ? preferred : null, avoided, forbidden };
+}
+
+// Older data names one resource type: subject.resourceType, else 'lab' / 'computer_lab' for lab subjects
+function legacyResourceType(subject) {
+  if (subject?.resourceType) return subject.resourceType;
+  if (subject?.lab) {
+    const name = (subject.name || '').toLowerCase();
+    if (name.includes('computer')) return 'computer_lab';
+    return 'lab';
+  }
+  return null;
+}
+
+// What each lesson of a subject books, one resource per need. subject.requiredResources:
+// [{ type } | { ids: [...] }] asks for any resource of a type, or one of the listed resources in
+// order of preference; several needs are booked together, e.g. a lab plus a lab assistant. Subjects
+// without the list need a classroom (or their legacy resource type).
+export function subjectResourceNeeds(subject) {
+  const declared = (Array.isArray(subject?.requiredResources) ? subject.requiredResources : [])
+    .map((n) => (Array.isArray(n?.ids) && n.ids.length ? { ids: n.ids.slice() } : n?.type ? { type: n.type } : null))
+    .filter(Boolean);
+  if (declared.length) return declared;
+  return [{ type: legacyResourceType(subject) || 'classroom' }];
+}
+
+// Resources a class can be taught a subject with: one list per need, best first. Listed ids keep
+// their order, a 'classroom' need puts the class's home room (class.homeRoom) before the smallest
+// other classroom, and a type need takes every resource of that type. Resources whose capacity is
+// below the class's strength are left out. Returns null when the lesson books nothing: it only
+// needs a classroom and there is neither a home room nor any classroom.
+export function lessonResources(subject, cls, resources) {
+  const list = (Array.isArray(resources) ? resources : []).filter(Boolean);
+  const fits = (r) => !(r.capacity > 0 && cls?.strength > r.capacity);
+  const home = cls?.homeRoom ? list.find((r) => r.id === cls.homeRoom) : null;
+  const classrooms = list
+    .filter((r) => r.type === 'classroom' && r !== home)
+    .sort((a, b) => (a.capacity || Infinity) - (b.capacity || Infinity));
+  const needs = subjectResourceNeeds(subject);
+  if (needs.length === 1 && needs[0].type === 'classroom' && !home && classrooms.length === 0) return null;
+  return needs.map((need) => {
+    if (need.ids) return need.ids.map((id) => list.find((r) => r.id === id)).filter((r) => r && fits(r));
+    if (need.type === 'classroom') return [home, ...classrooms].filter((r) => r && fits(r));
+    return list.filter((r) => r.type === need.type && fits(r));
+  });
+}
+
+// Every resource a lesson books: resourceIds when it holds several at once, else its resourceId
+export function lessonResourceIds(lesson) {
+  if (Array.isArray(lesson?.resourceIds)) return lesson.resourceIds;
+  return lesson?.resourceId ? [lesson.resourceId] : [];
+}
+
+// Fixed lessons declared in school data use 1-based day/period like breaks; the generator
+// and views work 0-based. span is the block length (1-3, default 1).
+// Returns [{ classId, day, period, span, subjectId, teacherId, resourceId?, fixed }]
+export function getFixedLessons(data) {
+  return (Array.isArray(data?.fixedLessons) ? data.fixedLessons : [])
+    .filter((f) => f && f.classId && f.subjectId)
+    .map((f) => ({
+      classId: f.classId,
+      day: (Number(f.day) || 1) - 1,
+      period: (Number(f.period) || 1) - 1,
+      span: Math.min(3, Math.max(1, Number(f.span) || 1)),
+      subjectId: f.subjectId,
+      teacherId: f.teacherId || null,
+      ...(f.resourceId ? { resourceId: f.resourceId } : {}),
+      fixed: true,
+    }));
+}
+
+// Lesson groups run parallel sub-lessons for several classes at once, e.g. 11A and 11B splitting
+// between Economics and Biology in the same slot. schoolData.lessonGroups:
+// [{ id, name?, classIds, periods, lessons: [{ subjectId, teacherId, resourceId? }] }]
+// periods is per week and comes on top of the classes' own subject counts.
+export function getLessonGroups(data) {
+  return (Array.isArray(data?.lessonGroups) ? data.lessonGroups : [])
+    .filter((g) => g && g.id && Array.isArray(g.classIds) && g.classIds.length && Array.isArray(g.lessons))
+    .map((g) => ({
+      id: g.id,
+      name: g.name || g.id,
+      classIds: g.classIds.slice(),
+      periods: Math.max(0, Math.floor(Number(g.periods) || 0)),
+      lessons: g.lessons
+        .filter((l) => l && l.subjectId)
+        .map((l) => ({ subjectId: l.subjectId, teacherId: l.teacherId || null, ...(l.resourceId ? { resourceId: l.resourceId } : {}) })),
+    }))
+    .filter((g) => g.lessons.length);
+}
+
+// Lessons taught in one timetable cell. A lesson-group cell ({ groupId, classIds, lessons })
+// holds one per sub-lesson and sits in the grid of every class in the group.
+export function cellLessons(entry) {
+  if (!entry || entry.unassigned) return [];
+  return entry.groupId ? entry.lessons || [] : [entry];
+}
@@ -1,93 +1,701 @@
+import { SOFT_RULES } from './weights';
+import {
+  cellLessons,
+  expandCycle,
+  getBreakPeriods,
+  getClassDayPeriods,
+  getCycleWeeks,
+  getLessonBlocks,
+  getLessonGroups,
+  getPeriodWindows,
+  getWeekPeriods,
+  lessonResourceIds,
+  lessonResources,
+  subjectResourceNeeds,
+  weekName,
+} from './schedule';
+
+// Findings are { severity: 'error' | 'warning', path, code, message, fix? }. path points at the
+// offending field the way it is written in the data, e.g. teachers[0].maxLoad or
+// classes[1].subjects['SCI']; errors make the data unusable, warnings are worth a look.
+function createReport() {
+  const issues = [];
+  const add = (severity) => (path, code, message, fix) => issues.push({ severity, path, code, message, ...(fix ? { fix } : {}) });
+  return { issues, error: add('error'), warning: add('warning') };
+}
+
+const isCount = (v) => Number.isInteger(v) && v >= 0;
+const isSet = (v) => v !== undefined && v !== null;
+
+// maxPerDay / minDays are optional non-negative integers; a block of n periods needs maxPerDay >= n
+function checkSpread(rule, path, workingDays, longestBlock, report) {
+  ['maxPerDay', 'minDays'].forEach((k) => {
+    if (isSet(rule[k]) && !isCount(rule[k])) report.error(`${path}.${k}`, 'not-a-count', `${k} must be a whole number of 0 or more`, 'Enter a whole number or clear the field');
+  });
+  if (typeof workingDays === 'number' && rule.minDays > workingDays) {
+    report.error(`${path}.minDays`, 'out-of-range', `minDays ${rule.minDays} is more than the ${workingDays} working days`, `Lower it to ${workingDays} or less`);
+  }
+  if (longestBlock > 1 && rule.maxPerDay > 0 && rule.maxPerDay < longestBlock) {
+    report.error(`${path}.maxPerDay`, 'block-too-long', `A block of ${longestBlock} periods does not fit a maximum of ${rule.maxPerDay} a day`, `Raise maxPerDay to ${longestBlock}, or drop the block`);
+  }
+}
+
+// Block counts are optional non-negative integers, and a block must fit between breaks
+function checkBlocks(rule, path, keys, longestRun, report) {
+  keys.forEach((k, n) => {
+    const v = rule[k];
+    if (!isSet(v)) return;
+    if (!isCount(v)) report.error(`${path}.${k}`, 'not-a-count', `${k} must be a whole number of 0 or more`, 'Enter a whole number or clear the field');
+    else if (v > 0 && n + 2 > longestRun) report.error(`${path}.${k}`, 'block-too-long', `No ${n + 2} consecutive periods without a break`, 'Move a break, or use shorter blocks');
+  });
+}
+
+// Longest block a class/subject is taught in (1 when it only has singles)
+function longestBlock(subject, cls) {
+  const b = getLessonBlocks(subject, cls);
+  return b.triple ? 3 : b.double ? 2 : 1;
+}
+
+// Longest run of teaching periods in a day (breaks, and the 0-based periods in skip, split the day)
+function longestTeachingRun(obj, skip = new Set()) {
+  const breakPeriods = getBreakPeriods(obj);
+  let best = 0;
+  let run = 0;
+  for (let p = 0; p < (obj.periodsPerDay || 0); p++) {
+    run = breakPeriods.has(p) || skip.has(p) ? 0 : run + 1;
+    best = Math.max(best, run);
+  }
+  return best;
+}
+
+// Time-of-day windows { preferred?, avoided?, forbidden? }: lists of 1-based periods, and no period
+// both preferred and forbidden
+function checkPeriodWindows(rule, path, periodsPerDay, report) {
+  if (!isSet(rule)) return;
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    report.error(path, 'wrong-type', 'Time-of-day windows must map preferred, avoided and forbidden to periods');
+    return;
+  }
+  ['preferred', 'avoided', 'forbidden'].forEach((k) => {
+    const list = rule[k];
+    if (!isSet(list)) return;
+    if (!Array.isArray(list) || list.some((p) => !Number.isInteger(p) || p < 1 || p > periodsPerDay)) {
+      report.error(`${path}.${k}`, 'out-of-range', `${k} periods must be between 1 and ${periodsPerDay}`, 'Pick the periods again');
+    }
+  });
+  const forbidden = Array.isArray(rule.forbidden) ? rule.forbidden : [];
+  const both = (Array.isArray(rule.preferred) ? rule.preferred : []).filter((p) => forbidden.includes(p));
+  if (both.length) report.error(path, 'conflict', `Period(s) ${both.join(', ')} are both preferred and forbidden`, 'Keep each period in one list only');
+}
+
+// Periods per day (dayPeriods of the school, a wing or a class): one integer 0..periodsPerDay (or null)
+// per working day
+function checkDayPeriods(list, path, workingDays, periodsPerDay, report) {
+  if (!isSet(list)) return;
+  if (!Array.isArray(list) || list.length !== workingDays) {
+    report.error(path, 'wrong-shape', `Periods per day must list all ${workingDays} working days`);
+    return;
+  }
+  list.forEach((n, d) => {
+    if (n === null) return; // falls back to the wing or school day
+    if (!Number.isInteger(n) || n < 0 || n > periodsPerDay) report.error(`${path}[${d}]`, 'out-of-range', `Day ${d + 1} must have 0 to ${periodsPerDay} periods`);
+  });
+}
+
+// A per-day grid like teacher availability: workingDays rows (or one for every day of the cycle) of
+// periodsPerDay cells that each pass cellOk
+function checkGrid(grid, path, { workingDays, periodsPerDay, weeks }, cellOk, cellText, report) {
+  if (!Array.isArray(grid) || (grid.length !== workingDays && grid.length !== workingDays * weeks)) {
+    report.error(path, 'wrong-shape', `Must have a row for each of the ${workingDays} days${weeks > 1 ? ` (or all ${workingDays * weeks} days of the cycle)` : ''}`);
+    return;
+  }
+  grid.forEach((dayArr, d) => {
+    if (!Array.isArray(dayArr) || dayArr.length !== periodsPerDay) {
+      report.error(`${path}[${d}]`, 'wrong-shape', `Day ${d + 1} must have ${periodsPerDay} periods`);
+      return;
+    }
+    const p = dayArr.findIndex((v) => !cellOk(v));
+    if (p >= 0) report.error(`${path}[${d}][${p}]`, 'wrong-type', `Day ${d + 1}, period ${p + 1} must be ${cellText}`);
+  });
+}
+
+// Ids are non-empty strings, unique within their list
+function checkIds(list, name, report) {
+  const seen = new Map();
+  list.forEach((x, i) => {
+    if (!x || typeof x !== 'object') return;
+    if (typeof x.id !== 'string' || !x.id) {
+      report.error(`${name}[${i}].id`, 'required', 'An id is required', 'Give it a short unique id');
+      return;
+    }
+    if (seen.has(x.id)) report.error(`${name}[${i}].id`, 'duplicate-id', `Id '${x.id}' is already used by ${name}[${seen.get(x.id)}]`, 'Give each entry its own id');
+    else seen.set(x.id, i);
+  });
+}
+
+// Breaks are 1-based periods inside the day; a period is at most one break
+function checkBreaks(breaks, periodsPerDay, report) {
+  if (!isSet(breaks)) return;
+  if (typeof breaks !== 'object') {
+    report.error('breaks', 'wrong-type', 'Breaks must be a list of { name, period }');
+    return;
+  }
+  const entries = Array.isArray(breaks) ? breaks.map((b, i) => [`breaks[${i}]`, b]) : Object.entries(breaks).map(([name, b]) => [`breaks.${name}`, b]);
+  const seen = new Set();
+  entries.forEach(([path, b]) => {
+    const p = b?.period;
+    if (!Number.isInteger(p) || p < 1 || (typeof periodsPerDay === 'number' && p > periodsPerDay)) {
+      report.error(`${path}.period`, 'out-of-range', `A break must be in period 1 to ${periodsPerDay}`, 'Move the break into the day, or remove it');
+    } else if (seen.has(p)) {
+      report.warning(`${path}.period`, 'duplicate', `Period ${p} is already a break`, 'Remove one of the two breaks');
+    }
+    seen.add(p);
+  });
+}
+
+// Every need of a subject must be met by some resource: listed ids have to exist and a type needs
+// a resource of that type. A lesson that only needs a classroom may go without one.
+function checkResourceNeeds(subject, path, resources, report) {
+  const needs = subject.requiredResources;
+  if (isSet(needs) && !Array.isArray(needs)) {
+    report.error(`${path}.requiredResources`, 'wrong-type', 'Required resources must be a list');
+    return;
+  }
+  const declared = Array.isArray(needs) && needs.length > 0;
+  let wellFormed = true;
+  (needs || []).forEach((need, k) => {
+    const np = `${path}.requiredResources[${k}]`;
+    if (Array.isArray(need?.ids) && need.ids.length) {
+      need.ids.forEach((id) => {
+        if (!resources.some((r) => r?.id === id)) report.error(`${np}.ids`, 'unknown-ref', `Unknown resource '${id}'`, `Add resource '${id}' or pick another one`);
+      });
+    } else if (!(typeof need?.type === 'string' && need.type)) {
+      report.error(np, 'required', 'Needs a resource type or a list of resources', 'Pick a type or some resources, or remove the need');
+      wellFormed = false;
+    }
+  });
+  if (!wellFormed) return;
+  subjectResourceNeeds(subject).forEach((need, k) => {
+    if (need.ids || resources.some((r) => r?.type === need.type)) return;
+    if (need.type === 'classroom' && !declared) return;
+    const field = declared ? `${path}.requiredResources[${k}].type` : `${path}.${subject.resourceType ? 'resourceType' : 'lab'}`;
+    report.error(field, 'no-resource', `No resource of type '${need.type}' exists`, `Add a ${need.type} under Resources, or change the type`);
+  });
+}
+
 export function validateSchoolData(obj) {
-  const errors = [];
+  const report = createReport();
+  const { error, warning } = report;
 
   if (!obj || typeof obj !== 'object') {
-    return { valid: false, errors: ['Invalid data object'] };
-    }
+    error('', 'wrong-type', 'Invalid data object', 'Load the example or start a new setup');
+    return { valid: false, errors: report.issues, warnings: [], issues: report.issues };
+  }
 
   const { workingDays, periodsPerDay, subjects, teachers, classes } = obj;
 
   // Numbers
   if (typeof workingDays !== 'number' || workingDays <= 0) {
-    errors.push('workingDays: positive number');
+    error('workingDays', 'required', 'Working days must be a positive number', 'Enter the school days in a week, e.g. 5');
   }
   if (typeof periodsPerDay !== 'number' || periodsPerDay <= 0) {
-    errors.push('periodsPerDay: positive number');
+    error('periodsPerDay', 'required', 'Periods per day must be a positive number', 'Enter the periods of the longest day, e.g. 8');
+  }
+  // Multi-week cycle (optional): availability may then list every day of the cycle
+  if (isSet(obj.cycleWeeks) && (!Number.isInteger(obj.cycleWeeks) || obj.cycleWeeks < 1 || obj.cycleWeeks > 4)) {
+    error('cycleWeeks', 'out-of-range', 'A cycle has 1 to 4 weeks');
   }
+  const weeks = getCycleWeeks(obj);
+  const shape = { workingDays, periodsPerDay, weeks };
+  checkBreaks(obj.breaks, periodsPerDay, report);
+
+  // Bell schedules (optional): shorter days for the school, a wing or a class
+  checkDayPeriods(obj.dayPeriods, 'dayPeriods', workingDays, periodsPerDay, report);
+  const wingList = Array.isArray(obj.wings) ? obj.wings : [];
+  if (isSet(obj.wings) && !Array.isArray(obj.wings)) error('wings', 'wrong-type', 'Wings must be a list');
+  checkIds(wingList, 'wings', report);
+  wingList.forEach((w, i) => {
+    if (!w || typeof w !== 'object') error(`wings[${i}]`, 'wrong-type', 'Invalid wing');
+    else checkDayPeriods(w.dayPeriods, `wings[${i}].dayPeriods`, workingDays, periodsPerDay, report);
+  });
+  const wingIds = new Set(wingList.map((w) => w?.id));
+
+  const longestRun = longestTeachingRun(obj);
+  const resourceList = Array.isArray(obj.resources) ? obj.resources : [];
+  const subjectList = Array.isArray(subjects) ? subjects : [];
+  const subjectIds = new Set(subjectList.map((s) => s?.id));
 
   // Subjects
   if (!Array.isArray(subjects) || subjects.length === 0) {
-    errors.push('subjects: non-empty array');
+    error('subjects', 'required', 'Add at least one subject');
   } else {
+    checkIds(subjects, 'subjects', report);
     subjects.forEach((s, i) => {
       if (!s || typeof s !== 'object') {
-        errors.push(`subjects[${i}]: invalid`);
+        error(`subjects[${i}]`, 'wrong-type', 'Invalid subject');
         return;
       }
-      if (typeof s.id !== 'string' || !s.id) errors.push(`subjects[${i}].id`);
-      if (typeof s.name !== 'string' || !s.name) errors.push(`subjects[${i}].name`);
+      if (typeof s.name !== 'string' || !s.name) error(`subjects[${i}].name`, 'required', 'A name is required');
       if (typeof s.weeklyPeriods !== 'number' || s.weeklyPeriods < 0) {
-        errors.push(`subjects[${i}].weeklyPeriods`);
+        error(`subjects[${i}].weeklyPeriods`, 'not-a-count', 'Weekly periods must be 0 or more');
       }
+      checkBlocks(s, `subjects[${i}]`, ['doubleBlocks', 'tripleBlocks'], longestRun, report);
+      checkResourceNeeds(s, `subjects[${i}]`, resourceList, report);
+      const subjectBlock = s.tripleBlocks > 0 ? 3 : s.doubleBlocks > 0 || (s.doublePeriod && s.doubleBlocks === undefined) ? 2 : 1;
+      checkSpread(s, `subjects[${i}]`, workingDays, subjectBlock, report);
+      checkPeriodWindows(s.periodWindows, `subjects[${i}].periodWindows`, periodsPerDay, report);
     });
   }
 
   // Teachers
   if (!Array.isArray(teachers) || teachers.length === 0) {
-    errors.push('teachers: non-empty array');
+    error('teachers', 'required', 'Add at least one teacher');
   } else {
+    checkIds(teachers, 'teachers', report);
     teachers.forEach((t, i) => {
       if (!t || typeof t !== 'object') {
-        errors.push(`teachers[${i}]: invalid`);
+        error(`teachers[${i}]`, 'wrong-type', 'Invalid teacher');
         return;
       }
-      if (typeof t.id !== 'string' || !t.id) errors.push(`teachers[${i}].id`);
-      if (typeof t.name !== 'string' || !t.name) errors.push(`teachers[${i}].name`);
-      if (!Array.isArray(t.subjects) || t.subjects.length === 0) errors.push(`teachers[${i}].subjects`);
-      if (typeof t.maxLoad !== 'number' || t.maxLoad <= 0) errors.push(`teachers[${i}].maxLoad`);
-
-      if (!Array.isArray(t.availability) || t.availability.length !== workingDays) {
-        errors.push(`teachers[${i}].availability: ${workingDays} days`);
-      } else {
-        t.availability.forEach((dayArr, d) => {
-          if (!Array.isArray(dayArr) || dayArr.length !== periodsPerDay) {
-            errors.push(`teachers[${i}].availability[${d}]: ${periodsPerDay} periods`);
-          } else {
-            for (let p = 0; p < dayArr.length; p++) {
-              if (typeof dayArr[p] !== 'boolean') {
-                errors.push(`teachers[${i}].availability[${d}][${p}]: boolean`);
-                break;
-              }
-            }
-          }
+      if (typeof t.name !== 'string' || !t.name) error(`teachers[${i}].name`, 'required', 'A name is required');
+      if (!Array.isArray(t.subjects) || t.subjects.length === 0) {
+        error(`teachers[${i}].subjects`, 'required', 'The teacher teaches no subject', 'Tick the subjects they can teach');
+      } else if (subjectList.length) {
+        t.subjects.forEach((sid) => {
+          if (!subjectIds.has(sid)) warning(`teachers[${i}].subjects`, 'unknown-ref', `Qualified for unknown subject '${sid}'`, `Add subject '${sid}' or untick it`);
         });
       }
+      if (typeof t.maxLoad !== 'number' || t.maxLoad <= 0) error(`teachers[${i}].maxLoad`, 'required', 'Max load must be a positive number of periods a week');
+
+      // Optional daily limits
+      ['maxPerDay', 'maxConsecutive', 'minPerDay'].forEach((k) => {
+        if (isSet(t[k]) && !isCount(t[k])) error(`teachers[${i}].${k}`, 'not-a-count', `${k} must be a whole number of 0 or more`, 'Enter a whole number or clear the field');
+      });
+      if (t.maxPerDay > 0 && t.minPerDay > t.maxPerDay) error(`teachers[${i}].minPerDay`, 'conflict', `The minimum of ${t.minPerDay} a day is above the maximum of ${t.maxPerDay}`);
+      if (t.maxPerDay > 0 && typeof workingDays === 'number' && t.maxPerDay * workingDays < t.maxLoad) {
+        // maxLoad is only a ceiling: the teacher just cannot reach it
+        warning(`teachers[${i}].maxPerDay`, 'capacity', `${t.maxPerDay} a day over ${workingDays} days caps the week at ${t.maxPerDay * workingDays} periods, below maxLoad ${t.maxLoad}`, `Raise it to ${Math.ceil(t.maxLoad / workingDays)} to allow the full load, or lower maxLoad`);
+      }
+
+      checkGrid(t.availability, `teachers[${i}].availability`, shape, (v) => typeof v === 'boolean', 'true or false', report);
+      // Optional soft preferences, shaped like availability: 'prefer' | 'avoid' | null per period
+      if (isSet(t.preferences)) checkGrid(t.preferences, `teachers[${i}].preferences`, shape, (v) => v === null || v === 'prefer' || v === 'avoid', "'prefer', 'avoid' or null", report);
     });
   }
 
+  // Resources (optional): rooms and labs, with an optional seating capacity and availability
+  if (isSet(obj.resources) && !Array.isArray(obj.resources)) error('resources', 'wrong-type', 'Resources must be a list');
+  checkIds(resourceList, 'resources', report);
+  resourceList.forEach((r, i) => {
+    if (!r || typeof r !== 'object') {
+      error(`resources[${i}]`, 'wrong-type', 'Invalid resource');
+      return;
+    }
+    if (typeof r.type !== 'string' || !r.type) error(`resources[${i}].type`, 'required', 'A type is required', 'e.g. classroom, lab or computer_lab');
+    if (isSet(r.capacity) && (!Number.isInteger(r.capacity) || r.capacity < 1)) error(`resources[${i}].capacity`, 'out-of-range', 'Seats must be a positive whole number', 'Enter the seats, or clear the field for no limit');
+    if (isSet(r.availability)) checkGrid(r.availability, `resources[${i}].availability`, shape, (v) => typeof v === 'boolean', 'true or false', report);
+  });
+
   // Classes
   if (!Array.isArray(classes) || classes.length === 0) {
-    errors.push('classes: non-empty array');
+    error('classes', 'required', 'Add at least one class');
   } else {
+    checkIds(classes, 'classes', report);
     classes.forEach((c, i) => {
       if (!c || typeof c !== 'object') {
-        errors.push(`classes[${i}]: invalid`);
+        error(`classes[${i}]`, 'wrong-type', 'Invalid class');
         return;
       }
-      if (typeof c.id !== 'string' || !c.id) errors.push(`classes[${i}].id`);
-      if (typeof c.name !== 'string' || !c.name) errors.push(`classes[${i}].name`);
+      if (typeof c.name !== 'string' || !c.name) error(`classes[${i}].name`, 'required', 'A name is required');
       if (!c.subjects || typeof c.subjects !== 'object') {
-        errors.push(`classes[${i}].subjects: mapping`);
+        error(`classes[${i}].subjects`, 'wrong-type', 'Subjects must map subject ids to weekly periods');
       } else {
         const keys = Object.keys(c.subjects);
-        if (keys.length === 0) errors.push(`classes[${i}].subjects: empty`);
+        if (keys.length === 0) error(`classes[${i}].subjects`, 'required', 'The class is taught no subject', 'Enter weekly periods for its subjects');
         keys.forEach((sid) => {
           const cnt = c.subjects[sid];
-          if (typeof cnt !== 'number' || cnt < 0) errors.push(`classes[${i}].subjects['${sid}']`);
+          if (typeof cnt !== 'number' || cnt < 0) error(`classes[${i}].subjects['${sid}']`, 'not-a-count', 'Weekly periods must be 0 or more');
+          if (subjectList.length && !subjectIds.has(sid)) error(`classes[${i}].subjects['${sid}']`, 'unknown-ref', `Unknown subject '${sid}'`, `Add subject '${sid}' or remove it from the class`);
+        });
+      }
+      // Overrides only make sense for subjects the class is taught
+      const checkTaught = (path, sid) => {
+        if (!c.subjects || !(sid in c.subjects)) error(path, 'unknown-ref', `${sid} is not taught to this class`, 'Remove the override, or give the subject weekly periods');
+      };
+
+      // Periods per week of the cycle where the weeks differ: { [subjectId]: [weekA, weekB, ...] }
+      if (isSet(c.cyclePeriods) && typeof c.cyclePeriods !== 'object') {
+        error(`classes[${i}].cyclePeriods`, 'wrong-type', 'Periods per week must be a mapping');
+      } else {
+        Object.entries(c.cyclePeriods || {}).forEach(([sid, list]) => {
+          const path = `classes[${i}].cyclePeriods['${sid}']`;
+          checkTaught(path, sid);
+          if (!Array.isArray(list) || list.length !== weeks) error(path, 'wrong-shape', `Must give ${weeks} week(s)`);
+          else if (list.some((n) => n !== null && !isCount(n))) error(path, 'not-a-count', 'Periods per week must be whole numbers of 0 or more');
+        });
+      }
+
+      // Bell schedule: a wing and/or the class's own periods per day
+      if (c.wing && !wingIds.has(c.wing)) error(`classes[${i}].wing`, 'unknown-ref', `Unknown wing '${c.wing}'`, 'Pick an existing wing');
+      checkDayPeriods(c.dayPeriods, `classes[${i}].dayPeriods`, workingDays, periodsPerDay, report);
+
+      // Class size and home room
+      if (isSet(c.strength) && !isCount(c.strength)) error(`classes[${i}].strength`, 'not-a-count', 'Students must be a whole number of 0 or more');
+      if (c.homeRoom) {
+        const room = resourceList.find((r) => r?.id === c.homeRoom);
+        if (!room) error(`classes[${i}].homeRoom`, 'unknown-ref', `Unknown resource '${c.homeRoom}'`, 'Pick an existing room');
+        else if (room.capacity > 0 && c.strength > room.capacity) error(`classes[${i}].homeRoom`, 'capacity', `${room.id} seats ${room.capacity}, the class has ${c.strength}`, 'Pick a bigger room');
+      }
+
+      // Per-class spread overrides, and minDays that the weekly count cannot reach
+      if (isSet(c.spread) && typeof c.spread !== 'object') {
+        error(`classes[${i}].spread`, 'wrong-type', 'Spread overrides must be a mapping');
+      } else {
+        Object.entries(c.spread || {}).forEach(([sid, rule]) => {
+          checkTaught(`classes[${i}].spread['${sid}']`, sid);
+          const subj = subjectList.find((s) => s?.id === sid);
+          checkSpread(rule || {}, `classes[${i}].spread['${sid}']`, workingDays, longestBlock(subj || { id: sid }, c), report);
         });
       }
+
+      // Per-class block overrides: { [subjectId]: { double?, triple? } }
+      if (isSet(c.blocks) && typeof c.blocks !== 'object') {
+        error(`classes[${i}].blocks`, 'wrong-type', 'Block overrides must be a mapping');
+      } else {
+        Object.entries(c.blocks || {}).forEach(([sid, rule]) => {
+          checkTaught(`classes[${i}].blocks['${sid}']`, sid);
+          checkBlocks(rule || {}, `classes[${i}].blocks['${sid}']`, ['double', 'triple'], longestRun, report);
+        });
+      }
+
+      // Per-class time-of-day windows: { [subjectId]: { preferred?, avoided?, forbidden? } }
+      if (isSet(c.periodWindows) && typeof c.periodWindows !== 'object') {
+        error(`classes[${i}].periodWindows`, 'wrong-type', 'Time-of-day overrides must be a mapping');
+      } else {
+        Object.entries(c.periodWindows || {}).forEach(([sid, rule]) => {
+          checkTaught(`classes[${i}].periodWindows['${sid}']`, sid);
+          checkPeriodWindows(rule, `classes[${i}].periodWindows['${sid}']`, periodsPerDay, report);
+        });
+      }
+
+      // Blocks have to fit the weekly period count (the fullest week of a cycle); minDays needs enough separate lessons
+      Object.entries(c.subjects || {}).forEach(([sid, weekly]) => {
+        if (typeof weekly !== 'number') return;
+        const path = `classes[${i}].subjects['${sid}']`;
+        const cnt = Math.max(...getWeekPeriods(obj, c, sid));
+        const subj = subjectList.find((s) => s?.id === sid);
+        const o = c.blocks?.[sid] || {};
+        const triple = Number(o.triple ?? subj?.tripleBlocks) || 0;
+        const double = Number(o.double ?? subj?.doubleBlocks) || 0;
+        if (3 * triple + 2 * double > cnt) {
+          error(path, 'conflict', `${double} double and ${triple} triple block(s) need ${3 * triple + 2 * double} periods, but ${sid} has ${cnt} a week`, 'Raise the weekly periods or use fewer blocks');
+        }
+        // Every need of the subject must have a resource that seats the class; needs nothing
+        // matches at all are reported on the subject
+        const options = lessonResources(subj || { id: sid }, c, resourceList);
+        if (cnt > 0 && options) {
+          const anySize = lessonResources(subj || { id: sid }, null, resourceList);
+          subjectResourceNeeds(subj || { id: sid }).forEach((need, k) => {
+            if (options[k].length || !anySize[k].length) return;
+            const what = need.ids ? need.ids.join(', ') : `No ${need.type}`;
+            error(path, 'capacity', `${what} ${need.ids ? 'cannot' : 'can'} seat the ${c.strength} students of this class`, 'Add a bigger resource, or lower the class size');
+          });
+        }
+        const blocks = getLessonBlocks(subj || { id: sid }, c, cnt);
+        const lessons = blocks.triple + blocks.double + blocks.single;
+        // Forbidden windows have to leave room for the longest block
+        const forbidden = getPeriodWindows(subj || { id: sid }, c, periodsPerDay)?.forbidden;
+        const block = blocks.triple ? 3 : blocks.double ? 2 : 1;
+        if (cnt > 0 && forbidden?.size && longestTeachingRun(obj, forbidden) < block) {
+          error(path, 'conflict', `Forbidden periods leave no ${block > 1 ? `${block} consecutive periods` : 'period'} to teach ${sid} in`, 'Allow more periods in its time of day');
+        }
+        const minDays = c.spread?.[sid]?.minDays ?? subj?.minDays;
+        if (minDays > lessons) {
+          error(path, 'conflict', `minDays ${minDays} but only ${lessons} lesson(s) of ${sid} a week`, `Lower minDays to ${lessons}, or use fewer blocks`);
+        }
+      });
+    });
+  }
+
+  const classById = new Map((Array.isArray(classes) ? classes : []).map((c) => [c?.id, c]));
+  const teacherById = new Map((Array.isArray(teachers) ? teachers : []).map((t) => [t?.id, t]));
+  const resourceIds = new Set(resourceList.map((r) => r?.id));
+
+  // Fixed lessons (optional): 1-based day/period, references must resolve
+  if (isSet(obj.fixedLessons)) {
+    if (!Array.isArray(obj.fixedLessons)) {
+      error('fixedLessons', 'wrong-type', 'Fixed lessons must be a list');
+    } else {
+      const breakPeriods = getBreakPeriods(obj);
+      const taken = new Set();
+      obj.fixedLessons.forEach((f, i) => {
+        const path = `fixedLessons[${i}]`;
+        if (!f || typeof f !== 'object') {
+          error(path, 'wrong-type', 'Invalid fixed lesson');
+          return;
+        }
+        const cls = classById.get(f.classId);
+        if (!cls) error(`${path}.classId`, 'unknown-ref', `Unknown class '${f.classId}'`, 'Pick an existing class');
+        else if (!cls.subjects || !(f.subjectId in cls.subjects)) error(`${path}.subjectId`, 'unknown-ref', `'${f.subjectId}' is not taught to ${f.classId}`, 'Pick one of the class subjects');
+        if (!teacherById.has(f.teacherId)) error(`${path}.teacherId`, 'unknown-ref', `Unknown teacher '${f.teacherId}'`, 'Pick an existing teacher');
+        if (f.resourceId && !resourceIds.has(f.resourceId)) error(`${path}.resourceId`, 'unknown-ref', `Unknown resource '${f.resourceId}'`, 'Pick an existing resource');
+        if (!Number.isInteger(f.day) || f.day < 1 || f.day > workingDays) error(`${path}.day`, 'out-of-range', `The day must be 1 to ${workingDays}`);
+        if (isSet(f.week) && (!Number.isInteger(f.week) || f.week < 1 || f.week > weeks)) error(`${path}.week`, 'out-of-range', `The week must be 1 to ${weeks}`);
+        const span = f.span ?? 1;
+        if (!Number.isInteger(span) || span < 1 || span > 3) error(`${path}.span`, 'out-of-range', 'A block is 1 to 3 periods long');
+        if (!Number.isInteger(f.period) || f.period < 1 || f.period > periodsPerDay) error(`${path}.period`, 'out-of-range', `The period must be 1 to ${periodsPerDay}`);
+        else if (Number.isInteger(span) && f.period + span - 1 > periodsPerDay) error(`${path}.span`, 'out-of-range', `A ${span}-period block starting at period ${f.period} runs past the day`, 'Start it earlier');
+        else if (cls && Number.isInteger(span) && f.period + span - 1 > (getClassDayPeriods(obj, cls)[f.day - 1] ?? periodsPerDay)) {
+          error(`${path}.period`, 'out-of-range', `${f.classId} has only ${getClassDayPeriods(obj, cls)[f.day - 1]} periods on day ${f.day}`, 'Start it earlier or pick another day');
+        }
+        const periods = Array.from({ length: Number.isInteger(span) && span > 0 ? span : 1 }, (_, k) => f.period + k);
+        const onBreak = periods.find((p) => breakPeriods.has(p - 1));
+        if (onBreak !== undefined) error(`${path}.period`, 'on-break', `Period ${onBreak} is a break`, 'Move the lesson off the break');
+        // A lesson without a week recurs in every week of the cycle
+        const inWeeks = Number.isInteger(f.week) ? [f.week] : Array.from({ length: weeks }, (_, w) => w + 1);
+        for (const p of periods) {
+          const classKeys = inWeeks.map((w) => `c|${f.classId}|${w}|${f.day}|${p}`);
+          const teacherKeys = inWeeks.map((w) => `t|${f.teacherId}|${w}|${f.day}|${p}`);
+          if (classKeys.some((k) => taken.has(k))) error(path, 'clash', `${f.classId} already has a fixed lesson on day ${f.day}, period ${p}`, 'Move one of the two lessons');
+          if (teacherKeys.some((k) => taken.has(k))) error(path, 'clash', `${f.teacherId} already has a fixed lesson on day ${f.day}, period ${p}`, 'Move one of the two lessons');
+          for (const k of [...classKeys, ...teacherKeys]) taken.add(k);
+        }
+      });
+      // Fixed lessons count toward each week's periods, so they cannot exceed them
+      const fixedCounts = new Map();
+      obj.fixedLessons.forEach((f) => {
+        const inWeeks = Number.isInteger(f?.week) ? [f.week - 1] : Array.from({ length: weeks }, (_, w) => w);
+        for (const w of inWeeks) {
+          const key = `${f?.classId}|${f?.subjectId}|${w}`;
+          fixedCounts.set(key, (fixedCounts.get(key) || 0) + (Number(f?.span) || 1));
+        }
+      });
+      for (const [key, n] of fixedCounts) {
+        const [classId, subjectId, week] = key.split('|');
+        const cls = classById.get(classId);
+        if (typeof cls?.subjects?.[subjectId] !== 'number') continue;
+        const demand = getWeekPeriods(obj, cls, subjectId)[Number(week)];
+        if (n > demand) {
+          error('fixedLessons', 'conflict', `${n} fixed ${subjectId} period(s) for ${classId}, more than its ${demand} ${weeks > 1 ? `in week ${Number(week) + 1}` : 'a week'}`, 'Remove fixed lessons or raise the weekly periods');
+        }
+      }
+    }
+  }
+
+  // Teaching allocations (optional): who teaches each class/subject, optionally split by periods
+  if (isSet(obj.allocations)) {
+    if (!Array.isArray(obj.allocations)) {
+      error('allocations', 'wrong-type', 'Allocations must be a list');
+    } else {
+      const seen = new Set();
+      const totals = new Map(); // classId|subjectId -> { periods, open }
+      obj.allocations.forEach((a, i) => {
+        const path = `allocations[${i}]`;
+        if (!a || typeof a !== 'object') {
+          error(path, 'wrong-type', 'Invalid allocation');
+          return;
+        }
+        const cls = classById.get(a.classId);
+        const teacher = teacherById.get(a.teacherId);
+        if (!cls) error(`${path}.classId`, 'unknown-ref', `Unknown class '${a.classId}'`, 'Pick an existing class');
+        else if (!cls.subjects || !(a.subjectId in cls.subjects)) error(`${path}.subjectId`, 'unknown-ref', `'${a.subjectId}' is not taught to ${a.classId}`, 'Pick one of the class subjects');
+        if (!teacher) error(`${path}.teacherId`, 'unknown-ref', `Unknown teacher '${a.teacherId}'`, 'Pick an existing teacher');
+        else if (!Array.isArray(teacher.subjects) || !teacher.subjects.includes(a.subjectId)) error(`${path}.teacherId`, 'unqualified', `${a.teacherId} does not teach ${a.subjectId}`, `Pick a ${a.subjectId} teacher, or qualify ${a.teacherId} for it`);
+        const hasPeriods = isSet(a.periods);
+        if (hasPeriods && (!Number.isInteger(a.periods) || a.periods < 1)) error(`${path}.periods`, 'out-of-range', 'Periods must be a positive whole number', 'Enter a number, or clear it to take the rest');
+        const key = `${a.classId}|${a.subjectId}`;
+        if (seen.has(`${key}|${a.teacherId}`)) error(path, 'duplicate', `${a.teacherId} is already allocated to ${a.classId} ${a.subjectId}`, 'Remove one of the two rows');
+        seen.add(`${key}|${a.teacherId}`);
+        const total = totals.get(key) || { periods: 0, open: 0 };
+        if (hasPeriods) total.periods += Number(a.periods) || 0;
+        else total.open += 1;
+        totals.set(key, total);
+      });
+      // Splits cannot add up to more than the class is taught a week
+      for (const [key, { periods, open }] of totals) {
+        const [classId, subjectId] = key.split('|');
+        const demand = classById.get(classId)?.subjects?.[subjectId];
+        if (typeof demand !== 'number') continue;
+        if (periods > demand) error('allocations', 'conflict', `${classId} ${subjectId} is split into ${periods} periods, more than its ${demand} a week`, 'Lower the split periods');
+        if (open > 1) error('allocations', 'conflict', `${classId} ${subjectId} has ${open} teachers without a period count`, 'Give all but one of them a period count');
+      }
+    }
+  }
+
+  // Lesson groups (optional): parallel sub-lessons for several classes in the same slot
+  if (isSet(obj.lessonGroups)) {
+    if (!Array.isArray(obj.lessonGroups)) {
+      error('lessonGroups', 'wrong-type', 'Lesson groups must be a list');
+    } else {
+      checkIds(obj.lessonGroups, 'lessonGroups', report);
+      obj.lessonGroups.forEach((g, i) => {
+        const path = `lessonGroups[${i}]`;
+        if (!g || typeof g !== 'object') {
+          error(path, 'wrong-type', 'Invalid lesson group');
+          return;
+        }
+        if (!Array.isArray(g.classIds) || g.classIds.length === 0) error(`${path}.classIds`, 'required', 'Pick the classes that take part');
+        else {
+          g.classIds.forEach((cid) => {
+            if (!classById.has(cid)) error(`${path}.classIds`, 'unknown-ref', `Unknown class '${cid}'`, 'Untick it');
+          });
+          if (new Set(g.classIds).size !== g.classIds.length) error(`${path}.classIds`, 'duplicate', 'A class is listed twice');
+        }
+        if (!Number.isInteger(g.periods) || g.periods < 1) error(`${path}.periods`, 'out-of-range', 'Periods must be a positive whole number a week');
+        if (!Array.isArray(g.lessons) || g.lessons.length === 0) {
+          error(`${path}.lessons`, 'required', 'Add at least one lesson');
+          return;
+        }
+        const usedTeachers = new Set();
+        const usedResources = new Set();
+        g.lessons.forEach((l, k) => {
+          const lp = `${path}.lessons[${k}]`;
+          if (!l || typeof l !== 'object') {
+            error(lp, 'wrong-type', 'Invalid lesson');
+            return;
+          }
+          const teacher = teacherById.get(l.teacherId);
+          if (!subjectIds.has(l.subjectId)) error(`${lp}.subjectId`, 'unknown-ref', `Unknown subject '${l.subjectId}'`, 'Pick an existing subject');
+          if (!teacher) error(`${lp}.teacherId`, 'unknown-ref', `Unknown teacher '${l.teacherId}'`, 'Pick an existing teacher');
+          else if (!Array.isArray(teacher.subjects) || !teacher.subjects.includes(l.subjectId)) error(`${lp}.teacherId`, 'unqualified', `${l.teacherId} does not teach ${l.subjectId}`, `Pick a ${l.subjectId} teacher`);
+          if (usedTeachers.has(l.teacherId)) error(`${lp}.teacherId`, 'clash', `${l.teacherId} already teaches another lesson of this group`, 'Pick another teacher');
+          usedTeachers.add(l.teacherId);
+          if (l.resourceId) {
+            if (!resourceIds.has(l.resourceId)) error(`${lp}.resourceId`, 'unknown-ref', `Unknown resource '${l.resourceId}'`, 'Pick an existing resource');
+            if (usedResources.has(l.resourceId)) error(`${lp}.resourceId`, 'clash', `${l.resourceId} is already used by another lesson of this group`, 'Pick another resource');
+            usedResources.add(l.resourceId);
+          }
+        });
+      });
+    }
+  }
+
+  // Soft-constraint weights (optional): rule id -> number, negative only for invertible rules
+  if (isSet(obj.weights)) {
+    if (typeof obj.weights !== 'object' || Array.isArray(obj.weights)) {
+      error('weights', 'wrong-type', 'Weights must map rule ids to numbers');
+    } else {
+      const rules = new Map(SOFT_RULES.map((r) => [r.id, r]));
+      Object.entries(obj.weights).forEach(([id, w]) => {
+        const rule = rules.get(id);
+        if (!rule) warning(`weights.${id}`, 'unknown-ref', `Unknown rule '${id}' is ignored`, 'Remove it');
+        else if (typeof w !== 'number' || !Number.isFinite(w)) error(`weights.${id}`, 'wrong-type', 'The weight must be a number');
+        else if (w < 0 && !rule.invertible) error(`weights.${id}`, 'out-of-range', `${rule.label} cannot be rewarded`, 'Use 0 or more');
+      });
+    }
+  }
+
+  const errors = report.issues.filter((x) => x.severity === 'error');
+  const warnings = report.issues.filter((x) => x.severity === 'warning');
+  return { valid: errors.length === 0, errors, warnings, issues: report.issues };
+}
+
+// Hard-constraint check of a finished timetable (generated, returned by the AI, edited by hand or
+// saved long ago) against the school data. Violations are { code, message, classId, day, period,
+// subjectId?, teacherId?, resourceId? } with 0-based day (over the whole cycle) and period; codes:
+// teacher-clash, teacher-unavailable, resource-clash, unqualified-teacher, in-break (a break, or a
+// period the class's day does not have) and count-mismatch. A count mismatch is about the class, not
+// a cell, so its day and period are null; periods the generator marked unassigned are already
+// reported there, so they count towards the need. A lesson-group cell is checked once, in its first
+// class, and a group's mismatch carries its groupId.
+export function validateTimetable(timetable, schoolData) {
+  const violations = [];
+  const data = expandCycle(schoolData);
+  if (!timetable || !data) return { valid: true, violations };
+  const weekDays = data.weekDays || data.workingDays;
+  const weeks = getCycleWeeks(schoolData);
+  const inWeek = (w) => (weeks > 1 ? ` in week ${weekName(w)}` : ' a week');
+  const breakPeriods = getBreakPeriods(data);
+  const teachersById = new Map((data.teachers || []).filter(Boolean).map((t) => [t.id, t]));
+  const classesById = new Map((data.classes || []).filter(Boolean).map((c) => [c.id, c]));
+  const bookings = new Map(); // 't|teacherId|day|period' or 'r|resourceId|day|period' -> cells
+  const counts = new Map(); // 'classId|subjectId|week' or 'group|groupId|week' -> periods
+  const bump = (key) => counts.set(key, (counts.get(key) || 0) + 1);
+  const book = (key, at) => {
+    if (!bookings.has(key)) bookings.set(key, []);
+    bookings.get(key).push(at);
+  };
+
+  for (const [classId, grid] of Object.entries(timetable)) {
+    const cls = classesById.get(classId);
+    const dayLengths = cls ? getClassDayPeriods(data, cls) : [];
+    (grid || []).forEach((row, day) => {
+      (row || []).forEach((entry, period) => {
+        if (!entry) return;
+        const week = Math.floor(day / weekDays);
+        if (entry.unassigned) {
+          if (entry.subjectId) bump(`unassigned|${classId}|${entry.subjectId}|${week}`);
+          return;
+        }
+        if (entry.groupId && entry.classIds?.[0] !== classId) return;
+        const at = { classId, day, period };
+        if (breakPeriods.has(period)) {
+          violations.push({ ...at, code: 'in-break', message: `${classId} has a lesson in ${breakPeriods.get(period)}` });
+        } else if (cls && period >= (dayLengths[day] ?? data.periodsPerDay)) {
+          violations.push({ ...at, code: 'in-break', message: `${classId} has a lesson after its day ends` });
+        }
+        if (entry.groupId) bump(`group|${entry.groupId}|${week}`);
+        else bump(`${classId}|${entry.subjectId}|${week}`);
+        for (const lesson of cellLessons(entry)) {
+          const { subjectId, teacherId } = lesson;
+          const teacher = teachersById.get(teacherId);
+          if (teacherId && !teacher) {
+            violations.push({ ...at, subjectId, teacherId, code: 'unqualified-teacher', message: `Unknown teacher ${teacherId} teaches ${subjectId}` });
+          } else if (teacher) {
+            if (!Array.isArray(teacher.subjects) || !teacher.subjects.includes(subjectId)) {
+              violations.push({ ...at, subjectId, teacherId, code: 'unqualified-teacher', message: `${teacherId} is not qualified for ${subjectId}` });
+            }
+            if (teacher.availability?.[day]?.[period] !== true) {
+              violations.push({ ...at, subjectId, teacherId, code: 'teacher-unavailable', message: `${teacherId} is not available then` });
+            }
+          }
+          if (teacherId) book(`t|${teacherId}|${day}|${period}`, { ...at, subjectId, teacherId });
+          for (const resourceId of lessonResourceIds(lesson)) book(`r|${resourceId}|${day}|${period}`, { ...at, subjectId, resourceId });
+        }
+      });
     });
   }
 
-  return { valid: errors.length === 0, errors };
+  // Anyone booked twice in one period: every cell involved is reported
+  for (const [key, cells] of bookings) {
+    if (cells.length < 2) continue;
+    const teacher = key.startsWith('t|');
+    cells.forEach((cell) => {
+      const others = cells.filter((c) => c !== cell).map((c) => c.classId).join(', ');
+      violations.push({
+        ...cell,
+        code: teacher ? 'teacher-clash' : 'resource-clash',
+        message: `${teacher ? cell.teacherId : cell.resourceId} is also booked for ${others} in this period`,
+      });
+    });
+  }
+
+  // Periods of each subject and lesson group, week by week, against what the data asks for
+  const mismatch = (classId, subjectId, got, want, w, extra) =>
+    violations.push({ classId, subjectId, day: null, period: null, ...extra, code: 'count-mismatch', message: `${classId} has ${got} ${subjectId} period(s)${inWeek(w)}, needs ${want}` });
+  for (const classId of Object.keys(timetable)) {
+    const cls = classesById.get(classId);
+    if (!cls) continue;
+    const subjectIds = new Set(Object.keys(cls.subjects || {}));
+    for (const key of counts.keys()) {
+      const [cid, sid] = key.split('|');
+      if (cid === classId) subjectIds.add(sid);
+    }
+    for (const sid of subjectIds) {
+      const want = getWeekPeriods(schoolData, cls, sid);
+      for (let w = 0; w < weeks; w++) {
+        const got = counts.get(`${classId}|${sid}|${w}`) || 0;
+        const marked = counts.get(`unassigned|${classId}|${sid}|${w}`) || 0;
+        if (got > want[w] || got + marked < want[w]) mismatch(classId, sid, got, want[w], w);
+      }
+    }
+  }
+  for (const g of getLessonGroups(schoolData)) {
+    for (let w = 0; w < weeks; w++) {
+      const got = counts.get(`group|${g.id}|${w}`) || 0;
+      if (got !== g.periods) mismatch(g.classIds.join(', '), g.name, got, g.periods, w, { groupId: g.id });
+    }
+  }
+
+  return { valid: violations.length === 0, violations };
 }
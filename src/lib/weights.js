@@ -0,0 +1,98 @@
+// Soft-constraint weights used by the generator's objective.
+// schoolData.weights maps rule id -> number: a positive weight penalizes each occurrence,
+// 0 disables the rule and a negative weight rewards it (only for invertible rules).
+
+export const SOFT_RULES = [
+  {
+    id: 'unassigned',
+    label: 'Empty required period',
+    hint: 'Each required lesson the generator could not place.',
+    default: 20,
+    invertible: false,
+  },
+  {
+    id: 'consecutiveSameSubject',
+    label: 'Same subject back to back',
+    hint: 'Two separate lessons of one subject in adjacent periods. A double period counts as one lesson.',
+    default: 10,
+    invertible: true,
+  },
+  {
+    id: 'subjectMaxPerDay',
+    label: 'Subject over its daily maximum',
+    hint: 'Each period of a subject beyond its max periods per day for a class.',
+    default: 15,
+    invertible: false,
+  },
+  {
+    id: 'subjectMinDays',
+    label: 'Subject on too few days',
+    hint: 'Each day short of the minimum number of distinct days a subject should be taught on.',
+    default: 15,
+    invertible: false,
+  },
+  {
+    id: 'subjectOutsidePreferred',
+    label: 'Subject outside its preferred periods',
+    hint: 'Each period of a subject taught outside the periods it prefers, e.g. Mathematics after the first half of the day.',
+    default: 4,
+    invertible: false,
+  },
+  {
+    id: 'subjectAvoidedPeriod',
+    label: 'Subject in an avoided period',
+    hint: 'Each period of a subject taught in a period it should avoid. Forbidden periods are never used.',
+    default: 6,
+    invertible: false,
+  },
+  {
+    id: 'teacherGap',
+    label: 'Teacher idle gap',
+    hint: 'A free period between two lessons of the same teacher on one day. Breaks are not gaps.',
+    default: 5,
+    invertible: true,
+  },
+  {
+    id: 'teacherMinPerDay',
+    label: 'Teacher below daily minimum',
+    hint: "Each period short of a teacher's minimum on a day they come in to teach.",
+    default: 5,
+    invertible: false,
+  },
+  {
+    id: 'teacherAvoidedPeriod',
+    label: 'Teacher in a period they avoid',
+    hint: "Each period taught where the teacher's preference grid says avoid. Availability stays a hard rule.",
+    default: 4,
+    invertible: false,
+  },
+  {
+    id: 'teacherPreferredPeriod',
+    label: 'Teacher in a period they prefer',
+    hint: "Each period taught where the teacher's preference grid says prefer. Reward it to pull lessons there.",
+    default: -2,
+    invertible: true,
+  },
+  {
+    id: 'teacherLoadBalance',
+    label: 'Uneven teacher loads',
+    hint: 'Standard deviation of teacher utilisation (periods taught as a % of max load), in whole points.',
+    default: 2,
+    invertible: false,
+  },
+];
+
+export const DEFAULT_WEIGHTS = Object.fromEntries(SOFT_RULES.map((r) => [r.id, r.default]));
+
+// Fill in defaults and drop anything that is not a usable number
+export function normalizeWeights(weights) {
+  const out = { ...DEFAULT_WEIGHTS };
+  for (const rule of SOFT_RULES) {
+    const raw = weights?.[rule.id];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = Number(raw);
+    if (!Number.isFinite(value)) continue;
+    out[rule.id] = rule.invertible ? value : Math.max(0, value);
+  }
+  return out;
+}
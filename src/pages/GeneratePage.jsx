@@ -1,8 +1,97 @@
-import { useEffect, useMemo, useState } from 'react';
-import { computePenalty } from '../lib/generator';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { computeDiagnostics } from '../lib/generator';
+import { analyzeFeasibility } from '../lib/feasibility';
+import { validateTimetable } from '../lib/validator';
+import { runGeneration, runPortfolio } from '../lib/runner';
 import { generateTimetableWithAI, getApiKey } from '../lib/ai';
 import { loadSchoolData, saveTimetable, logEdit } from '../lib/store';
+import { getBreakPeriods, getClassDayPeriods, getCycleWeeks, lessonResourceIds, subjectResourceNeeds, weekName } from '../lib/schedule';
+import { applyLearnedPenaltiesToOptions } from '../lib/learn';
 import EditModal from '../components/EditModal';
+import LearningPanel from '../components/LearningPanel';
+import FeasibilityReport from '../components/FeasibilityReport';
+
+const OPTIMIZERS = [
+  { id: 'anneal', label: 'Simulated annealing' },
+  { id: 'tabu', label: 'Tabu search' },
+  { id: 'hill', label: 'Improvements only' },
+];
+
+// Small inline chart of the optimizer's best penalty over iterations
+function ConvergenceSparkline({ trace }) {
+  if (!Array.isArray(trace) || trace.length < 2) return null;
+  const w = 220;
+  const h = 40;
+  const maxIt = trace[trace.length - 1].iteration || 1;
+  const values = trace.flatMap((t) => [t.current, t.best]);
+  const hi = Math.max(...values);
+  const lo = Math.min(...values);
+  const y = (v) => (hi === lo ? h / 2 : h - ((v - lo) / (hi - lo)) * (h - 4) - 2);
+  const line = (key) => trace.map((t) => `${((t.iteration / maxIt) * w).toFixed(1)},${y(t[key]).toFixed(1)}`).join(' ');
+  return (
+    <svg width={w} height={h} className="block" aria-label="Optimizer convergence">
+      <polyline points={line('current')} fill="none" stroke="var(--color-gray)" strokeWidth="1" opacity="0.5" />
+      <polyline points={line('best')} fill="none" stroke="var(--color-primary)" strokeWidth="2" />
+    </svg>
+  );
+}
+
+const PHASE_LABELS = {
+  seed: 'Keeping AI lessons',
+  solve: 'Exact search',
+  greedy: 'Placing lessons',
+  optimize: 'Optimizing',
+  done: 'Finishing',
+};
+
+// One line per running worker: phase, iteration progress, best penalty so far
+function ProgressRow({ label, progress }) {
+  const pct = progress?.iterations ? Math.round((100 * (progress.iteration || 0)) / progress.iterations) : 0;
+  return (
+    <div className="flex items-center gap-3 text-xs text-[var(--color-gray)]">
+      <span className="w-20 shrink-0 text-[var(--color-black)]">{label}</span>
+      <span className="w-28 shrink-0">{progress ? PHASE_LABELS[progress.phase] || progress.phase : 'Waiting'}</span>
+      <div className="flex-1 h-1.5 rounded bg-[var(--color-secondary)] overflow-hidden">
+        <div className="h-full bg-[var(--color-primary)]" style={{ width: `${progress?.phase === 'done' ? 100 : pct}%` }} />
+      </div>
+      <span className="w-24 shrink-0 text-right">best {progress?.best ?? '-'}</span>
+      <span className="w-20 shrink-0 text-right">empty {progress?.unassigned ?? '-'}</span>
+    </div>
+  );
+}
+
+// Key of a lesson's first cell, so every period of a double/triple block shares one lock
+function lessonKey(grid, classId, day, period) {
+  let head = period;
+  while (head > 0 && grid?.[day]?.[head]?.double && grid[day][head].headOfDouble === false) head -= 1;
+  return `${classId}|${day}|${head}`;
+}
+
+function LockIcon({ open }) {
+  return (
+    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" aria-hidden="true">
+      <rect x="5" y="11" width="14" height="10" rx="2" stroke="currentColor" strokeWidth="2" />
+      <path d={open ? 'M8 11V7a4 4 0 0 1 7.5-2' : 'M8 11V7a4 4 0 0 1 8 0v4'} stroke="currentColor" strokeWidth="2" strokeLinecap="round" />
+    </svg>
+  );
+}
+
+const ENGINES = [
+  { id: 'local', label: 'Local', hint: 'Offline generator. Uses the seed and optimization rounds.' },
+  { id: 'ai', label: 'AI', hint: 'Gemini builds the whole timetable. Requires VITE_GEMINI_API_KEY.' },
+  { id: 'ai-repair', label: 'AI + repair', hint: 'Gemini drafts, then the local generator keeps feasible lessons and fills the gaps.' },
+];
+
+// Numeric seeds are used as-is; any other text is hashed so it still reproduces
+function seedFromInput(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return undefined;
+  const n = Number.parseInt(text, 10);
+  if (Number.isFinite(n) && String(n) === text) return n;
+  let h = 0;
+  for (let i = 0; i < text.length; i++) h = (Math.imul(31, h) + text.charCodeAt(i)) >>> 0;
+  return h;
+}
 
 /**
  * Polished GeneratePage
@@ -10,14 +99,24 @@ import EditModal from '../components/EditModal';
  * - Better controls, nicer buttons, responsive two-column layout
  * - Timetable cells styled with lab accent, hover lift, and empty-state CTA
  * - Keeps existing generate/save/edit behavior intact
+ * - Engine selector: local generator (default), Gemini, or Gemini draft repaired locally
  */
 
-export default function GeneratePage() {
+export default function GeneratePage({ onOpenSetup }) {
   const [seed, setSeed] = useState('');
   const [optIterations, setOptIterations] = useState(200);
   const [savingName, setSavingName] = useState('Timetable');
   const [isGenerating, setIsGenerating] = useState(false);
-  // Force AI-driven generation (no manual toggle)
+  const [engine, setEngine] = useState('local'); // 'local' | 'ai' | 'ai-repair'
+  const [optimizer, setOptimizer] = useState('anneal');
+  const [optTimeLimitSec, setOptTimeLimitSec] = useState(10);
+  const [exactSolver, setExactSolver] = useState(false);
+  const [timeBudgetSec, setTimeBudgetSec] = useState(5);
+  const [portfolioSize, setPortfolioSize] = useState(1);
+  const [progress, setProgress] = useState([]); // latest progress per running worker
+  const [candidates, setCandidates] = useState([]); // portfolio runs: { seed, status, error, result }
+  const [chosenSeed, setChosenSeed] = useState(null);
+  const runRef = useRef(null); // { cancel } of the generation in flight
 
   const [schoolData, setSchoolData] = useState(null);
   const [result, setResult] = useState(null); // { timetable, diagnostics }
@@ -25,6 +124,7 @@ export default function GeneratePage() {
 
   const [editOpen, setEditOpen] = useState(false);
   const [editCell, setEditCell] = useState(null); // { classId, day, period }
+  const [lockedCells, setLockedCells] = useState(() => new Set()); // lessonKey of cells locked in the grid
 
   useEffect(() => {
     const data = loadSchoolData();
@@ -34,8 +134,6 @@ export default function GeneratePage() {
     }
   }, []);
 
-  // No explainability checkbox; always expect AI key present in session storage
-
   const subjectsById = useMemo(() => {
     const map = new Map();
     (schoolData?.subjects || []).forEach((s) => map.set(s.id, s));
@@ -48,6 +146,21 @@ export default function GeneratePage() {
     return map;
   }, [schoolData]);
 
+  const resourcesById = useMemo(() => {
+    const map = new Map();
+    (schoolData?.resources || []).forEach((r) => map.set(r.id, r));
+    return map;
+  }, [schoolData]);
+
+  const lessonGroupsById = useMemo(() => {
+    const map = new Map();
+    (schoolData?.lessonGroups || []).forEach((g) => map.set(g.id, g));
+    return map;
+  }, [schoolData]);
+
+  // Provably impossible data (more lessons than slots, teachers or rooms can take) is not generated
+  const feasibility = useMemo(() => (schoolData ? analyzeFeasibility(schoolData) : null), [schoolData]);
+
   const classSubjects = useMemo(() => {
     if (!schoolData || !selectedClassId) return [];
     const cls = schoolData.classes.find((c) => c.id === selectedClassId);
@@ -57,20 +170,106 @@ export default function GeneratePage() {
       .filter(Boolean);
   }, [schoolData, selectedClassId, subjectsById]);
 
+  // Runs the local generator in workers; with a portfolio, keeps the best seed and lists the rest
+  const runLocal = async (options) => {
+    const size = Math.max(1, portfolioSize | 0);
+    if (size === 1) {
+      setCandidates([]);
+      const run = runGeneration(schoolData, options, (p) => setProgress([p]));
+      runRef.current = run;
+      return run.promise;
+    }
+    const base = options.seed ?? 42;
+    const seeds = Array.from({ length: size }, (_, i) => base + i);
+    setProgress(new Array(size).fill(null));
+    const run = runPortfolio(schoolData, options, {
+      seeds,
+      onProgress: (index, p) => setProgress((prev) => prev.map((old, i) => (i === index ? p : old))),
+    });
+    runRef.current = run;
+    const { best, candidates: runs } = await run.promise;
+    setCandidates(runs);
+    setChosenSeed(best.seed);
+    return best.result;
+  };
+
+  const handleCancel = () => {
+    if (runRef.current) runRef.current.cancel();
+  };
+
+  const handleUseCandidate = (candidate) => {
+    if (!candidate?.result) return;
+    setResult({ ...candidate.result, diagnostics: { ...candidate.result.diagnostics, engine: result?.diagnostics?.engine || engine } });
+    setChosenSeed(candidate.seed);
+  };
+
+  // Lessons locked in the grid, carried into the next generation so it keeps them in place
+  const collectLockedLessons = () => {
+    const out = [];
+    for (const key of lockedCells) {
+      const [classId, day, period] = key.split('|');
+      const entry = result?.timetable?.[classId]?.[Number(day)]?.[Number(period)];
+      if (!entry || entry.unassigned || entry.fixed || !entry.subjectId) continue;
+      out.push({
+        classId,
+        day: Number(day),
+        period: Number(period),
+        subjectId: entry.subjectId,
+        teacherId: entry.teacherId,
+        ...(entry.resourceId ? { resourceId: entry.resourceId } : {}),
+        ...(entry.resourceIds ? { resourceIds: entry.resourceIds } : {}),
+        span: entry.double ? entry.span || 2 : 1,
+      });
+    }
+    return out;
+  };
+
+  const toggleLock = (day, period) => {
+    const cell = gridForSelected?.[day]?.[period];
+    if (!cell || cell.unassigned || cell.fixed || cell.groupId) return;
+    const key = lessonKey(gridForSelected, selectedClassId, day, period);
+    setLockedCells((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
   const handleGenerate = async () => {
     if (!schoolData) {
       window.alert('Please load and save school data in Setup first.');
       return;
     }
+    if (feasibility?.blocking) return;
     setIsGenerating(true);
     try {
-      // Ensure API key is present in env
+      // LearningPanel stores the "apply learned penalties" toggle in sessionStorage
+      const baseOptions = {
+        seed: seedFromInput(seed),
+        optimizeIterations: optIterations,
+        optimizer,
+        timeLimitMs: Math.max(1, Number(optTimeLimitSec) || 10) * 1000,
+        solver: exactSolver ? 'backtrack' : 'greedy',
+        timeBudgetMs: Math.max(1, Number(timeBudgetSec) || 5) * 1000,
+        lockedLessons: collectLockedLessons(),
+      };
+      const localOptions = sessionStorage.getItem('applyLearnedPenalties') === '1'
+        ? applyLearnedPenaltiesToOptions(baseOptions)
+        : baseOptions;
+
+      if (engine === 'local') {
+        const res = await runLocal(localOptions);
+        setResult({ ...res, diagnostics: { ...res.diagnostics, engine } });
+        return;
+      }
+
+      // AI engines: ensure API key is present in env
       const key = getApiKey();
       if (!key) {
-        window.alert('AI generation requires a Gemini API key in .env (VITE_GEMINI_API_KEY).\nAfter setting it, restart the dev server.');
+        window.alert('AI generation requires a Gemini API key in .env (VITE_GEMINI_API_KEY).\nAfter setting it, restart the dev server, or switch to the Local engine.');
         return;
       }
-      // Always require Gemini to generate the full timetable
       const ai = await generateTimetableWithAI(schoolData);
       if (!ai || !ai.timetable) {
         console.warn('[Generate] AI unavailable or invalid response. Aborting generation.');
@@ -79,36 +278,25 @@ export default function GeneratePage() {
       }
       console.log('[Generate] AI timetable raw:', ai.raw);
 
-      const timetable = ai.timetable;
-      // Build minimal diagnostics for display
-      const days = schoolData.workingDays;
-      const periods = schoolData.periodsPerDay;
-      let unassignedCount = 0;
-      const teacherLoads = {};
-      for (const [classId, grid] of Object.entries(timetable)) {
-        for (let d = 0; d < days; d++) {
-          for (let p = 0; p < periods; p++) {
-            const cell = grid?.[d]?.[p] || null;
-            if (!cell) {
-              unassignedCount += 1;
-            } else if (cell && cell.teacherId) {
-              teacherLoads[cell.teacherId] = (teacherLoads[cell.teacherId] || 0) + 1;
-            }
-          }
-        }
+      if (engine === 'ai-repair') {
+        const res = await runLocal({ ...localOptions, initialTimetable: ai.timetable });
+        setResult({ ...res, diagnostics: { ...res.diagnostics, engine } });
+        return;
       }
-      const diagnostics = {
-        unassignedCount,
-        penaltyScore: computePenalty(timetable, schoolData),
-        teacherLoads,
-        timeMs: 0,
-        timeTakenMs: 0,
-      };
+
+      const timetable = ai.timetable;
+      // Scored like local results (unassigned is missing demand, so breaks and short days do not count)
+      const scored = computeDiagnostics(timetable, schoolData, localOptions.learnedPenalties);
+      const diagnostics = { ...scored, engine, timeMs: 0 };
+      setCandidates([]);
       setResult({ timetable, diagnostics });
     } catch (e) {
+      if (e?.name === 'AbortError') return;
       console.error(e);
       window.alert('Generation error: ' + (e?.message || String(e)));
     } finally {
+      runRef.current = null;
+      setProgress([]);
       setIsGenerating(false);
     }
   };
@@ -126,20 +314,66 @@ export default function GeneratePage() {
   const days = schoolData?.workingDays || 5;
   const periods = schoolData?.periodsPerDay || 6;
   const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].slice(0, days);
+  // Grids of a multi-week cycle hold every week's days, week A first
+  const weeks = getCycleWeeks(schoolData);
+  const dayLabel = (d) => `${dayNames[d % days] || `D${(d % days) + 1}`}${weeks > 1 ? ` ${weekName(Math.floor(d / days))}` : ''}`;
+
+  const breakPeriods = useMemo(() => getBreakPeriods(schoolData), [schoolData]);
 
   const gridForSelected = selectedClassId && result?.timetable ? result.timetable[selectedClassId] : null;
 
+  // Periods each day has for the selected class; later periods do not exist
+  const selectedDayPeriods = useMemo(() => {
+    if (!schoolData) return [];
+    const cls = (schoolData.classes || []).find((c) => c.id === selectedClassId);
+    return getClassDayPeriods(schoolData, cls);
+  }, [schoolData, selectedClassId]);
+  const slotMissing = (day, period) => period >= (selectedDayPeriods[day % days] ?? periods);
+
+  // Hard-constraint violations of the shown timetable, and the messages of each offending cell
+  // ('classId|day|period'; a lesson-group cell is reported under its first class). Lessons and
+  // lesson groups the generator explains as unassigned are not repeated as count mismatches.
+  const timetableCheck = useMemo(() => {
+    if (!result?.timetable || !schoolData) return null;
+    const check = validateTimetable(result.timetable, schoolData);
+    const short = new Set((result.diagnostics?.unassignedReasons || []).map((r) => (r.groupId ? r.groupId : `${r.classId}|${r.subjectId}`)));
+    const violations = check.violations.filter((v) => !(v.code === 'count-mismatch' && short.has(v.groupId || `${v.classId}|${v.subjectId}`)));
+    return { valid: violations.length === 0, violations };
+  }, [result, schoolData]);
+  const badCells = useMemo(() => {
+    const map = new Map();
+    for (const v of timetableCheck?.violations || []) {
+      if (v.day === null) continue;
+      const key = `${v.classId}|${v.day}|${v.period}`;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(v.message);
+    }
+    return map;
+  }, [timetableCheck]);
+  const cellProblems = (cell, day, period) => badCells.get(`${cell?.groupId ? cell.classIds[0] : selectedClassId}|${day}|${period}`);
+
+  // Load per teacher against maxLoad (per week, so a cycle allows it once per week); the spread of
+  // utilisation is what the generator balances
+  const teacherUtilisation = useMemo(() => {
+    if (!result?.diagnostics?.teacherLoads || !schoolData) return [];
+    return (schoolData.teachers || []).map((t) => {
+      const load = result.diagnostics.teacherLoads[t.id] || 0;
+      const maxLoad = (t.maxLoad || 0) * weeks;
+      return { id: t.id, name: t.name || t.id, load, maxLoad, share: maxLoad > 0 ? (100 * load) / maxLoad : null };
+    });
+  }, [result, schoolData, weeks]);
+
   const teacherLoadStddev = useMemo(() => {
-    if (!result?.diagnostics?.teacherLoads) return 0;
-    const vals = Object.values(result.diagnostics.teacherLoads);
+    const vals = teacherUtilisation.filter((t) => t.share !== null).map((t) => t.share);
     if (vals.length === 0) return 0;
     const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
     const variance = vals.reduce((acc, v) => acc + (v - mean) ** 2, 0) / vals.length;
     return Math.sqrt(variance);
-  }, [result]);
+  }, [teacherUtilisation]);
 
   const openEdit = (day, period) => {
-    if (!gridForSelected) return;
+    const cell = gridForSelected?.[day]?.[period];
+    if (!gridForSelected || breakPeriods.has(period) || slotMissing(day, period) || cell?.fixed || cell?.groupId) return;
     setEditCell({ classId: selectedClassId, day, period });
     setEditOpen(true);
   };
@@ -172,13 +406,32 @@ export default function GeneratePage() {
           <h2 className="text-2xl font-semibold text-[var(--color-black)]">Generate</h2>
           <p className="text-sm text-[var(--color-gray)]">Create conflict-free timetables and preview per-class schedules</p>
         </div>
-        {/* Explainability toggle removed: AI is always used */}
       </div>
 
+      <FeasibilityReport report={feasibility} onOpen={onOpenSetup} />
+
       <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
         {/* Left panel */}
         <div className="lg:col-span-1 bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
           <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-[var(--color-gray)] mb-2">Engine</label>
+              <div className="inline-flex w-full rounded-md bg-[var(--color-secondary)] p-1">
+                {ENGINES.map((opt) => (
+                  <button
+                    key={opt.id}
+                    type="button"
+                    onClick={() => setEngine(opt.id)}
+                    title={opt.hint}
+                    className={`flex-1 px-2 py-1.5 text-xs rounded-md transition ${engine === opt.id ? 'bg-[var(--color-primary)] text-[var(--color-white)]' : 'text-[var(--color-black)]'}`}
+                  >
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+              <div className="mt-1 text-xs text-[var(--color-gray)]">{ENGINES.find((opt) => opt.id === engine)?.hint}</div>
+            </div>
+
             <div>
               <div className="flex items-center gap-1 mb-2">
                 <label className="text-sm font-medium text-[var(--color-gray)]">Random seed</label>
@@ -224,16 +477,90 @@ export default function GeneratePage() {
               />
             </div>
 
-            <div className="pt-2">
+            {engine !== 'ai' && (
+              <div>
+                <label className="block text-sm font-medium text-[var(--color-gray)] mb-2">Optimizer</label>
+                <select
+                  value={optimizer}
+                  onChange={(e) => setOptimizer(e.target.value)}
+                  className="w-full rounded-md border border-gray-300 px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-[var(--color-primary)]"
+                >
+                  {OPTIMIZERS.map((opt) => (
+                    <option key={opt.id} value={opt.id}>{opt.label}</option>
+                  ))}
+                </select>
+                <div className="mt-2 flex items-center gap-2 text-sm text-[var(--color-gray)]">
+                  <span title="The optimizer stops after the rounds above or this wall-clock limit, whichever comes first.">Time limit</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={300}
+                    value={optTimeLimitSec}
+                    onChange={(e) => setOptTimeLimitSec(parseInt(e.target.value, 10) || 1)}
+                    className="w-16 rounded-md border border-gray-300 px-2 py-1 text-center"
+                  />
+                  <span>s</span>
+                </div>
+              </div>
+            )}
+
+            {engine !== 'ai' && (
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium text-[var(--color-gray)]">
+                  <input type="checkbox" checked={exactSolver} onChange={(e) => setExactSolver(e.target.checked)} />
+                  <span title="Backtracking search that places every lesson or reports which demands conflict.">Exact solver</span>
+                </label>
+                {exactSolver && (
+                  <div className="mt-2 flex items-center gap-2 text-sm text-[var(--color-gray)]">
+                    <span>Time budget</span>
+                    <input
+                      type="number"
+                      min={1}
+                      max={120}
+                      value={timeBudgetSec}
+                      onChange={(e) => setTimeBudgetSec(parseInt(e.target.value, 10) || 1)}
+                      className="w-16 rounded-md border border-gray-300 px-2 py-1 text-center"
+                    />
+                    <span>s</span>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {engine !== 'ai' && (
+              <div className="flex items-center gap-2 text-sm text-[var(--color-gray)]">
+                <span title="Run several seeds in parallel workers and keep the best result. All runs are listed so you can pick another.">Parallel seeds</span>
+                <input
+                  type="number"
+                  min={1}
+                  max={16}
+                  value={portfolioSize}
+                  onChange={(e) => setPortfolioSize(Math.min(16, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                  className="w-16 rounded-md border border-gray-300 px-2 py-1 text-center"
+                />
+              </div>
+            )}
+
+            <div className="pt-2 space-y-2">
               <button
                 type="button"
                 onClick={handleGenerate}
-                disabled={isGenerating}
+                disabled={isGenerating || feasibility?.blocking}
+                title={feasibility?.blocking ? 'The feasibility check found data no timetable can satisfy; fix it in Setup first' : undefined}
                 style={{ background: 'var(--color-primary)', color: 'var(--color-white)' }}
                 className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 rounded-lg shadow-md hover:brightness-95 transition disabled:opacity-60"
               >
                 {isGenerating ? 'Generating...' : 'Generate Timetable'}
               </button>
+              {isGenerating && (
+                <button
+                  type="button"
+                  onClick={handleCancel}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 text-sm hover:bg-[var(--color-secondary)] transition"
+                >
+                  Cancel
+                </button>
+              )}
             </div>
 
             <div className="pt-3 border-t border-gray-100">
@@ -278,14 +605,14 @@ export default function GeneratePage() {
                 ))}
               </select>
               <div className="ml-3 text-xs text-[var(--color-gray)] px-2 py-1 rounded bg-[var(--color-secondary)]">
-                {days} days · {periods} periods/day
+                {days} days · {periods} periods/day{weeks > 1 ? ` · ${weeks}-week cycle` : ''}
               </div>
             </div>
 
             <div className="flex items-center gap-3">
               <button
                 type="button"
-                onClick={() => { setResult(null); setSelectedClassId(schoolData?.classes?.[0]?.id || ''); }}
+                onClick={() => { setResult(null); setCandidates([]); setLockedCells(new Set()); setSelectedClassId(schoolData?.classes?.[0]?.id || ''); }}
                 className="text-sm px-3 py-2 rounded-md border border-gray-200 hover:bg-[var(--color-secondary)]"
               >
                 Reset
@@ -293,6 +620,14 @@ export default function GeneratePage() {
             </div>
           </div>
 
+          {isGenerating && progress.length > 0 && (
+            <div className="rounded-lg border border-gray-200 bg-white p-3 shadow-sm space-y-1.5">
+              {progress.map((p, i) => (
+                <ProgressRow key={i} label={progress.length > 1 ? `Seed ${(seedFromInput(seed) ?? 42) + i}` : 'Progress'} progress={p} />
+              ))}
+            </div>
+          )}
+
           <div className="rounded-xl border border-gray-200 bg-white overflow-x-auto">
             {gridForSelected ? (
               <table className="min-w-full text-sm">
@@ -300,18 +635,50 @@ export default function GeneratePage() {
                   <tr className="bg-[var(--color-secondary)]">
                     <th className="px-4 py-3 text-left font-medium text-[var(--color-gray)]">Day</th>
                     {Array.from({ length: periods }).map((_, i) => (
-                      <th key={i} className="px-4 py-3 text-center font-medium text-[var(--color-gray)]">{i + 1}</th>
+                      <th key={i} className="px-4 py-3 text-center font-medium text-[var(--color-gray)]">{breakPeriods.get(i) || i + 1}</th>
                     ))}
                   </tr>
                 </thead>
                 <tbody>
                   {gridForSelected.map((row, d) => (
                     <tr key={d} className="border-t border-gray-100">
-                      <td className="px-4 py-3 font-medium text-[var(--color-black)]">{dayNames[d] || `D${d + 1}`}</td>
+                      <td className="px-4 py-3 font-medium text-[var(--color-black)] whitespace-nowrap">{dayLabel(d)}</td>
                       {row.map((cell, p) => {
+                        // A lesson in a break or a missing period is shown (in red) rather than hidden
+                        const problems = cellProblems(cell, d, p);
+                        if (slotMissing(d, p) && !problems) {
+                          return <td key={p} className="px-3 py-3 bg-gray-50" title="No such period on this day" />;
+                        }
+                        if (breakPeriods.has(p) && !problems) {
+                          return (
+                            <td key={p} className="px-3 py-3 align-middle bg-gray-50 text-center text-xs text-[var(--color-gray)]" title="Break — not editable">
+                              {breakPeriods.get(p)}
+                            </td>
+                          );
+                        }
+                        if (cell?.groupId) {
+                          const group = lessonGroupsById.get(cell.groupId);
+                          const lessons = cell.lessons.map((l) => `${subjectsById.get(l.subjectId)?.name || l.subjectId} · ${teachersById.get(l.teacherId)?.name || l.teacherId}${lessonResourceIds(l).map((id) => ` · ${resourcesById.get(id)?.name || id}`).join('')}`);
+                          return (
+                            <td key={p} className="px-3 py-3 align-middle">
+                              <div
+                                className="mx-auto max-w-[12rem] rounded-md p-2 text-center"
+                                style={{ border: '1px dashed var(--color-primary)', background: 'white', minHeight: 56, ...(problems ? { border: '2px solid #e11d48', background: '#fff1f2' } : {}) }}
+                                title={`${group?.name || cell.groupId} — runs in parallel for ${cell.classIds.join(', ')}\n${lessons.join('\n')}${problems ? `\n${problems.join('\n')}` : ''}`}
+                              >
+                                <div className="text-xs font-semibold text-[var(--color-primary)] truncate">{group?.name || cell.groupId}</div>
+                                {cell.lessons.map((l) => (
+                                  <div key={l.teacherId} className="text-xs text-[var(--color-gray)] truncate">{subjectsById.get(l.subjectId)?.name || l.subjectId}</div>
+                                ))}
+                              </div>
+                            </td>
+                          );
+                        }
                         const subj = cell && cell.subjectId ? subjectsById.get(cell.subjectId) : null;
                         const teacher = cell && cell.teacherId ? teachersById.get(cell.teacherId) : null;
-                        const isLab = subj?.lab || subj?.requiresLab;
+                        const isLab = subj?.requiresLab || (subj && subjectResourceNeeds(subj).some((n) => n.type?.includes('lab')));
+                        const isFixed = !!cell?.fixed;
+                        const isLocked = isFixed || (cell && !cell.unassigned && lockedCells.has(lessonKey(gridForSelected, selectedClassId, d, p)));
                         return (
                           <td
                             key={p}
@@ -331,18 +698,36 @@ export default function GeneratePage() {
                                 position: 'relative',
                                 boxSizing: 'border-box',
                                 ...(isLab ? { borderLeft: `4px solid var(--color-tertiary)` } : {}),
+                                ...(isLocked ? { outline: '2px solid var(--color-primary)', outlineOffset: -2 } : {}),
+                                ...(problems ? { border: '2px solid #e11d48', background: '#fff1f2' } : {}),
                               }}
-                              title={subj ? `${subj.name} — ${teacher ? teacher.name : ''}` : 'Empty slot — click to edit'}
+                              title={problems ? `${subj?.name || cell?.subjectId} — ${teacher ? teacher.name : cell?.teacherId || ''}\n${problems.join('\n')}` : subj ? `${subj.name} — ${teacher ? teacher.name : ''}` : 'Empty slot — click to edit'}
                             >
                               {cell && subj ? (
                                 <>
                                   <div className="text-sm font-semibold text-[var(--color-black)] truncate">{subj.name}</div>
                                   <div className="text-xs text-[var(--color-gray)] mt-1">{teacher ? teacher.name : 'TBA'}</div>
+                                  {cell.resourceId && (
+                                    <div className="text-[10px] text-[var(--color-gray)]">{lessonResourceIds(cell).map((id) => resourcesById.get(id)?.name || id).join(' + ')}</div>
+                                  )}
                                   {isLab && (
                                     <div style={{ position: 'absolute', left: 6, top: 8 }} className="text-[var(--color-tertiary)] text-xs font-medium">
                                       Lab
                                     </div>
                                   )}
+                                  {!cell.unassigned && (
+                                    <button
+                                      type="button"
+                                      onClick={(e) => { e.stopPropagation(); toggleLock(d, p); }}
+                                      disabled={isFixed}
+                                      style={{ position: 'absolute', right: 6, top: 6 }}
+                                      className={`rounded p-0.5 ${isLocked ? 'text-[var(--color-primary)]' : 'text-[var(--color-gray)] opacity-40 hover:opacity-100'}`}
+                                      title={isFixed ? 'Fixed in Setup' : isLocked ? 'Locked: kept in place when regenerating. Click to unlock.' : 'Lock this lesson in place'}
+                                      aria-label={isLocked ? 'Unlock lesson' : 'Lock lesson'}
+                                    >
+                                      <LockIcon open={!isLocked} />
+                                    </button>
+                                  )}
                                 </>
                               ) : (
                                 <div className="text-xs text-[var(--color-gray)] flex items-center gap-2">
@@ -386,10 +771,297 @@ export default function GeneratePage() {
               <div className="text-2xl font-semibold">{result?.diagnostics?.penaltyScore ?? '-'}</div>
             </div>
             <div className="flex-1 rounded-lg border border-gray-200 bg-white p-4 shadow-sm">
-              <div className="text-sm text-[var(--color-gray)]" title="Variation in teaching load across teachers. Lower means more balanced." aria-label="Teacher load variation tooltip">Teacher load variation</div>
-              <div className="text-2xl font-semibold">{Number(teacherLoadStddev || 0).toFixed(2)}</div>
+              <div className="text-sm text-[var(--color-gray)]" title="Standard deviation of teacher utilisation (load as a % of max load). Lower means more balanced." aria-label="Teacher load variation tooltip">Teacher load variation</div>
+              <div className="text-2xl font-semibold">{Number(teacherLoadStddev || 0).toFixed(1)}%</div>
             </div>
           </div>
+          {result?.diagnostics && (
+            <div className="flex flex-wrap gap-x-6 gap-y-1 text-xs text-[var(--color-gray)]">
+              <span>Engine: {ENGINES.find((opt) => opt.id === result.diagnostics.engine)?.label || '-'}</span>
+              <span>Time: {result.diagnostics.timeMs ?? 0} ms</span>
+              {result.diagnostics.learnedPenalty !== undefined && (
+                <span title="Part of the penalty score that comes from learned edit penalties">
+                  Learned penalties: {result.diagnostics.learnedPenalty} of {result.diagnostics.penaltyScore}
+                </span>
+              )}
+              {result.diagnostics.seededKept !== undefined && (
+                <span>AI lessons kept: {result.diagnostics.seededKept} · discarded: {result.diagnostics.seededDiscarded}</span>
+              )}
+              {result.diagnostics.locked && (
+                <span title={result.diagnostics.locked.rejected.map((l) => `${l.classId} ${l.subjectId} (day ${l.day + 1}, period ${l.period + 1}): ${l.reason}`).join('\n')}>
+                  Locked lessons: {result.diagnostics.locked.placed} kept
+                  {result.diagnostics.locked.rejected.length > 0 && <span className="text-rose-700"> · {result.diagnostics.locked.rejected.length} could not be placed</span>}
+                </span>
+              )}
+              {result.diagnostics.lessonGroups && (
+                <span title={result.diagnostics.lessonGroups.map((g) => `${lessonGroupsById.get(g.groupId)?.name || g.groupId}: ${g.placed} of ${g.periods}`).join('\n')}>
+                  Lesson groups: {result.diagnostics.lessonGroups.reduce((n, g) => n + g.placed, 0)} of {result.diagnostics.lessonGroups.reduce((n, g) => n + g.periods, 0)} periods placed
+                </span>
+              )}
+              {result.diagnostics.solver && (
+                <span>Exact solver: {result.diagnostics.solver.status} ({result.diagnostics.solver.nodes} nodes, {result.diagnostics.solver.timeMs} ms)</span>
+              )}
+            </div>
+          )}
+          {result?.diagnostics?.unassignedReasons?.length > 0 && (
+            <div className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm">
+              <div className="font-medium text-rose-800">Why lessons are unassigned</div>
+              <ul className="mt-1 space-y-1 text-[var(--color-black)]">
+                {result.diagnostics.unassignedReasons.map((r, i) => {
+                  const what = r.groupId
+                    ? lessonGroupsById.get(r.groupId)?.name || r.groupId
+                    : `${r.classId} ${subjectsById.get(r.subjectId)?.name || r.subjectId}${r.span > 1 ? ` (${r.span}-period block)` : ''}`;
+                  const refLabel = (ref) => {
+                    if (ref.type === 'teacher') return teachersById.get(ref.id)?.name || ref.id;
+                    if (ref.type === 'subject') return subjectsById.get(ref.id)?.name || ref.id;
+                    if (ref.type === 'resource') return resourcesById.get(ref.id)?.name || ref.id;
+                    if (ref.type === 'lessonGroup') return lessonGroupsById.get(ref.id)?.name || ref.id;
+                    return ref.id;
+                  };
+                  return (
+                    <li key={i} className="flex flex-wrap items-baseline gap-x-2">
+                      <span className="font-medium">{what}{r.lessons > 1 ? ` ×${r.lessons}` : ''}:</span>
+                      <span>{r.message}</span>
+                      {onOpenSetup && r.refs.map((ref) => (
+                        <button key={`${ref.type}-${ref.id}`} type="button" className="text-xs underline" style={{ color: 'var(--color-primary)' }} title={`Open this ${ref.type === 'lessonGroup' ? 'lesson group' : ref.type} in Setup`} onClick={() => onOpenSetup(ref)}>
+                          {refLabel(ref)}
+                        </button>
+                      ))}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+          {timetableCheck && !timetableCheck.valid && (
+            <div className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm">
+              <div className="font-medium text-rose-800">Hard-constraint violations ({timetableCheck.violations.length})</div>
+              <ul className="mt-1 space-y-0.5 text-xs text-[var(--color-black)]">
+                {timetableCheck.violations.map((v, i) => (
+                  <li key={i}>
+                    {v.day !== null && (
+                      <button type="button" className="mr-2 underline" style={{ color: 'var(--color-primary)' }} title="Show this class" onClick={() => setSelectedClassId(v.classId)}>
+                        {v.classId} {dayLabel(v.day)} P{v.period + 1}
+                      </button>
+                    )}
+                    {v.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {result?.diagnostics?.penaltyBreakdown && (
+            <div className="rounded-lg border border-gray-200 bg-white p-3 shadow-sm">
+              <div className="text-sm font-medium text-[var(--color-black)] mb-2">Penalty breakdown</div>
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr className="text-left text-[var(--color-gray)]">
+                    <th className="py-1 pr-3 font-medium">Rule</th>
+                    <th className="py-1 pr-3 font-medium text-right">Count</th>
+                    <th className="py-1 pr-3 font-medium text-right">Weight</th>
+                    <th className="py-1 font-medium text-right">Penalty</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.diagnostics.penaltyBreakdown.map((row) => (
+                    <tr key={row.rule} className={`border-t border-gray-100 ${row.weight === 0 ? 'text-[var(--color-gray)]' : ''}`}>
+                      <td className="py-1 pr-3">{row.label}</td>
+                      <td className="py-1 pr-3 text-right">{row.count ?? '-'}</td>
+                      <td className="py-1 pr-3 text-right">{row.weight === null ? '-' : row.weight === 0 ? 'off' : row.weight}</td>
+                      <td className="py-1 text-right">{row.penalty}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {teacherUtilisation.length > 0 && (
+            <div className="rounded-lg border border-gray-200 bg-white p-3 shadow-sm">
+              <div className="text-sm font-medium text-[var(--color-black)] mb-2">Teacher load{weeks > 1 ? ' over the cycle' : ''}</div>
+              <div className="grid grid-cols-1 gap-x-6 gap-y-1 text-xs sm:grid-cols-2">
+                {teacherUtilisation.map((t) => (
+                  <div key={t.id} className="flex items-center gap-2" title={t.share === null ? 'No max load set' : `${Math.round(t.share)}% of max load`}>
+                    <span className="w-28 truncate">{t.name}</span>
+                    <div className="h-2 flex-1 rounded bg-[var(--color-secondary)]">
+                      <div
+                        className={`h-2 rounded ${t.load > t.maxLoad ? 'bg-rose-500' : ''}`}
+                        style={{ width: `${Math.min(100, t.share ?? 0)}%`, ...(t.load > t.maxLoad ? {} : { background: 'var(--color-primary)' }) }}
+                      />
+                    </div>
+                    <span className="w-12 text-right tabular-nums">{t.load}/{t.maxLoad}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {result?.diagnostics?.teacherSatisfaction?.length > 0 && (
+            <div className="rounded-lg border border-gray-200 bg-white p-3 shadow-sm">
+              <div className="text-sm font-medium text-[var(--color-black)] mb-2">Teacher preferences met</div>
+              <div className="grid grid-cols-1 gap-x-6 gap-y-1 text-xs sm:grid-cols-2">
+                {result.diagnostics.teacherSatisfaction.map((t) => (
+                  <div
+                    key={t.teacherId}
+                    className="flex items-center gap-2"
+                    title={`${t.preferred} of ${t.taught} period(s) in preferred cells, ${t.avoided} in avoided cells (${t.preferCells} preferred, ${t.avoidCells} avoided cells set)`}
+                  >
+                    <span className="w-28 truncate">{teachersById.get(t.teacherId)?.name || t.teacherId}</span>
+                    <div className="h-2 flex-1 rounded bg-[var(--color-secondary)]">
+                      <div className={`h-2 rounded ${t.score < 50 ? 'bg-rose-500' : ''}`} style={{ width: `${t.score}%`, ...(t.score < 50 ? {} : { background: 'var(--color-primary)' }) }} />
+                    </div>
+                    <span className={`w-10 text-right tabular-nums ${t.score < 50 ? 'text-rose-700' : ''}`}>{t.score}%</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {result?.diagnostics?.spreadViolations?.length > 0 && (
+            <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm">
+              <div className="font-medium text-amber-800">Subject spread not met</div>
+              <ul className="mt-1 list-disc pl-5 text-[var(--color-black)]">
+                {result.diagnostics.spreadViolations.map((v) => (
+                  <li key={`${v.classId}-${v.subjectId}-${v.kind}-${v.week ?? ''}`}>
+                    {v.message}
+                    {v.kind === 'maxPerDay' && <> ({v.days.map(dayLabel).join(', ')})</>}
+                    {v.hard && <span className="ml-1 text-rose-700">· hard rule</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {result?.diagnostics?.windowViolations?.length > 0 && (
+            <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm">
+              <div className="font-medium text-amber-800">Subjects outside their time of day</div>
+              <ul className="mt-1 max-h-48 overflow-y-auto list-disc pl-5 text-[var(--color-black)]">
+                {result.diagnostics.windowViolations.map((v) => (
+                  <li key={`${v.classId}-${v.day}-${v.period}`}>
+                    {v.classId} {subjectsById.get(v.subjectId)?.name || v.subjectId} · {dayLabel(v.day)} P{v.period + 1}:{' '}
+                    {v.kind === 'forbidden' && <span className="text-rose-700">forbidden period</span>}
+                    {v.kind === 'avoided' && 'avoided period'}
+                    {v.kind === 'preferred' && 'outside preferred periods'}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {result?.diagnostics?.teacherLimitViolations?.length > 0 && (
+            <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm">
+              <div className="font-medium text-amber-800">Teacher daily limits</div>
+              <ul className="mt-1 list-disc pl-5 text-[var(--color-black)]">
+                {result.diagnostics.teacherLimitViolations.map((v) => (
+                  <li key={`${v.teacherId}-${v.day}-${v.kind}`}>
+                    {teachersById.get(v.teacherId)?.name || v.teacherId} · {dayLabel(v.day)}:{' '}
+                    {v.kind === 'maxPerDay' && `${v.actual} periods (max ${v.limit})`}
+                    {v.kind === 'maxConsecutive' && `${v.actual} periods in a row (max ${v.limit})`}
+                    {v.kind === 'minPerDay' && `only ${v.actual} period(s) (min ${v.limit})`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {result?.diagnostics?.continuityViolations?.length > 0 && (
+            <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm">
+              <div className="font-medium text-amber-800">Teacher continuity broken</div>
+              <ul className="mt-1 list-disc pl-5 text-[var(--color-black)]">
+                {result.diagnostics.continuityViolations.map((v) => (
+                  <li key={`${v.classId}-${v.subjectId}`}>{v.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {selectedClassId && result?.diagnostics?.allocations && (
+            <div className="rounded-lg border border-gray-200 bg-white p-3 shadow-sm text-xs">
+              <div className="text-sm font-medium text-[var(--color-black)] mb-2">Teaching allocation · {selectedClassId}</div>
+              <div className="flex flex-wrap gap-x-6 gap-y-1">
+                {result.diagnostics.allocations
+                  .filter((a) => a.classId === selectedClassId)
+                  .map((a) => (
+                    <span key={a.subjectId}>
+                      <span className="text-[var(--color-gray)]">{subjectsById.get(a.subjectId)?.name || a.subjectId}:</span>{' '}
+                      {a.teachers.length === 0
+                        ? <span className="text-rose-700">no qualified teacher</span>
+                        : a.teachers.map((t) => `${teachersById.get(t.teacherId)?.name || t.teacherId}${a.teachers.length > 1 ? ` (${t.periods})` : ''}${t.source === 'auto' ? ' · auto' : ''}`).join(', ')}
+                    </span>
+                  ))}
+              </div>
+            </div>
+          )}
+          {result?.diagnostics?.optimizer && (
+            <div className="flex items-center gap-4 rounded-lg border border-gray-200 bg-white p-3 shadow-sm text-xs text-[var(--color-gray)]">
+              <ConvergenceSparkline trace={result.diagnostics.optimizer.trace} />
+              <div>
+                <div className="font-medium text-[var(--color-black)]">
+                  {OPTIMIZERS.find((opt) => opt.id === result.diagnostics.optimizer.strategy)?.label}: {result.diagnostics.optimizer.initial} → {result.diagnostics.optimizer.best}
+                </div>
+                <div>{result.diagnostics.optimizer.iterations} iterations · {result.diagnostics.optimizer.accepted} accepted moves · {result.diagnostics.optimizer.timeMs} ms</div>
+              </div>
+            </div>
+          )}
+          {candidates.length > 0 && (
+            <div className="rounded-lg border border-gray-200 bg-white p-3 shadow-sm">
+              <div className="text-sm font-medium text-[var(--color-black)] mb-2">Portfolio runs</div>
+              <table className="min-w-full text-xs">
+                <thead>
+                  <tr className="text-left text-[var(--color-gray)]">
+                    <th className="py-1 pr-3 font-medium">Seed</th>
+                    <th className="py-1 pr-3 font-medium">Empty slots</th>
+                    <th className="py-1 pr-3 font-medium">Penalty</th>
+                    <th className="py-1 pr-3 font-medium">Optimizer</th>
+                    <th className="py-1 pr-3 font-medium">Time</th>
+                    <th className="py-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {candidates.map((c) => {
+                    const d = c.result?.diagnostics;
+                    const isChosen = c.seed === chosenSeed;
+                    return (
+                      <tr key={c.seed} className={`border-t border-gray-100 ${isChosen ? 'bg-[var(--color-secondary)]' : ''}`}>
+                        <td className="py-1 pr-3">{c.seed}</td>
+                        {d ? (
+                          <>
+                            <td className="py-1 pr-3">{d.unassignedCount}</td>
+                            <td className="py-1 pr-3">{d.penaltyScore}</td>
+                            <td className="py-1 pr-3">{d.optimizer ? `${d.optimizer.initial} → ${d.optimizer.best}` : '-'}</td>
+                            <td className="py-1 pr-3">{d.timeMs} ms</td>
+                          </>
+                        ) : (
+                          <td className="py-1 pr-3 text-rose-700" colSpan={4}>{c.status}{c.error ? `: ${c.error}` : ''}</td>
+                        )}
+                        <td className="py-1 text-right">
+                          {d && (isChosen ? (
+                            <span className="text-[var(--color-gray)]">In use</span>
+                          ) : (
+                            <button type="button" onClick={() => handleUseCandidate(c)} className="px-2 py-0.5 rounded border border-gray-300 hover:bg-[var(--color-secondary)]">
+                              Use
+                            </button>
+                          ))}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {result?.diagnostics?.solver?.status === 'infeasible' && (
+            <div className="rounded-lg border border-rose-200 bg-rose-50 p-4 text-sm">
+              <div className="font-medium text-rose-700">No complete timetable exists for this data (with the locked lessons and lesson groups where they are)</div>
+              <div className="text-rose-700 mt-1">{result.diagnostics.solver.reason}</div>
+              <div className="text-xs text-[var(--color-gray)] mt-2">
+                {result.diagnostics.solver.minimal ? 'Conflicting demands (removing any one of them makes the rest schedulable):' : 'Conflicting demands (search budget ran out before this set was minimised):'}
+              </div>
+              <ul className="mt-1 list-disc pl-5 text-[var(--color-black)]">
+                {result.diagnostics.solver.conflicts.map((c) => (
+                  <li key={`${c.classId}-${c.subjectId}`}>
+                    {c.message} · teachers: {c.teachers.join(', ') || 'none'}
+                    {c.resources.length > 0 && <> · rooms: {c.resources.join(', ')}</>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <LearningPanel />
         </div>
       </div>
 
@@ -1,6 +1,10 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { saveSchoolData, loadSchoolData, logEdit } from '../lib/store';
 import { validateSchoolData } from '../lib/validator';
+import { analyzeFeasibility } from '../lib/feasibility';
+import FeasibilityReport from '../components/FeasibilityReport';
+import { getBreakPeriods, getCycleWeeks, getOpenDayPeriods, normalizeBreaks, subjectResourceNeeds, weekName } from '../lib/schedule';
+import { SOFT_RULES, DEFAULT_WEIGHTS, normalizeWeights } from '../lib/weights';
 
 /**
  * Improved SetupPage UI
@@ -10,41 +14,82 @@ import { validateSchoolData } from '../lib/validator';
  */
 
 /* Helpers */
+// Empty input clears an optional number
+function optionalInt(value) {
+  if (value === '' || value === null || value === undefined) return undefined;
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.max(0, n) : undefined;
+}
+
 function makeDefaultAvailability(days, periods) {
   return Array.from({ length: days }, () => Array.from({ length: periods }, () => true));
 }
 
+// Availability resized to the periods of each day; new cells are available. In a multi-week cycle a
+// grid may hold every day of the cycle (one block of days per week). `from` ({ days, weeks }) is the
+// shape the grid was made for, so a per-week grid keeps its weeks when days or weeks change.
+// fill is the value of new cells.
+function fitAvailability(grid, days, periods, weeks, from, fill = true) {
+  if (!Array.isArray(grid)) return makeDefaultAvailability(days, periods);
+  const rows = (src, n) => Array.from({ length: n }, (_, d) => {
+    const row = Array.isArray(src[d]) ? src[d] : [];
+    return Array.from({ length: periods }, (_, p) => row[p] ?? fill);
+  });
+  if (grid.length === days || (weeks > 1 && grid.length === days * weeks)) return rows(grid, grid.length);
+  const perWeek = from && from.weeks > 1 && grid.length === from.days * from.weeks;
+  if (!perWeek || weeks === 1) return rows(grid, days);
+  const src = Array.from({ length: days * weeks }, (_, i) => {
+    const w = Math.floor(i / days);
+    const d = i % days;
+    return d < from.days ? grid[(w < from.weeks ? w : 0) * from.days + d] : undefined;
+  });
+  return rows(src, src.length);
+}
+
+// Teacher preferences resized like availability (new cells neutral); an unset or all-neutral grid is left out
+function fitPreferences(grid, days, periods, weeks, from) {
+  if (!Array.isArray(grid)) return undefined;
+  const out = fitAvailability(grid, days, periods, weeks, from, null);
+  return out.some((row) => row.some(Boolean)) ? out : undefined;
+}
+
+// Periods-per-day list resized to the working days and capped at periodsPerDay; blanks (null) fall
+// back to the wing or school day. Nothing set at all leaves the list out.
+function fitDayPeriods(list, days, periods) {
+  if (!Array.isArray(list)) return undefined;
+  const out = Array.from({ length: days }, (_, d) => (Number.isInteger(list[d]) ? Math.min(periods, Math.max(0, list[d])) : null));
+  return out.some((n) => n !== null) ? out : undefined;
+}
+
+// Per-week subject periods resized to the cycle; a single week or nothing set leaves them out
+function fitCyclePeriods(map, weeks) {
+  if (!map || weeks < 2) return undefined;
+  const out = {};
+  for (const [sid, list] of Object.entries(map)) {
+    const next = Array.from({ length: weeks }, (_, w) => (Array.isArray(list) && Number.isInteger(list[w]) ? list[w] : null));
+    if (next.some((n) => n !== null)) out[sid] = next;
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
 function normalizeFormData(data, fallbackDays, fallbackPeriods) {
   const workingDays = Number.isFinite(data?.workingDays) ? data.workingDays : (fallbackDays || 5);
   const periodsPerDay = Number.isFinite(data?.periodsPerDay) ? data.periodsPerDay : (fallbackPeriods || 6);
 
   // Normalize breaks to an array list [{name, period}]
-  let breaks = [];
-  if (Array.isArray(data?.breaks)) {
-    breaks = data.breaks
-      .map((b) => ({ name: b?.name || 'Break', period: Number(b?.period) || 1 }))
-      .filter((b) => Number.isFinite(b.period));
-  } else if (data?.breaks && typeof data.breaks === 'object') {
-    breaks = Object.entries(data.breaks).map(([name, val]) => ({
-      name,
-      period: Number(val?.period) || 1,
-    }));
-  } else {
-    breaks = [];
-  }
+  const breaks = normalizeBreaks(data?.breaks);
 
-  // Normalize teachers/resources availability matrices
+  // Normalize teachers/resources availability matrices (one week, or every week of the cycle)
+  const weeks = getCycleWeeks(data);
   const ensureGrid = (grid) => {
-    if (!Array.isArray(grid) || grid.length !== workingDays) return makeDefaultAvailability(workingDays, periodsPerDay);
-    return Array.from({ length: workingDays }, (_, d) => {
-      const row = Array.isArray(grid[d]) ? grid[d] : [];
-      return Array.from({ length: periodsPerDay }, (_, p) => row[p] ?? true);
-    });
+    if (!Array.isArray(grid) || (grid.length !== workingDays && grid.length !== workingDays * weeks)) return makeDefaultAvailability(workingDays, periodsPerDay);
+    return fitAvailability(grid, workingDays, periodsPerDay, weeks);
   };
 
   const teachers = (data?.teachers || []).map((t) => ({
     ...t,
     availability: ensureGrid(t.availability),
+    preferences: fitPreferences(t.preferences, workingDays, periodsPerDay, weeks),
   }));
 
   const resources = (data?.resources || []).map((r) => ({
@@ -56,21 +101,233 @@ function normalizeFormData(data, fallbackDays, fallbackPeriods) {
     ...data,
     workingDays,
     periodsPerDay,
+    dayPeriods: fitDayPeriods(data?.dayPeriods, workingDays, periodsPerDay),
+    wings: (data?.wings || []).map((w) => ({ ...w, dayPeriods: fitDayPeriods(w.dayPeriods, workingDays, periodsPerDay) })),
+    classes: (data?.classes || []).map((c) => ({ ...c, dayPeriods: fitDayPeriods(c.dayPeriods, workingDays, periodsPerDay), cyclePeriods: fitCyclePeriods(c.cyclePeriods, weeks) })),
     breaks,
+    weights: normalizeWeights(data?.weights),
     teachers,
     resources,
   };
 }
 
-/* Small component: AvailabilityGrid - slightly restyled */
-function AvailabilityGrid({ value, onChange, label }) {
+/* Small component: FieldIssues - validation findings shown where they occur; each names its field
+   by its path below prefix, e.g. maxLoad under teachers[0] */
+function FieldIssues({ issues, prefix = '' }) {
+  if (!issues.length) return null;
+  const field = (path) => path.slice(prefix.length).replace(/^\./, '');
+  return (
+    <ul className="mt-1 space-y-0.5 text-xs">
+      {issues.map((x, k) => (
+        <li key={k} className={x.severity === 'error' ? 'text-rose-700' : 'text-amber-700'}>
+          {field(x.path) && <span className="font-medium">{field(x.path)}: </span>}
+          {x.message}
+          {x.fix && <span className="text-[var(--color-gray)]"> ({x.fix})</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/* Small component: WeightsEditor - one row per soft rule: penalize / off / reward, and how much */
+function WeightsEditor({ value, onChange }) {
+  const setRule = (rule, next) => onChange({ ...value, [rule.id]: next });
+  return (
+    <table className="min-w-full text-sm">
+      <thead>
+        <tr className="bg-[var(--color-secondary)]">
+          <th className="px-3 py-2 text-left">Rule</th>
+          <th className="px-3 py-2 text-left">Mode</th>
+          <th className="px-3 py-2 text-center">Weight</th>
+        </tr>
+      </thead>
+      <tbody>
+        {SOFT_RULES.map((rule) => {
+          const w = value?.[rule.id] ?? rule.default;
+          const mode = w > 0 ? 'penalize' : w < 0 ? 'reward' : 'off';
+          const magnitude = Math.abs(w);
+          return (
+            <tr key={rule.id} className="border-t">
+              <td className="px-3 py-2" title={rule.hint}>
+                <div>{rule.label}</div>
+                <div className="text-xs text-[var(--color-gray)]">{rule.hint}</div>
+              </td>
+              <td className="px-3 py-2">
+                <select
+                  className="rounded-md border border-gray-300 px-2 py-1"
+                  value={mode}
+                  onChange={(e) => {
+                    const size = magnitude || rule.default;
+                    setRule(rule, e.target.value === 'off' ? 0 : e.target.value === 'reward' ? -size : size);
+                  }}
+                >
+                  <option value="penalize">Penalize</option>
+                  <option value="off">Off</option>
+                  {rule.invertible && <option value="reward">Reward</option>}
+                </select>
+              </td>
+              <td className="px-3 py-2 text-center">
+                <input
+                  type="number"
+                  min={0}
+                  disabled={mode === 'off'}
+                  className="w-20 rounded-md border border-gray-300 px-2 py-1 text-center disabled:opacity-50"
+                  value={magnitude}
+                  onChange={(e) => {
+                    const size = Math.max(0, Number(e.target.value) || 0);
+                    setRule(rule, mode === 'reward' ? -size : size);
+                  }}
+                />
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+/* Small component: ResourceNeedsEditor - what each lesson of a subject books, one resource per need:
+   any resource of a type, or one of a list of resources in order of preference */
+function ResourceNeedsEditor({ subject, resources, types, onChange }) {
+  const declared = Array.isArray(subject.requiredResources) && subject.requiredResources.length > 0;
+  const needs = declared ? subject.requiredResources : subjectResourceNeeds(subject);
+  // The first edit turns the implied need (classroom, or the legacy lab flag) into an explicit list
+  const save = (next) => onChange({ requiredResources: next.length ? next : undefined, lab: undefined, resourceType: undefined });
+  const setNeed = (k, need) => save(needs.map((n, j) => (j === k ? need : n)));
+  const firstId = resources[0]?.id || '';
+  return (
+    <div className="space-y-1">
+      {needs.map((need, k) => (
+        <div key={k} className={`flex flex-wrap items-center gap-1 ${declared ? '' : 'opacity-60'}`}>
+          <select
+            className="rounded border border-gray-300 px-1 py-0.5"
+            value={need.ids ? '__ids' : need.type}
+            onChange={(e) => setNeed(k, e.target.value === '__ids' ? { ids: [firstId] } : { type: e.target.value })}
+          >
+            {types.map((t) => <option key={t} value={t}>Any {t}</option>)}
+            <option value="__ids">Specific…</option>
+          </select>
+          {need.ids?.map((id, j) => (
+            <span key={j} className="inline-flex items-center gap-1">
+              {j > 0 && <span className="text-xs text-[var(--color-gray)]">or</span>}
+              <select
+                className="rounded border border-gray-300 px-1 py-0.5"
+                value={id}
+                onChange={(e) => setNeed(k, { ids: need.ids.map((x, m) => (m === j ? e.target.value : x)) })}
+              >
+                {resources.map((r) => <option key={r.id} value={r.id}>{r.name || r.id}</option>)}
+              </select>
+              {need.ids.length > 1 && (
+                <button type="button" className="text-xs text-rose-600" onClick={() => setNeed(k, { ids: need.ids.filter((_, m) => m !== j) })}>×</button>
+              )}
+            </span>
+          ))}
+          {need.ids && (
+            <button type="button" className="text-xs" title="Another resource, used when the ones before it are taken" onClick={() => setNeed(k, { ids: [...need.ids, firstId] })}>+ or</button>
+          )}
+          <button type="button" className="text-xs text-rose-600" onClick={() => save(needs.filter((_, j) => j !== k))}>Remove</button>
+        </div>
+      ))}
+      <button type="button" className="text-xs" title="Book another resource at the same time, e.g. a lab assistant" onClick={() => save([...needs, { type: types[0] }])}>+ Need</button>
+    </div>
+  );
+}
+
+/* Small component: DayPeriodsEditor - periods on each day; a blank day uses the fallback shown */
+function DayPeriodsEditor({ value, fallback, max, onChange }) {
+  const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return (
+    <div className="flex flex-wrap gap-2">
+      {fallback.map((n, d) => (
+        <label key={d} className="inline-flex items-center gap-1 text-sm">
+          <span className="text-[var(--color-gray)]">{dayNames[d] || `D${d + 1}`}</span>
+          <input
+            type="number"
+            min={0}
+            max={max}
+            placeholder={String(n)}
+            className="w-14 rounded border border-gray-300 px-1 py-0.5 text-center"
+            value={value?.[d] ?? ''}
+            onChange={(e) => {
+              const next = fallback.map((_, k) => value?.[k] ?? null);
+              next[d] = optionalInt(e.target.value) ?? null;
+              onChange(fitDayPeriods(next, fallback.length, max));
+            }}
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
+
+const WINDOW_KINDS = ['preferred', 'avoided', 'forbidden'];
+const WINDOW_STYLES = {
+  preferred: 'border-emerald-400 bg-emerald-100 text-emerald-800',
+  avoided: 'border-amber-400 bg-amber-100 text-amber-800',
+  forbidden: 'border-rose-400 bg-rose-100 text-rose-800 line-through',
+};
+
+// Subject windows without empty lists (undefined when none are left)
+function compactWindows(windows) {
+  const out = Object.fromEntries(WINDOW_KINDS.filter((k) => windows[k]?.length).map((k) => [k, windows[k]]));
+  return Object.keys(out).length ? out : undefined;
+}
+
+/* Small component: PeriodWindowsEditor - click a period to make it preferred, avoided, forbidden, then
+   neutral again. onChange gets every list (1-based periods). Without a value the fallback is shown faded. */
+function PeriodWindowsEditor({ value, fallback, periods, breaks, onChange }) {
+  const shown = value || fallback || {};
+  const kindOf = (p) => WINDOW_KINDS.find((k) => shown[k]?.includes(p)) || null;
+  const cycle = (p) => {
+    const next = [null, ...WINDOW_KINDS][(WINDOW_KINDS.indexOf(kindOf(p)) + 2) % (WINDOW_KINDS.length + 1)];
+    onChange(Object.fromEntries(WINDOW_KINDS.map((k) => {
+      const list = (shown[k] || []).filter((x) => x !== p);
+      return [k, k === next ? [...list, p].sort((a, b) => a - b) : list];
+    })));
+  };
+  return (
+    <div className={`flex gap-0.5 ${value ? '' : 'opacity-60'}`}>
+      {Array.from({ length: periods }, (_, i) => {
+        const p = i + 1;
+        if (breaks.has(i)) return <span key={p} className="w-2 self-stretch rounded bg-[var(--color-secondary)]" title={breaks.get(i)} />;
+        const kind = kindOf(p);
+        return (
+          <button
+            key={p}
+            type="button"
+            className={`h-6 w-6 rounded border text-xs ${kind ? WINDOW_STYLES[kind] : 'border-gray-300'}`}
+            title={`P${p}: ${kind || 'no preference'}`}
+            onClick={() => cycle(p)}
+          >
+            {p}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/* Small component: AvailabilityGrid - slightly restyled. dayPeriods hides periods a day does not have.
+   In a cycle of several weeks the grid is either shared by every week or holds each week's days. */
+function AvailabilityGrid({ value, onChange, label, dayPeriods, weekDays, weeks = 1 }) {
   if (!value) return null;
-  const days = value.length;
+  const days = weekDays || value.length;
+  const perWeek = value.length > days;
   const periods = value[0]?.length || 0;
   const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].slice(0, days);
+  const setPerWeek = (on) => onChange(on ? Array.from({ length: days * weeks }, (_, d) => value[d % days].slice()) : value.slice(0, days));
   return (
     <div className="space-y-2">
-      {label && <div className="text-sm font-semibold text-[var(--color-black)]">{label}</div>}
+      <div className="flex items-center justify-between">
+        {label && <div className="text-sm font-semibold text-[var(--color-black)]">{label}</div>}
+        {weeks > 1 && (
+          <label className="inline-flex items-center gap-2 text-xs text-[var(--color-gray)]" title="Set availability separately for each week of the cycle">
+            <input type="checkbox" className="h-4 w-4 rounded border-gray-300" checked={perWeek} onChange={(e) => setPerWeek(e.target.checked)} />
+            Different each week
+          </label>
+        )}
+      </div>
       <div className="overflow-auto rounded-md border border-gray-200">
         <table className="min-w-full table-fixed text-xs">
           <thead>
@@ -83,9 +340,11 @@ function AvailabilityGrid({ value, onChange, label }) {
           </thead>
           <tbody>
             {value.map((row, d) => (
-              <tr key={d} className="border-t">
-                <td className="px-2 py-2 font-medium">{dayNames[d] || `D${d + 1}`}</td>
-                {row.map((cell, p) => (
+              <tr key={d} className={perWeek && d > 0 && d % days === 0 ? 'border-t-2 border-gray-300' : 'border-t'}>
+                <td className="px-2 py-2 font-medium whitespace-nowrap">{dayNames[d % days] || `D${(d % days) + 1}`}{perWeek ? ` ${weekName(Math.floor(d / days))}` : ''}</td>
+                {row.map((cell, p) => (p >= (dayPeriods?.[d % days] ?? Infinity) ? (
+                  <td key={p} className="px-2 py-2 bg-[var(--color-secondary)]" title="No such period on this day" />
+                ) : (
                   <td key={p} className="px-2 py-2 text-center">
                     <label className="inline-flex items-center justify-center gap-1">
                       <input
@@ -101,7 +360,71 @@ function AvailabilityGrid({ value, onChange, label }) {
                       />
                     </label>
                   </td>
-                ))}
+                )))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+const PREFERENCE_CYCLE = [null, 'prefer', 'avoid'];
+
+/* Small component: PreferenceGrid - soft wishes next to availability: click a cell to cycle neutral,
+   prefer and avoid. It follows the availability's shape; unavailable cells cannot be set. */
+function PreferenceGrid({ value, availability, onChange, label, dayPeriods, weekDays }) {
+  if (!availability) return null;
+  const days = weekDays || availability.length;
+  const perWeek = availability.length > days;
+  const periods = availability[0]?.length || 0;
+  const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].slice(0, days);
+  // A one-week grid repeats in every week of the cycle
+  const cellAt = (d, p) => (value?.[d] ?? value?.[d % days])?.[p] ?? null;
+  const set = (d, p) => {
+    const next = availability.map((row, k) => row.map((_, q) => cellAt(k, q)));
+    next[d][p] = PREFERENCE_CYCLE[(PREFERENCE_CYCLE.indexOf(next[d][p]) + 1) % PREFERENCE_CYCLE.length];
+    onChange(next.some((row) => row.some(Boolean)) ? next : undefined);
+  };
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        {label && <div className="text-sm font-semibold text-[var(--color-black)]">{label}</div>}
+        <div className="text-xs text-[var(--color-gray)]">Click: prefer, avoid, neutral</div>
+      </div>
+      <div className="overflow-auto rounded-md border border-gray-200">
+        <table className="min-w-full table-fixed text-xs">
+          <thead>
+            <tr className="bg-[var(--color-secondary)]">
+              <th className="px-2 py-2 text-left">Day</th>
+              {Array.from({ length: periods }).map((_, i) => (
+                <th key={i} className="px-2 py-2 text-center">P{i + 1}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {availability.map((row, d) => (
+              <tr key={d} className={perWeek && d > 0 && d % days === 0 ? 'border-t-2 border-gray-300' : 'border-t'}>
+                <td className="px-2 py-2 font-medium whitespace-nowrap">{dayNames[d % days] || `D${(d % days) + 1}`}{perWeek ? ` ${weekName(Math.floor(d / days))}` : ''}</td>
+                {row.map((available, p) => {
+                  if (p >= (dayPeriods?.[d % days] ?? Infinity)) return <td key={p} className="px-2 py-2 bg-[var(--color-secondary)]" title="No such period on this day" />;
+                  if (!available) return <td key={p} className="px-2 py-2 text-center text-[var(--color-gray)]" title="Not available">–</td>;
+                  const pref = cellAt(d, p);
+                  return (
+                    <td key={p} className="px-1 py-1 text-center">
+                      <button
+                        type="button"
+                        className={`h-6 w-full rounded border ${pref === 'prefer' ? 'border-emerald-400 bg-emerald-100 text-emerald-800' : pref === 'avoid' ? 'border-amber-400 bg-amber-100 text-amber-800' : 'border-gray-200'}`}
+                        title={pref || 'neutral'}
+                        aria-label={`Preference ${d}-${p}`}
+                        onClick={() => set(d, p)}
+                      >
+                        {pref === 'prefer' ? '+' : pref === 'avoid' ? '−' : ''}
+                      </button>
+                    </td>
+                  );
+                })}
               </tr>
             ))}
           </tbody>
@@ -111,7 +434,7 @@ function AvailabilityGrid({ value, onChange, label }) {
   );
 }
 
-export default function SetupPage() {
+export default function SetupPage({ focus }) {
   const [saving, setSaving] = useState(false);
 
   const [form, setForm] = useState(() => ({
@@ -119,6 +442,7 @@ export default function SetupPage() {
     periodsPerDay: 6,
     periodDuration: 40,
     breaks: [],
+    weights: { ...DEFAULT_WEIGHTS },
     subjects: [],
     teachers: [],
     classes: [],
@@ -130,29 +454,56 @@ export default function SetupPage() {
     const existing = loadSchoolData();
     if (existing) {
       setForm((prev) => normalizeFormData(existing, prev.workingDays, prev.periodsPerDay));
+      setShowIssues(true);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // When workingDays/periods change, resize matrices
+  // When workingDays/periods/cycle weeks change, resize matrices; per-week grids keep their weeks
+  const gridShape = useRef(null);
   useEffect(() => {
+    const from = gridShape.current;
+    gridShape.current = { days: form.workingDays, weeks: getCycleWeeks({ cycleWeeks: form.cycleWeeks }) };
     setForm((prev) => {
       const { workingDays, periodsPerDay } = prev;
-      const fix = (grid) => {
-        if (!Array.isArray(grid)) return makeDefaultAvailability(workingDays, periodsPerDay);
-        const out = Array.from({ length: workingDays }, (_, d) => {
-          const row = grid[d] || [];
-          return Array.from({ length: periodsPerDay }, (_, p) => (row[p] ?? true));
-        });
-        return out;
-      };
+      const fix = (grid) => fitAvailability(grid, workingDays, periodsPerDay, getCycleWeeks(prev), from);
+      const fitDays = (list) => fitDayPeriods(list, workingDays, periodsPerDay);
       return {
         ...prev,
-        teachers: prev.teachers.map((t) => ({ ...t, availability: fix(t.availability) })),
+        dayPeriods: fitDays(prev.dayPeriods),
+        wings: (prev.wings || []).map((w) => ({ ...w, dayPeriods: fitDays(w.dayPeriods) })),
+        classes: prev.classes.map((c) => ({ ...c, dayPeriods: fitDays(c.dayPeriods), cyclePeriods: fitCyclePeriods(c.cyclePeriods, getCycleWeeks(prev)) })),
+        teachers: prev.teachers.map((t) => ({
+          ...t,
+          availability: fix(t.availability),
+          preferences: fitPreferences(t.preferences, workingDays, periodsPerDay, getCycleWeeks(prev), from),
+        })),
         resources: prev.resources.map((r) => ({ ...r, availability: fix(r.availability) })),
       };
     });
-  }, [form.workingDays, form.periodsPerDay]);
+  }, [form.workingDays, form.periodsPerDay, form.cycleWeeks]);
+
+  // Scroll to the entity another page linked to, once its card has rendered
+  const focusAnchor = (type, id) => `setup-${type}-${id}`;
+  const isFocused = (type, id) => focus?.type === type && focus?.id === id;
+  const focused = useRef(null);
+  useEffect(() => {
+    if (!focus || focused.current === focus) return;
+    const el = document.getElementById(focusAnchor(focus.type, focus.id));
+    if (!el) return;
+    focused.current = focus;
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  });
+
+  // Validation findings appear next to their fields once a save was tried or data was loaded
+  const validation = useMemo(() => validateSchoolData(form), [form]);
+  const [showIssues, setShowIssues] = useState(false);
+  const issuesAt = (prefix) => (showIssues ? validation.issues.filter((x) => x.path === prefix || x.path.startsWith(`${prefix}.`) || x.path.startsWith(`${prefix}[`)) : []);
+  const issuesOf = (path) => (showIssues ? validation.issues.filter((x) => x.path === path) : []);
+
+  // Supply against demand for the data as edited, before it is saved
+  const feasibility = useMemo(() => analyzeFeasibility(form), [form]);
+  const showEntity = (ref) => document.getElementById(focusAnchor(ref.type, ref.id))?.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
   const handleLoadExample = async () => {
     try {
@@ -162,6 +513,7 @@ export default function SetupPage() {
       if (!res.ok) throw new Error('Example not found');
       const data = await res.json();
       setForm((prev) => normalizeFormData(data, prev.workingDays, prev.periodsPerDay));
+      setShowIssues(true);
     } catch (e) {
       window.alert('Failed to load example: ' + (e?.message || String(e)));
     }
@@ -170,14 +522,9 @@ export default function SetupPage() {
   const handleSave = async () => {
     setSaving(true);
     try {
-      // Validate then save
-      const result = await Promise.resolve(validateSchoolData(form));
-      const ok = !!(result && (result.valid || result.ok === true));
-      if (!ok) {
-        const errors = (result && result.errors) || ['Validation failed'];
-        window.alert('Validation errors:\n' + errors.join('\n'));
-        return;
-      }
+      // Validate then save; errors are listed next to their fields
+      setShowIssues(true);
+      if (!validation.valid) return;
       saveSchoolData(form);
       logEdit({ type: 'saveSchoolData', at: Date.now() });
       window.alert('Saved successfully.');
@@ -189,7 +536,7 @@ export default function SetupPage() {
   };
 
   /* Add/remove helpers */
-  const addSubject = () => setForm((f) => ({ ...f, subjects: [...f.subjects, { id: '', name: '', weeklyPeriods: 1, lab: false, doublePeriod: false }] }));
+  const addSubject = () => setForm((f) => ({ ...f, subjects: [...f.subjects, { id: '', name: '', weeklyPeriods: 1, lab: false }] }));
   const removeSubject = (idx) => setForm((f) => ({ ...f, subjects: f.subjects.filter((_, i) => i !== idx) }));
 
   const addTeacher = () => setForm((f) => ({ ...f, teachers: [...f.teachers, { id: '', name: '', subjects: [], maxLoad: 20, availability: makeDefaultAvailability(f.workingDays, f.periodsPerDay) }] }));
@@ -198,10 +545,46 @@ export default function SetupPage() {
   const addClass = () => setForm((f) => ({ ...f, classes: [...f.classes, { id: '', name: '', subjects: {} }] }));
   const removeClass = (idx) => setForm((f) => ({ ...f, classes: f.classes.filter((_, i) => i !== idx) }));
 
+  const addFixedLesson = () => setForm((f) => ({ ...f, fixedLessons: [...(f.fixedLessons || []), { classId: f.classes[0]?.id || '', day: 1, period: 1, subjectId: '', teacherId: '' }] }));
+  const removeFixedLesson = (idx) => setForm((f) => ({ ...f, fixedLessons: (f.fixedLessons || []).filter((_, i) => i !== idx) }));
+  const updateFixedLesson = (idx, patch) => setForm((f) => ({ ...f, fixedLessons: (f.fixedLessons || []).map((x, i) => (i === idx ? { ...x, ...patch } : x)) }));
+
+  const addLessonGroup = () => setForm((f) => ({ ...f, lessonGroups: [...(f.lessonGroups || []), { id: '', name: '', classIds: [], periods: 1, lessons: [{ subjectId: '', teacherId: '' }] }] }));
+  const removeLessonGroup = (idx) => setForm((f) => ({ ...f, lessonGroups: (f.lessonGroups || []).filter((_, i) => i !== idx) }));
+  const updateLessonGroup = (idx, patch) => setForm((f) => ({ ...f, lessonGroups: (f.lessonGroups || []).map((x, i) => (i === idx ? { ...x, ...patch } : x)) }));
+
+  // Teaching allocation rows are stored flat; the table edits them per class/subject
+  const allocationsFor = (classId, subjectId) => (form.allocations || []).filter((a) => a.classId === classId && a.subjectId === subjectId);
+  const setAllocationsFor = (classId, subjectId, rows) => setForm((f) => ({
+    ...f,
+    allocations: [
+      ...(f.allocations || []).filter((a) => !(a.classId === classId && a.subjectId === subjectId)),
+      ...rows.map((r) => ({ classId, subjectId, ...r })),
+    ],
+  }));
+
   const addResource = () => setForm((f) => ({ ...f, resources: [...f.resources, { id: '', name: '', type: 'lab', availability: makeDefaultAvailability(f.workingDays, f.periodsPerDay) }] }));
   const removeResource = (idx) => setForm((f) => ({ ...f, resources: f.resources.filter((_, i) => i !== idx) }));
 
+  const addWing = () => setForm((f) => ({ ...f, wings: [...(f.wings || []), { id: '', name: '' }] }));
+  const removeWing = (idx) => setForm((f) => ({ ...f, wings: (f.wings || []).filter((_, i) => i !== idx) }));
+  const updateWing = (idx, patch) => setForm((f) => ({ ...f, wings: (f.wings || []).map((x, i) => (i === idx ? { ...x, ...patch } : x)) }));
+
+  // Periods per day: the school's, a wing's, and which exist for anyone (teacher and room grids)
+  const schoolDays = Array.from({ length: form.workingDays }, (_, d) => form.dayPeriods?.[d] ?? form.periodsPerDay);
+  const wingDays = (wingId) => {
+    const wing = (form.wings || []).find((w) => w.id === wingId);
+    return schoolDays.map((n, d) => wing?.dayPeriods?.[d] ?? n);
+  };
+  const openDays = getOpenDayPeriods(form);
+  const cycleWeeks = getCycleWeeks(form);
+  const breakNames = getBreakPeriods(form);
+
   const subjectIds = useMemo(() => form.subjects.map((s) => s.id).filter(Boolean), [form.subjects]);
+  const resourceTypes = useMemo(
+    () => Array.from(new Set(['classroom', 'lab', 'computer_lab', ...form.resources.map((r) => r.type).filter(Boolean)])),
+    [form.resources]
+  );
 
   /* Small visual styles for theme-driven buttons */
   const primaryBtnStyle = { background: 'var(--color-primary)', color: 'var(--color-white)' };
@@ -238,6 +621,15 @@ export default function SetupPage() {
         </div>
       </div>
 
+      {showIssues && validation.errors.length > 0 && (
+        <div className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm text-rose-800">
+          {validation.errors.length} problem{validation.errors.length === 1 ? '' : 's'} must be fixed before saving; each is shown next to its field below.
+          {validation.warnings.length > 0 && ` ${validation.warnings.length} warning${validation.warnings.length === 1 ? '' : 's'} can be saved as is.`}
+        </div>
+      )}
+
+      <FeasibilityReport report={feasibility} onOpen={showEntity} />
+
       {/* School Setup Card */}
       <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-sm">
         <div className="flex items-center justify-between mb-4">
@@ -256,6 +648,22 @@ export default function SetupPage() {
               <option value={5}>Mon–Fri (5)</option>
               <option value={6}>Mon–Sat (6)</option>
             </select>
+            <FieldIssues issues={issuesOf('workingDays')} prefix="workingDays" />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-[var(--color-gray)] mb-1" title="Weeks before the timetable repeats, e.g. 2 for an A/B fortnight">Timetable Cycle</label>
+            <select
+              className="w-full rounded-md border border-gray-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-[var(--color-primary)]"
+              value={cycleWeeks}
+              onChange={(e) => setForm({ ...form, cycleWeeks: e.target.value === '1' ? undefined : parseInt(e.target.value, 10) })}
+            >
+              <option value={1}>Every week</option>
+              <option value={2}>2 weeks (A/B)</option>
+              <option value={3}>3 weeks</option>
+              <option value={4}>4 weeks</option>
+            </select>
+            <FieldIssues issues={issuesOf('cycleWeeks')} prefix="cycleWeeks" />
           </div>
 
           <div>
@@ -267,6 +675,7 @@ export default function SetupPage() {
               value={form.periodsPerDay}
               onChange={(e) => setForm({ ...form, periodsPerDay: parseInt(e.target.value, 10) || 1 })}
             />
+            <FieldIssues issues={issuesOf('periodsPerDay')} prefix="periodsPerDay" />
           </div>
 
           <div>
@@ -309,6 +718,7 @@ export default function SetupPage() {
                   </button>
                 </div>
               ))}
+              <FieldIssues issues={issuesAt('breaks')} prefix="breaks" />
               <button
                 type="button"
                 onClick={() => setForm({ ...form, breaks: [...form.breaks, { name: '', period: 1 }] })}
@@ -322,12 +732,56 @@ export default function SetupPage() {
         </div>
       </div>
 
+      {/* Bell schedules */}
+      <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Bell Schedules</h3>
+          <button type="button" className="text-sm font-medium" onClick={addWing} style={linkStyle}>+ Add wing</button>
+        </div>
+        <p className="text-sm text-[var(--color-gray)] mb-3">
+          Periods on each day, e.g. a half-day Saturday. A wing (say the primary section) can keep shorter days, and classes follow their wing.
+          Periods past a day&apos;s end are never scheduled.
+        </p>
+        <div className="space-y-3">
+          <div>
+            <div className="text-sm font-medium text-[var(--color-gray)] mb-1">Whole school</div>
+            <DayPeriodsEditor value={form.dayPeriods} fallback={Array.from({ length: form.workingDays }, () => form.periodsPerDay)} max={form.periodsPerDay} onChange={(dayPeriods) => setForm({ ...form, dayPeriods })} />
+            <FieldIssues issues={issuesAt('dayPeriods')} prefix="dayPeriods" />
+          </div>
+          {(form.wings || []).map((w, i) => (
+            <div key={i} className="border rounded-md p-3">
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <input className="w-28 rounded-md border border-gray-300 px-2 py-1" placeholder="ID" value={w.id ?? ''} onChange={(e) => updateWing(i, { id: e.target.value })} />
+                <input className="flex-1 rounded-md border border-gray-300 px-2 py-1" placeholder="Name" value={w.name ?? ''} onChange={(e) => updateWing(i, { name: e.target.value })} />
+                <button type="button" className="text-rose-600 text-sm" onClick={() => removeWing(i)}>Remove wing</button>
+              </div>
+              <DayPeriodsEditor value={w.dayPeriods} fallback={schoolDays} max={form.periodsPerDay} onChange={(dayPeriods) => updateWing(i, { dayPeriods })} />
+              <FieldIssues issues={issuesAt(`wings[${i}]`)} prefix={`wings[${i}]`} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Soft-constraint weights */}
+      <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Scoring Weights</h3>
+          <button type="button" className="text-sm font-medium" onClick={() => setForm({ ...form, weights: { ...DEFAULT_WEIGHTS } })} style={linkStyle}>Reset to defaults</button>
+        </div>
+        <p className="text-sm text-[var(--color-gray)] mb-3">How much the generator cares about each soft rule. Penalized rules are avoided, rewarded ones are sought out.</p>
+        <div className="overflow-x-auto">
+          <WeightsEditor value={form.weights} onChange={(weights) => setForm({ ...form, weights })} />
+        </div>
+        <FieldIssues issues={issuesAt('weights')} prefix="weights" />
+      </div>
+
       {/* Subjects Card */}
       <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-sm">
         <div className="flex items-center justify-between mb-4">
           <h3 className="text-lg font-semibold">Subjects</h3>
           <button type="button" className="text-sm font-medium" onClick={addSubject} style={linkStyle}>+ Add subject</button>
         </div>
+        <FieldIssues issues={issuesOf('subjects')} prefix="subjects" />
 
         <div className="overflow-x-auto">
           <table className="min-w-full text-sm">
@@ -336,14 +790,19 @@ export default function SetupPage() {
                 <th className="px-3 py-2 text-left">ID</th>
                 <th className="px-3 py-2 text-left">Name</th>
                 <th className="px-3 py-2 text-center">Weekly</th>
-                <th className="px-3 py-2 text-center">Lab</th>
-                <th className="px-3 py-2 text-center">Double</th>
+                <th className="px-3 py-2 text-left" title="Resources each lesson books at once; without any it takes a classroom">Resources</th>
+                <th className="px-3 py-2 text-center" title="Double-period blocks per week; the rest of the weekly periods are singles">Doubles</th>
+                <th className="px-3 py-2 text-center" title="Triple-period blocks per week">Triples</th>
+                <th className="px-3 py-2 text-center" title="Most periods of this subject a class may have on one day">Max/day</th>
+                <th className="px-3 py-2 text-center" title="Fewest distinct days the subject should be spread over">Min days</th>
+                <th className="px-3 py-2 text-center" title="Hard: never break the spread rule. Otherwise it only adds a penalty.">Hard</th>
+                <th className="px-3 py-2 text-left" title="Click a period to cycle it through preferred, avoided and forbidden (never used). Preferred and avoided periods only add penalties.">Time of day</th>
                 <th className="px-3 py-2"></th>
               </tr>
             </thead>
             <tbody>
-              {form.subjects.map((s, i) => (
-                <tr key={i} className="border-t">
+              {form.subjects.flatMap((s, i) => [
+                <tr key={i} id={focusAnchor('subject', s.id)} className={`border-t ${isFocused('subject', s.id) ? 'bg-amber-50' : ''}`}>
                   <td className="px-3 py-2">
                     <input className="w-28 rounded-md border border-gray-300 px-2 py-1" value={s.id ?? ''} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, id: e.target.value } : x)) })} />
                   </td>
@@ -353,17 +812,39 @@ export default function SetupPage() {
                   <td className="px-3 py-2 text-center">
                     <input type="number" min={0} className="w-20 rounded-md border border-gray-300 px-2 py-1 text-center" value={s.weeklyPeriods || 0} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, weeklyPeriods: parseInt(e.target.value, 10) || 0 } : x)) })} />
                   </td>
+                  <td className="px-3 py-2">
+                    <ResourceNeedsEditor subject={s} resources={form.resources.filter((r) => r.id)} types={resourceTypes} onChange={(patch) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, ...patch } : x)) })} />
+                  </td>
+                  <td className="px-3 py-2 text-center">
+                    <input type="number" min={0} placeholder={s.doublePeriod ? 'all' : '0'} className="w-16 rounded-md border border-gray-300 px-2 py-1 text-center" value={s.doubleBlocks ?? ''} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, doubleBlocks: optionalInt(e.target.value), doublePeriod: undefined } : x)) })} />
+                  </td>
+                  <td className="px-3 py-2 text-center">
+                    <input type="number" min={0} placeholder="0" className="w-16 rounded-md border border-gray-300 px-2 py-1 text-center" value={s.tripleBlocks ?? ''} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, tripleBlocks: optionalInt(e.target.value) } : x)) })} />
+                  </td>
+                  <td className="px-3 py-2 text-center">
+                    <input type="number" min={0} placeholder="-" className="w-16 rounded-md border border-gray-300 px-2 py-1 text-center" value={s.maxPerDay ?? ''} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, maxPerDay: optionalInt(e.target.value) } : x)) })} />
+                  </td>
                   <td className="px-3 py-2 text-center">
-                    <input type="checkbox" checked={!!s.lab} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, lab: e.target.checked } : x)) })} />
+                    <input type="number" min={0} max={form.workingDays} placeholder="-" className="w-16 rounded-md border border-gray-300 px-2 py-1 text-center" value={s.minDays ?? ''} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, minDays: optionalInt(e.target.value) } : x)) })} />
                   </td>
                   <td className="px-3 py-2 text-center">
-                    <input type="checkbox" checked={!!s.doublePeriod} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, doublePeriod: e.target.checked } : x)) })} />
+                    <input type="checkbox" checked={!!s.spreadHard} onChange={(e) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, spreadHard: e.target.checked } : x)) })} />
+                  </td>
+                  <td className="px-3 py-2">
+                    <PeriodWindowsEditor value={s.periodWindows} periods={form.periodsPerDay} breaks={breakNames} onChange={(w) => setForm({ ...form, subjects: form.subjects.map((x, k) => (k === i ? { ...x, periodWindows: compactWindows(w) } : x)) })} />
                   </td>
                   <td className="px-3 py-2 text-right">
                     <button type="button" className="text-rose-600" onClick={() => removeSubject(i)}>Remove</button>
                   </td>
-                </tr>
-              ))}
+                </tr>,
+                issuesAt(`subjects[${i}]`).length > 0 && (
+                  <tr key={`${i}-issues`}>
+                    <td colSpan={11} className="px-3 pb-2">
+                      <FieldIssues issues={issuesAt(`subjects[${i}]`)} prefix={`subjects[${i}]`} />
+                    </td>
+                  </tr>
+                ),
+              ])}
             </tbody>
           </table>
         </div>
@@ -375,16 +856,33 @@ export default function SetupPage() {
           <h3 className="text-lg font-semibold">Teachers</h3>
           <button type="button" className="text-sm font-medium" onClick={addTeacher} style={linkStyle}>+ Add teacher</button>
         </div>
+        <FieldIssues issues={issuesOf('teachers')} prefix="teachers" />
 
         <div className="space-y-6">
           {form.teachers.map((t, i) => (
-            <div key={i} className="border rounded-md p-4 hover:shadow-sm transition">
+            <div key={i} id={focusAnchor('teacher', t.id)} className={`border rounded-md p-4 hover:shadow-sm transition ${isFocused('teacher', t.id) ? 'ring-2 ring-amber-400' : ''}`}>
+              <FieldIssues issues={issuesAt(`teachers[${i}]`)} prefix={`teachers[${i}]`} />
               <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
                 <input className="rounded-md border border-gray-300 px-3 py-2" placeholder="ID" value={t.id ?? ''} onChange={(e) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, id: e.target.value } : x)) })} />
                 <input className="rounded-md border border-gray-300 px-3 py-2 md:col-span-2" placeholder="Name" value={t.name ?? ''} onChange={(e) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, name: e.target.value } : x)) })} />
                 <input type="number" min={1} className="rounded-md border border-gray-300 px-3 py-2" placeholder="Max Load" value={t.maxLoad ?? ''} onChange={(e) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, maxLoad: parseInt(e.target.value, 10) || 0 } : x)) })} />
               </div>
 
+              <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-3">
+                <label className="text-sm text-[var(--color-gray)]" title="Most periods this teacher may teach on one day">
+                  Max periods / day
+                  <input type="number" min={0} placeholder="No limit" className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" value={t.maxPerDay ?? ''} onChange={(e) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, maxPerDay: optionalInt(e.target.value) } : x)) })} />
+                </label>
+                <label className="text-sm text-[var(--color-gray)]" title="Most periods in a row without a free period; a break ends the run">
+                  Max consecutive
+                  <input type="number" min={0} placeholder="No limit" className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" value={t.maxConsecutive ?? ''} onChange={(e) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, maxConsecutive: optionalInt(e.target.value) } : x)) })} />
+                </label>
+                <label className="text-sm text-[var(--color-gray)]" title="Fewest periods worth coming in for on a day they teach (soft)">
+                  Min periods / day
+                  <input type="number" min={0} placeholder="None" className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" value={t.minPerDay ?? ''} onChange={(e) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, minPerDay: optionalInt(e.target.value) } : x)) })} />
+                </label>
+              </div>
+
               <div className="mt-3">
                 <label className="block text-sm font-medium text-[var(--color-gray)] mb-2">Subjects</label>
                 <div className="flex flex-wrap gap-2">
@@ -414,8 +912,9 @@ export default function SetupPage() {
                 </div>
               </div>
 
-              <div className="mt-4">
-                <AvailabilityGrid label="Availability" value={t.availability} onChange={(v) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, availability: v } : x)) })} />
+              <div className="mt-4 grid grid-cols-1 gap-4 xl:grid-cols-2">
+                <AvailabilityGrid label="Availability" dayPeriods={openDays} weekDays={form.workingDays} weeks={cycleWeeks} value={t.availability} onChange={(v) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, availability: v } : x)) })} />
+                <PreferenceGrid label="Preferences" dayPeriods={openDays} weekDays={form.workingDays} availability={t.availability} value={t.preferences} onChange={(v) => setForm({ ...form, teachers: form.teachers.map((x, k) => (k === i ? { ...x, preferences: v } : x)) })} />
               </div>
 
               <div className="mt-3 text-right">
@@ -432,14 +931,40 @@ export default function SetupPage() {
           <h3 className="text-lg font-semibold">Classes / Sections</h3>
           <button type="button" className="text-sm font-medium" onClick={addClass} style={linkStyle}>+ Add class</button>
         </div>
+        <FieldIssues issues={issuesOf('classes')} prefix="classes" />
 
         <div className="space-y-4">
           {form.classes.map((c, i) => (
-            <div key={i} className="border rounded-md p-4 hover:shadow-sm transition">
+            <div key={i} id={focusAnchor('class', c.id)} className={`border rounded-md p-4 hover:shadow-sm transition ${isFocused('class', c.id) ? 'ring-2 ring-amber-400' : ''}`}>
+              <FieldIssues issues={issuesAt(`classes[${i}]`)} prefix={`classes[${i}]`} />
               <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
                 <input className="rounded-md border border-gray-300 px-3 py-2" placeholder="ID" value={c.id ?? ''} onChange={(e) => setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, id: e.target.value } : x)) })} />
                 <input className="rounded-md border border-gray-300 px-3 py-2 md:col-span-2" placeholder="Name" value={c.name ?? ''} onChange={(e) => setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, name: e.target.value } : x)) })} />
               </div>
+              <div className="mt-3 grid grid-cols-1 gap-3 md:grid-cols-3">
+                <label className="text-sm text-[var(--color-gray)]">
+                  Home room
+                  <select className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" value={c.homeRoom ?? ''} onChange={(e) => setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, homeRoom: e.target.value || undefined } : x)) })}>
+                    <option value="">None</option>
+                    {form.resources.filter((r) => r.type === 'classroom').map((r) => <option key={r.id} value={r.id}>{r.name || r.id}{r.capacity ? ` (${r.capacity} seats)` : ''}</option>)}
+                  </select>
+                </label>
+                <label className="text-sm text-[var(--color-gray)]" title="Students in the class; rooms with fewer seats are never used">
+                  Students
+                  <input type="number" min={0} placeholder="Not set" className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" value={c.strength ?? ''} onChange={(e) => setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, strength: optionalInt(e.target.value) } : x)) })} />
+                </label>
+                <label className="text-sm text-[var(--color-gray)]" title="The class follows its wing's bell schedule">
+                  Wing
+                  <select className="mt-1 w-full rounded-md border border-gray-300 px-3 py-2" value={c.wing ?? ''} onChange={(e) => setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, wing: e.target.value || undefined } : x)) })}>
+                    <option value="">Whole school</option>
+                    {(form.wings || []).filter((w) => w.id).map((w) => <option key={w.id} value={w.id}>{w.name || w.id}</option>)}
+                  </select>
+                </label>
+              </div>
+              <div className="mt-3">
+                <div className="text-sm font-medium text-[var(--color-gray)] mb-1">Periods each day (blank: as the wing or school)</div>
+                <DayPeriodsEditor value={c.dayPeriods} fallback={wingDays(c.wing)} max={form.periodsPerDay} onChange={(dayPeriods) => setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, dayPeriods } : x)) })} />
+              </div>
               <div className="mt-3">
                 <div className="text-sm font-medium text-[var(--color-gray)] mb-2">Subject periods per week</div>
                 <div className="flex flex-wrap gap-2">
@@ -463,6 +988,117 @@ export default function SetupPage() {
                   ))}
                 </div>
               </div>
+              {cycleWeeks > 1 && (
+                <details className="mt-3">
+                  <summary className="text-sm font-medium text-[var(--color-gray)] cursor-pointer">Periods by week of the cycle</summary>
+                  <div className="mt-2 text-xs text-[var(--color-gray)]">Leave blank to use the periods per week above, e.g. 3 in week A and 2 in week B.</div>
+                  <table className="mt-2 text-sm">
+                    <thead>
+                      <tr className="text-[var(--color-gray)]">
+                        <th className="px-2 py-1 text-left font-medium">Subject</th>
+                        {Array.from({ length: cycleWeeks }, (_, w) => <th key={w} className="px-2 py-1 font-medium">Week {weekName(w)}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {form.subjects.filter((s) => c.subjects && s.id in c.subjects).map((s) => {
+                        const list = c.cyclePeriods?.[s.id] || [];
+                        const setWeek = (w, n) => {
+                          const next = Array.from({ length: cycleWeeks }, (_, k) => (k === w ? n : list[k]) ?? null);
+                          const cyclePeriods = { ...(c.cyclePeriods || {}) };
+                          if (next.some((x) => x !== null)) cyclePeriods[s.id] = next;
+                          else delete cyclePeriods[s.id];
+                          setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, cyclePeriods: Object.keys(cyclePeriods).length ? cyclePeriods : undefined } : x)) });
+                        };
+                        return (
+                          <tr key={s.id}>
+                            <td className="px-2 py-1">{s.name}</td>
+                            {Array.from({ length: cycleWeeks }, (_, w) => (
+                              <td key={w} className="px-2 py-1">
+                                <input type="number" min={0} placeholder={c.subjects[s.id] ?? '-'} className="w-16 rounded border border-gray-300 px-1 py-0.5 text-center" value={list[w] ?? ''} onChange={(e) => setWeek(w, optionalInt(e.target.value))} />
+                              </td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </details>
+              )}
+              <details className="mt-3">
+                <summary className="text-sm font-medium text-[var(--color-gray)] cursor-pointer">Spread, block and time-of-day overrides</summary>
+                <div className="mt-2 text-xs text-[var(--color-gray)]">Leave blank to use the subject's own max/day, min days, hard setting, double/triple blocks and time of day (shown faded).</div>
+                <table className="mt-2 text-sm">
+                  <thead>
+                    <tr className="text-[var(--color-gray)]">
+                      <th className="px-2 py-1 text-left font-medium">Subject</th>
+                      <th className="px-2 py-1 font-medium">Max/day</th>
+                      <th className="px-2 py-1 font-medium">Min days</th>
+                      <th className="px-2 py-1 font-medium">Mode</th>
+                      <th className="px-2 py-1 font-medium">Doubles</th>
+                      <th className="px-2 py-1 font-medium">Triples</th>
+                      <th className="px-2 py-1 font-medium">Time of day</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {form.subjects.filter((s) => (c.subjects?.[s.id] || 0) > 0).map((s) => {
+                      const o = c.spread?.[s.id] || {};
+                      const setOverride = (patch) => {
+                        const nextRule = Object.fromEntries(Object.entries({ ...o, ...patch }).filter(([, v]) => v !== undefined));
+                        const spread = { ...(c.spread || {}) };
+                        if (Object.keys(nextRule).length) spread[s.id] = nextRule;
+                        else delete spread[s.id];
+                        setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, spread } : x)) });
+                      };
+                      const setWindows = (w) => {
+                        const periodWindows = { ...(c.periodWindows || {}) };
+                        if (w) periodWindows[s.id] = w;
+                        else delete periodWindows[s.id];
+                        setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, periodWindows: Object.keys(periodWindows).length ? periodWindows : undefined } : x)) });
+                      };
+                      const b = c.blocks?.[s.id] || {};
+                      const setBlocks = (patch) => {
+                        const nextRule = Object.fromEntries(Object.entries({ ...b, ...patch }).filter(([, v]) => v !== undefined));
+                        const blocks = { ...(c.blocks || {}) };
+                        if (Object.keys(nextRule).length) blocks[s.id] = nextRule;
+                        else delete blocks[s.id];
+                        setForm({ ...form, classes: form.classes.map((x, k) => (k === i ? { ...x, blocks } : x)) });
+                      };
+                      return (
+                        <tr key={s.id}>
+                          <td className="px-2 py-1">{s.name}</td>
+                          <td className="px-2 py-1">
+                            <input type="number" min={0} placeholder={s.maxPerDay ?? '-'} className="w-16 rounded border border-gray-300 px-1 py-0.5 text-center" value={o.maxPerDay ?? ''} onChange={(e) => setOverride({ maxPerDay: optionalInt(e.target.value) })} />
+                          </td>
+                          <td className="px-2 py-1">
+                            <input type="number" min={0} max={form.workingDays} placeholder={s.minDays ?? '-'} className="w-16 rounded border border-gray-300 px-1 py-0.5 text-center" value={o.minDays ?? ''} onChange={(e) => setOverride({ minDays: optionalInt(e.target.value) })} />
+                          </td>
+                          <td className="px-2 py-1">
+                            <select className="rounded border border-gray-300 px-1 py-0.5" value={o.hard === undefined ? '' : o.hard ? 'hard' : 'soft'} onChange={(e) => setOverride({ hard: e.target.value === '' ? undefined : e.target.value === 'hard' })}>
+                              <option value="">Subject default</option>
+                              <option value="hard">Hard</option>
+                              <option value="soft">Soft</option>
+                            </select>
+                          </td>
+                          <td className="px-2 py-1">
+                            <input type="number" min={0} placeholder={s.doubleBlocks ?? (s.doublePeriod ? 'all' : '0')} className="w-16 rounded border border-gray-300 px-1 py-0.5 text-center" value={b.double ?? ''} onChange={(e) => setBlocks({ double: optionalInt(e.target.value) })} />
+                          </td>
+                          <td className="px-2 py-1">
+                            <input type="number" min={0} placeholder={s.tripleBlocks ?? '0'} className="w-16 rounded border border-gray-300 px-1 py-0.5 text-center" value={b.triple ?? ''} onChange={(e) => setBlocks({ triple: optionalInt(e.target.value) })} />
+                          </td>
+                          <td className="px-2 py-1">
+                            <div className="flex items-center gap-1">
+                              <PeriodWindowsEditor value={c.periodWindows?.[s.id]} fallback={s.periodWindows} periods={form.periodsPerDay} breaks={breakNames} onChange={setWindows} />
+                              {c.periodWindows?.[s.id] && (
+                                <button type="button" className="text-xs text-rose-600" title="Use the subject's time of day" onClick={() => setWindows(undefined)}>×</button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </details>
               <div className="mt-3 text-right">
                 <button type="button" className="text-rose-600" onClick={() => removeClass(i)}>Remove class</button>
               </div>
@@ -474,24 +1110,27 @@ export default function SetupPage() {
       {/* Resources */}
       <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-sm">
         <div className="flex items-center justify-between mb-4">
-          <h3 className="text-lg font-semibold">Resources (Labs, Computer Labs)</h3>
+          <h3 className="text-lg font-semibold">Resources (Classrooms, Labs, Staff and Equipment)</h3>
           <button type="button" className="text-sm font-medium" onClick={addResource} style={linkStyle}>+ Add resource</button>
         </div>
+        <FieldIssues issues={issuesOf('resources')} prefix="resources" />
+        <datalist id="resource-types">
+          {resourceTypes.map((t) => <option key={t} value={t} />)}
+        </datalist>
 
         <div className="space-y-6">
           {form.resources.map((r, i) => (
-            <div key={i} className="border rounded-md p-4 hover:shadow-sm transition">
-              <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
+            <div key={i} id={focusAnchor('resource', r.id)} className={`border rounded-md p-4 hover:shadow-sm transition ${isFocused('resource', r.id) ? 'ring-2 ring-amber-400' : ''}`}>
+              <FieldIssues issues={issuesAt(`resources[${i}]`)} prefix={`resources[${i}]`} />
+              <div className="grid grid-cols-1 gap-3 md:grid-cols-5">
                 <input className="rounded-md border border-gray-300 px-3 py-2" placeholder="ID" value={r.id ?? ''} onChange={(e) => setForm({ ...form, resources: form.resources.map((x, k) => (k === i ? { ...x, id: e.target.value } : x)) })} />
                 <input className="rounded-md border border-gray-300 px-3 py-2 md:col-span-2" placeholder="Name" value={r.name ?? ''} onChange={(e) => setForm({ ...form, resources: form.resources.map((x, k) => (k === i ? { ...x, name: e.target.value } : x)) })} />
-                <select className="rounded-md border border-gray-300 px-3 py-2" value={r.type ?? 'lab'} onChange={(e) => setForm({ ...form, resources: form.resources.map((x, k) => (k === i ? { ...x, type: e.target.value } : x)) })}>
-                  <option value="lab">Lab</option>
-                  <option value="computer_lab">Computer Lab</option>
-                </select>
+                <input className="rounded-md border border-gray-300 px-3 py-2" list="resource-types" placeholder="Type" title="classroom, lab, computer_lab or your own, e.g. chemistry_lab, gym, lab_assistant" value={r.type ?? ''} onChange={(e) => setForm({ ...form, resources: form.resources.map((x, k) => (k === i ? { ...x, type: e.target.value } : x)) })} />
+                <input type="number" min={1} className="rounded-md border border-gray-300 px-3 py-2" placeholder="Seats" title="Seating capacity; leave blank for no limit" value={r.capacity ?? ''} onChange={(e) => setForm({ ...form, resources: form.resources.map((x, k) => (k === i ? { ...x, capacity: optionalInt(e.target.value) || undefined } : x)) })} />
               </div>
 
               <div className="mt-3">
-                <AvailabilityGrid label="Availability" value={r.availability} onChange={(v) => setForm({ ...form, resources: form.resources.map((x, k) => (k === i ? { ...x, availability: v } : x)) })} />
+                <AvailabilityGrid label="Availability" dayPeriods={openDays} weekDays={form.workingDays} weeks={cycleWeeks} value={r.availability} onChange={(v) => setForm({ ...form, resources: form.resources.map((x, k) => (k === i ? { ...x, availability: v } : x)) })} />
               </div>
 
               <div className="mt-3 text-right">
@@ -501,6 +1140,283 @@ export default function SetupPage() {
           ))}
         </div>
       </div>
+
+      {/* Teaching allocation */}
+      <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Teaching Allocation</h3>
+          <label className="inline-flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={form.teacherContinuity !== false}
+              onChange={(e) => setForm({ ...form, teacherContinuity: e.target.checked ? undefined : false })}
+            />
+            Keep one teacher per class and subject
+          </label>
+        </div>
+        <p className="text-sm text-[var(--color-gray)] mb-3">
+          Who teaches each subject to each class. Left on Auto, the generator picks one qualified teacher and keeps them for every lesson.
+          Split a subject by giving teachers a period count; one teacher may leave it blank to take the rest.
+        </p>
+        <FieldIssues issues={issuesAt('allocations')} />
+        {form.teacherContinuity !== false && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="bg-[var(--color-secondary)]">
+                  <th className="px-3 py-2 text-left">Class</th>
+                  <th className="px-3 py-2 text-left">Subject</th>
+                  <th className="px-3 py-2 text-center">Weekly</th>
+                  <th className="px-3 py-2 text-left">Teachers</th>
+                </tr>
+              </thead>
+              <tbody>
+                {form.classes.flatMap((c) => Object.entries(c.subjects || {}).map(([sid, count]) => {
+                  const rows = allocationsFor(c.id, sid);
+                  const qualified = form.teachers.filter((t) => (t.subjects || []).includes(sid));
+                  const unused = qualified.filter((t) => !rows.some((r) => r.teacherId === t.id));
+                  const update = (idx, patch) => setAllocationsFor(c.id, sid, rows.map((r, k) => (k === idx ? { ...r, ...patch } : r)));
+                  return (
+                    <tr key={`${c.id}-${sid}`} className="border-t align-top">
+                      <td className="px-3 py-2">{c.name || c.id}</td>
+                      <td className="px-3 py-2">{form.subjects.find((s) => s.id === sid)?.name || sid}</td>
+                      <td className="px-3 py-2 text-center">{count}</td>
+                      <td className="px-3 py-2">
+                        {rows.length === 0 ? (
+                          <select
+                            className="rounded-md border border-gray-300 px-2 py-1"
+                            value=""
+                            onChange={(e) => e.target.value && setAllocationsFor(c.id, sid, [{ teacherId: e.target.value }])}
+                          >
+                            <option value="">Auto</option>
+                            {qualified.map((t) => <option key={t.id} value={t.id}>{t.name || t.id}</option>)}
+                          </select>
+                        ) : (
+                          <div className="space-y-1">
+                            {rows.map((r, k) => (
+                              <div key={k} className="flex items-center gap-2">
+                                <select className="rounded-md border border-gray-300 px-2 py-1" value={r.teacherId} onChange={(e) => update(k, { teacherId: e.target.value })}>
+                                  {qualified.filter((t) => t.id === r.teacherId || unused.includes(t)).map((t) => <option key={t.id} value={t.id}>{t.name || t.id}</option>)}
+                                </select>
+                                <input
+                                  type="number"
+                                  min={1}
+                                  className="w-20 rounded-md border border-gray-300 px-2 py-1 text-center"
+                                  placeholder="rest"
+                                  value={r.periods ?? ''}
+                                  onChange={(e) => update(k, { periods: optionalInt(e.target.value) })}
+                                />
+                                <button
+                                  type="button"
+                                  onClick={() => setAllocationsFor(c.id, sid, rows.filter((_, i) => i !== k))}
+                                  className="text-[var(--color-black)] px-2 py-1 rounded-md hover:bg-[var(--color-secondary)]"
+                                  aria-label="Remove teacher"
+                                >
+                                  ✕
+                                </button>
+                              </div>
+                            ))}
+                            {unused.length > 0 && (
+                              <button
+                                type="button"
+                                className="text-sm font-medium"
+                                style={linkStyle}
+                                onClick={() => setAllocationsFor(c.id, sid, [...rows, { teacherId: unused[0].id }])}
+                              >
+                                + Split with another teacher
+                              </button>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                }))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Lesson groups */}
+      <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Lesson Groups</h3>
+          <button type="button" className="text-sm font-medium" onClick={addLessonGroup} style={linkStyle}>+ Add lesson group</button>
+        </div>
+        <p className="text-sm text-[var(--color-gray)] mb-3">Option blocks shared by several classes: every lesson of the group runs at the same time, each with its own teacher and room. Periods are per week, on top of each class's own subjects.</p>
+        <FieldIssues issues={issuesOf('lessonGroups')} prefix="lessonGroups" />
+        <div className="space-y-4">
+          {(form.lessonGroups || []).map((g, i) => {
+            const setLesson = (k, patch) => updateLessonGroup(i, { lessons: g.lessons.map((l, j) => (j === k ? { ...l, ...patch } : l)) });
+            return (
+              <div key={i} id={focusAnchor('lessonGroup', g.id)} className={`rounded-lg border border-gray-100 p-4 ${isFocused('lessonGroup', g.id) ? 'ring-2 ring-amber-400' : ''}`}>
+                <FieldIssues issues={issuesAt(`lessonGroups[${i}]`)} prefix={`lessonGroups[${i}]`} />
+                <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--color-gray)] mb-1">ID</label>
+                    <input className="w-full rounded-md border border-gray-300 px-2 py-1" value={g.id ?? ''} onChange={(e) => updateLessonGroup(i, { id: e.target.value })} />
+                  </div>
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-[var(--color-gray)] mb-1">Name</label>
+                    <input className="w-full rounded-md border border-gray-300 px-2 py-1" value={g.name ?? ''} onChange={(e) => updateLessonGroup(i, { name: e.target.value })} />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-[var(--color-gray)] mb-1">Periods / week</label>
+                    <input type="number" min={1} className="w-20 rounded-md border border-gray-300 px-2 py-1 text-center" value={g.periods ?? 1} onChange={(e) => updateLessonGroup(i, { periods: parseInt(e.target.value, 10) || 1 })} />
+                  </div>
+                </div>
+                <div className="mt-3">
+                  <div className="text-sm font-medium text-[var(--color-gray)] mb-1">Classes</div>
+                  <div className="flex flex-wrap gap-2">
+                    {form.classes.map((c) => (
+                      <label key={c.id} className="inline-flex items-center gap-1 text-sm">
+                        <input
+                          type="checkbox"
+                          checked={(g.classIds || []).includes(c.id)}
+                          onChange={(e) => updateLessonGroup(i, { classIds: e.target.checked ? [...(g.classIds || []), c.id] : (g.classIds || []).filter((id) => id !== c.id) })}
+                        />
+                        {c.name || c.id}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <table className="mt-3 text-sm">
+                  <thead>
+                    <tr className="text-[var(--color-gray)]">
+                      <th className="px-2 py-1 text-left font-medium">Subject</th>
+                      <th className="px-2 py-1 text-left font-medium">Teacher</th>
+                      <th className="px-2 py-1 text-left font-medium">Resource</th>
+                      <th className="px-2 py-1"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {(g.lessons || []).map((l, k) => (
+                      <tr key={k}>
+                        <td className="px-2 py-1">
+                          <select className="rounded border border-gray-300 px-1 py-0.5" value={l.subjectId ?? ''} onChange={(e) => setLesson(k, { subjectId: e.target.value })}>
+                            <option value="">Select…</option>
+                            {form.subjects.map((s) => <option key={s.id} value={s.id}>{s.name || s.id}</option>)}
+                          </select>
+                        </td>
+                        <td className="px-2 py-1">
+                          <select className="rounded border border-gray-300 px-1 py-0.5" value={l.teacherId ?? ''} onChange={(e) => setLesson(k, { teacherId: e.target.value })}>
+                            <option value="">Select…</option>
+                            {form.teachers.filter((t) => !l.subjectId || (t.subjects || []).includes(l.subjectId)).map((t) => <option key={t.id} value={t.id}>{t.name || t.id}</option>)}
+                          </select>
+                        </td>
+                        <td className="px-2 py-1">
+                          <select className="rounded border border-gray-300 px-1 py-0.5" value={l.resourceId ?? ''} onChange={(e) => setLesson(k, { resourceId: e.target.value || undefined })}>
+                            <option value="">Auto / none</option>
+                            {form.resources.map((r) => <option key={r.id} value={r.id}>{r.name || r.id}</option>)}
+                          </select>
+                        </td>
+                        <td className="px-2 py-1">
+                          <button type="button" className="text-rose-600" title="Remove lesson" onClick={() => updateLessonGroup(i, { lessons: g.lessons.filter((_, j) => j !== k) })}>✕</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="mt-2 flex items-center justify-between">
+                  <button type="button" className="text-sm" style={linkStyle} onClick={() => updateLessonGroup(i, { lessons: [...(g.lessons || []), { subjectId: '', teacherId: '' }] })}>+ Add parallel lesson</button>
+                  <button type="button" className="text-rose-600" onClick={() => removeLessonGroup(i)}>Remove group</button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Fixed lessons */}
+      <div className="rounded-xl border border-gray-200 bg-white p-5 shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Fixed Lessons</h3>
+          <button type="button" className="text-sm font-medium" onClick={addFixedLesson} style={linkStyle}>+ Add fixed lesson</button>
+        </div>
+        <p className="text-sm text-[var(--color-gray)] mb-3">Lessons that must happen at a set time. They are placed first, count toward the class's weekly periods and are never moved.</p>
+        <FieldIssues issues={issuesAt('fixedLessons')} />
+        {(form.fixedLessons || []).length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="bg-[var(--color-secondary)]">
+                  <th className="px-3 py-2 text-left">Class</th>
+                  {cycleWeeks > 1 && <th className="px-3 py-2 text-left">Week</th>}
+                  <th className="px-3 py-2 text-left">Day</th>
+                  <th className="px-3 py-2 text-center">Period</th>
+                  <th className="px-3 py-2 text-center" title="Periods the lesson runs for, starting at Period">Length</th>
+                  <th className="px-3 py-2 text-left">Subject</th>
+                  <th className="px-3 py-2 text-left">Teacher</th>
+                  <th className="px-3 py-2 text-left">Resource</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {form.fixedLessons.map((f, i) => {
+                  const cls = form.classes.find((c) => c.id === f.classId);
+                  const classSubjects = form.subjects.filter((s) => cls?.subjects && s.id in cls.subjects);
+                  const qualified = form.teachers.filter((t) => !f.subjectId || (t.subjects || []).includes(f.subjectId));
+                  return (
+                    <tr key={i} className="border-t">
+                      <td className="px-3 py-2">
+                        <select className="rounded-md border border-gray-300 px-2 py-1" value={f.classId ?? ''} onChange={(e) => updateFixedLesson(i, { classId: e.target.value })}>
+                          <option value="">Select…</option>
+                          {form.classes.map((c) => <option key={c.id} value={c.id}>{c.name || c.id}</option>)}
+                        </select>
+                      </td>
+                      {cycleWeeks > 1 && (
+                        <td className="px-3 py-2">
+                          <select className="rounded-md border border-gray-300 px-2 py-1" value={f.week ?? ''} onChange={(e) => updateFixedLesson(i, { week: e.target.value ? parseInt(e.target.value, 10) : undefined })}>
+                            <option value="">Every week</option>
+                            {Array.from({ length: cycleWeeks }, (_, w) => <option key={w} value={w + 1}>Week {weekName(w)}</option>)}
+                          </select>
+                        </td>
+                      )}
+                      <td className="px-3 py-2">
+                        <select className="rounded-md border border-gray-300 px-2 py-1" value={f.day ?? 1} onChange={(e) => updateFixedLesson(i, { day: parseInt(e.target.value, 10) })}>
+                          {['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].slice(0, form.workingDays).map((name, d) => <option key={d} value={d + 1}>{name}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2 text-center">
+                        <input type="number" min={1} max={form.periodsPerDay} className="w-16 rounded-md border border-gray-300 px-2 py-1 text-center" value={f.period ?? 1} onChange={(e) => updateFixedLesson(i, { period: parseInt(e.target.value, 10) || 1 })} />
+                      </td>
+                      <td className="px-3 py-2 text-center">
+                        <select className="rounded-md border border-gray-300 px-2 py-1" value={f.span ?? 1} onChange={(e) => updateFixedLesson(i, { span: e.target.value === '1' ? undefined : parseInt(e.target.value, 10) })}>
+                          <option value={1}>Single</option>
+                          <option value={2}>Double</option>
+                          <option value={3}>Triple</option>
+                        </select>
+                      </td>
+                      <td className="px-3 py-2">
+                        <select className="rounded-md border border-gray-300 px-2 py-1" value={f.subjectId ?? ''} onChange={(e) => updateFixedLesson(i, { subjectId: e.target.value })}>
+                          <option value="">Select…</option>
+                          {classSubjects.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2">
+                        <select className="rounded-md border border-gray-300 px-2 py-1" value={f.teacherId ?? ''} onChange={(e) => updateFixedLesson(i, { teacherId: e.target.value })}>
+                          <option value="">Select…</option>
+                          {qualified.map((t) => <option key={t.id} value={t.id}>{t.name || t.id}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2">
+                        <select className="rounded-md border border-gray-300 px-2 py-1" value={f.resourceId ?? ''} onChange={(e) => updateFixedLesson(i, { resourceId: e.target.value || undefined })}>
+                          <option value="">Auto / none</option>
+                          {form.resources.map((r) => <option key={r.id} value={r.id}>{r.name || r.id}</option>)}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <button type="button" className="text-rose-600" onClick={() => removeFixedLesson(i)}>Remove</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </section>
   );
 }
@@ -1,6 +1,8 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useState } from 'react';
 import { listTimetables, loadSchoolData } from '../lib/store';
 import { generateCSVRowsForView, downloadCSV } from '../lib/exporter';
+import { validateTimetable } from '../lib/validator';
+import { cellLessons, getBreakPeriods, getClassDayPeriods, getCycleWeeks, getOpenDayPeriods, lessonResourceIds, timetableWeek, weekName } from '../lib/schedule';
 
 /**
  * TimetablesPage (theme-styled)
@@ -15,6 +17,7 @@ import { generateCSVRowsForView, downloadCSV } from '../lib/exporter';
  * Functional notes:
  * - listTimetables() provides the saved items (id, name, savedAt, data)
  * - generateCSVRowsForView and downloadCSV used to export current view
+ * - A multi-week cycle (schoolData.cycleWeeks) shows one week at a time; exports hold every week
  */
 
 export default function TimetablesPage() {
@@ -27,6 +30,7 @@ export default function TimetablesPage() {
   const [selectedTeacherId, setSelectedTeacherId] = useState('');
   const [selectedClassId, setSelectedClassId] = useState('');
   const [selectedRoomId, setSelectedRoomId] = useState('');
+  const [week, setWeek] = useState(0);
 
   useEffect(() => {
     setItems(listTimetables());
@@ -50,6 +54,8 @@ export default function TimetablesPage() {
   const days = schoolData?.workingDays || 5;
   const periods = schoolData?.periodsPerDay || 6;
   const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].slice(0, days);
+  const weeks = getCycleWeeks(schoolData);
+  const breakPeriods = useMemo(() => getBreakPeriods(schoolData), [schoolData]);
 
   const subjectsById = useMemo(() => {
     const m = new Map();
@@ -106,41 +112,64 @@ export default function TimetablesPage() {
     setViewType('class');
   };
 
-  const cellLabel = (entry) => {
+  // A lesson group's classes, e.g. "11A + 11B"
+  const groupClasses = useCallback((entry) => entry.classIds.map((id) => classesById.get(id)?.name || id).join(' + '), [classesById]);
+  // Every resource a lesson books, e.g. "Chem Lab + Lab Assistant"
+  const resourceNames = useCallback((lesson) => lessonResourceIds(lesson).map((id) => roomsById.get(id)?.name || id).join(' + '), [roomsById]);
+
+  const cellLabel = useCallback((entry) => {
     if (!entry || entry.unassigned) return '—';
+    if (entry.groupId) {
+      return cellLessons(entry)
+        .map((l) => {
+          const t = teachersById.get(l.teacherId);
+          const room = l.resourceId ? ` @ ${resourceNames(l)}` : '';
+          return `${subjectsById.get(l.subjectId)?.name || l.subjectId}${t?.name ? ` (${t.name.split(/\s+/)[0]})` : ''}${room}`;
+        })
+        .join('\n');
+    }
     const subj = entry.subjectId ? subjectsById.get(entry.subjectId) : null;
     const t = entry.teacherId ? teachersById.get(entry.teacherId) : null;
     const subjText = subj?.name || entry.subjectId || '';
     const teacherText = t?.name ? t.name.split(/\s+/)[0] : '';
-    return teacherText ? `${subjText}\n${teacherText}` : subjText;
-  };
+    const roomText = resourceNames(entry);
+    return [subjText, teacherText, roomText].filter(Boolean).join('\n');
+  }, [subjectsById, teachersById, resourceNames]);
+
+  // Periods on each day in the chosen view: the class's own bell schedule, else every period some class has
+  const viewDayPeriods = useMemo(() => {
+    if (!schoolData) return null;
+    const cls = viewType === 'class' ? classesById.get(selectedClassId) : null;
+    return cls ? getClassDayPeriods(schoolData, cls) : getOpenDayPeriods(schoolData);
+  }, [schoolData, viewType, selectedClassId, classesById]);
 
-  // Build grid for chosen view
+  // Build grid for chosen view and week; null marks a period the day does not have
   const grid = useMemo(() => {
     if (!selected?.data || !schoolData) return null;
+    const data = weeks > 1 ? timetableWeek(selected.data, Math.min(week, weeks - 1), days) : selected.data;
 
-    const g = Array.from({ length: days }, () => Array.from({ length: periods }, () => '—'));
+    const g = Array.from({ length: days }, (_, d) => Array.from({ length: periods }, (_, p) => (p < (viewDayPeriods?.[d] ?? periods) ? '—' : null)));
 
     if (viewType === 'class' && selectedClassId) {
       // Resolve class key: it might be the class id in saved data, or we try to map by class name
       let key = selectedClassId;
-      let classGrid = selected.data[key];
+      let classGrid = data[key];
       if (!classGrid) {
         // Try to find by matching class name
         const targetName = classesById.get(selectedClassId)?.name;
         if (targetName) {
-          const matchKey = Object.keys(selected.data).find((k) => (classesById.get(k)?.name === targetName) || k === targetName);
+          const matchKey = Object.keys(data).find((k) => (classesById.get(k)?.name === targetName) || k === targetName);
           if (matchKey) {
             key = matchKey;
-            classGrid = selected.data[matchKey];
+            classGrid = data[matchKey];
           }
         }
       }
       if (!classGrid) {
         // Fallback to first available
-        const firstKey = Object.keys(selected.data)[0];
+        const firstKey = Object.keys(data)[0];
         key = firstKey;
-        classGrid = selected.data[firstKey];
+        classGrid = data[firstKey];
       }
       // Keep UI selection in sync if remapped
       if (key !== selectedClassId) {
@@ -149,7 +178,9 @@ export default function TimetablesPage() {
       if (!classGrid) return g;
       for (let d = 0; d < days; d++) {
         for (let p = 0; p < periods; p++) {
-          g[d][p] = cellLabel(classGrid[d][p]);
+          // A lesson past the end of the day is still shown, so its violation can be seen
+          const label = cellLabel(classGrid[d]?.[p]);
+          if (g[d][p] !== null || label !== '—') g[d][p] = label;
         }
       }
       return g;
@@ -159,18 +190,20 @@ export default function TimetablesPage() {
       for (let d = 0; d < days; d++) {
         for (let p = 0; p < periods; p++) {
           let cell = '—';
-          for (const [classId, classGrid] of Object.entries(selected.data)) {
-            const entry = classGrid[d][p];
-            if (entry && !entry.unassigned && entry.teacherId === selectedTeacherId) {
+          for (const [classId, classGrid] of Object.entries(data)) {
+            const entry = classGrid[d]?.[p];
+            const lesson = cellLessons(entry).find((l) => l.teacherId === selectedTeacherId);
+            if (lesson) {
               const cls = classesById.get(classId);
-              const subj = entry.subjectId ? subjectsById.get(entry.subjectId) : null;
-              const clsName = cls?.name || classId;
-              const subjName = subj?.name || entry.subjectId || '';
-              cell = `${clsName}\n${subjName}`;
+              const subj = lesson.subjectId ? subjectsById.get(lesson.subjectId) : null;
+              const clsName = entry.groupId ? groupClasses(entry) : cls?.name || classId;
+              const subjName = subj?.name || lesson.subjectId || '';
+              const roomName = resourceNames(lesson);
+              cell = roomName ? `${clsName}\n${subjName}\n${roomName}` : `${clsName}\n${subjName}`;
               break;
             }
           }
-          g[d][p] = cell;
+          if (g[d][p] !== null || cell !== '—') g[d][p] = cell;
         }
       }
       return g;
@@ -180,27 +213,51 @@ export default function TimetablesPage() {
       for (let d = 0; d < days; d++) {
         for (let p = 0; p < periods; p++) {
           let cell = '—';
-          for (const [classId, classGrid] of Object.entries(selected.data)) {
-            const entry = classGrid[d][p];
-            if (entry && !entry.unassigned && entry.resourceId === selectedRoomId) {
+          for (const [classId, classGrid] of Object.entries(data)) {
+            const entry = classGrid[d]?.[p];
+            const lesson = cellLessons(entry).find((l) => lessonResourceIds(l).includes(selectedRoomId));
+            if (lesson) {
               const cls = classesById.get(classId);
-              const subj = entry.subjectId ? subjectsById.get(entry.subjectId) : null;
-              const t = entry.teacherId ? teachersById.get(entry.teacherId) : null;
-              const clsName = cls?.name || classId;
-              const subjName = subj?.name || entry.subjectId || '';
+              const subj = lesson.subjectId ? subjectsById.get(lesson.subjectId) : null;
+              const t = lesson.teacherId ? teachersById.get(lesson.teacherId) : null;
+              const clsName = entry.groupId ? groupClasses(entry) : cls?.name || classId;
+              const subjName = subj?.name || lesson.subjectId || '';
               const tName = t?.name ? t.name.split(/\s+/)[0] : '';
               cell = tName ? `${clsName}\n${subjName} (${tName})` : `${clsName}\n${subjName}`;
               break;
             }
           }
-          g[d][p] = cell;
+          if (g[d][p] !== null || cell !== '—') g[d][p] = cell;
         }
       }
       return g;
     }
 
     return g;
-  }, [selected, schoolData, viewType, selectedClassId, selectedTeacherId, selectedRoomId, days, periods, subjectsById, classesById, teachersById]);
+  }, [selected, schoolData, viewType, selectedClassId, selectedTeacherId, selectedRoomId, days, periods, weeks, week, viewDayPeriods, subjectsById, classesById, teachersById, cellLabel, groupClasses, resourceNames]);
+
+  // Hard-constraint violations of the saved timetable against the current school data
+  const timetableCheck = useMemo(() => (selected?.data && schoolData ? validateTimetable(selected.data, schoolData) : null), [selected, schoolData]);
+  const violationDay = (d) => `${dayNames[d % days] || `D${(d % days) + 1}`}${weeks > 1 ? ` ${weekName(Math.floor(d / days))}` : ''}`;
+
+  // Messages of the offending cells shown in the chosen view and week, as [day][period] lists
+  const problems = useMemo(() => {
+    const out = Array.from({ length: days }, () => Array.from({ length: periods }, () => null));
+    if (!timetableCheck || timetableCheck.valid) return out;
+    const shownWeek = Math.min(week, weeks - 1);
+    for (const v of timetableCheck.violations) {
+      if (v.day === null || Math.floor(v.day / days) !== shownWeek) continue;
+      const entry = selected.data[v.classId]?.[v.day]?.[v.period];
+      let shown = false;
+      if (viewType === 'class') shown = v.classId === selectedClassId || !!entry?.classIds?.includes(selectedClassId);
+      else if (viewType === 'teacher') shown = cellLessons(entry).some((l) => l.teacherId === selectedTeacherId);
+      else if (viewType === 'room') shown = cellLessons(entry).some((l) => lessonResourceIds(l).includes(selectedRoomId));
+      if (!shown || !out[v.day % days] || v.period >= periods) continue;
+      const cell = out[v.day % days];
+      cell[v.period] = [...(cell[v.period] || []), v.message];
+    }
+    return out;
+  }, [timetableCheck, selected, viewType, selectedClassId, selectedTeacherId, selectedRoomId, days, periods, weeks, week]);
 
   const exportCurrentView = () => {
     if (!selected?.data) {
@@ -211,7 +268,7 @@ export default function TimetablesPage() {
     if (viewType === 'class') id = selectedClassId;
     if (viewType === 'teacher') id = selectedTeacherId;
     if (viewType === 'room') id = selectedRoomId;
-    const rows = generateCSVRowsForView(selected.data, viewType, id, { days, periods, dayNames });
+    const rows = generateCSVRowsForView(selected.data, viewType, id, { days, periods, dayNames, dayPeriods: viewDayPeriods, weeks });
     const name = `${selected.name || 'timetable'}_${viewType}_${id || 'all'}.csv`;
     downloadCSV(name, rows);
   };
@@ -319,6 +376,20 @@ export default function TimetablesPage() {
                     </button>
                   </div>
 
+                  {weeks > 1 && (
+                    <div className="inline-flex rounded-md bg-[var(--color-secondary)] p-1" aria-label="Week of the cycle">
+                      {Array.from({ length: weeks }, (_, w) => (
+                        <button
+                          key={w}
+                          onClick={() => setWeek(w)}
+                          className={`px-3 py-2 text-sm rounded-md transition ${Math.min(week, weeks - 1) === w ? 'bg-[var(--color-primary)] text-[var(--color-white)]' : 'text-[var(--color-black)]'}`}
+                        >
+                          Week {weekName(w)}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
                   <button
                     onClick={exportCurrentView}
                     style={{ background: 'var(--color-tertiary)', color: 'var(--color-black)' }}
@@ -383,6 +454,20 @@ export default function TimetablesPage() {
                 )}
               </div>
 
+              {timetableCheck && !timetableCheck.valid && (
+                <div className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm">
+                  <div className="font-medium text-rose-800">Hard-constraint violations ({timetableCheck.violations.length})</div>
+                  <ul className="mt-1 space-y-0.5 text-xs text-[var(--color-black)]">
+                    {timetableCheck.violations.map((v, i) => (
+                      <li key={i}>
+                        {v.day !== null && <span className="mr-2 font-medium">{classesById.get(v.classId)?.name || v.classId} {violationDay(v.day)} P{v.period + 1}</span>}
+                        {v.message}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
               {/* Grid */}
               <div className="rounded-xl border border-gray-200 bg-white overflow-x-auto">
                 {grid ? (
@@ -391,7 +476,7 @@ export default function TimetablesPage() {
                       <tr className="bg-[var(--color-secondary)]">
                         <th className="px-4 py-3 text-left font-medium text-[var(--color-gray)]">Day</th>
                         {Array.from({ length: periods }).map((_, i) => (
-                          <th key={i} className="px-4 py-3 text-center font-medium text-[var(--color-gray)]">{i + 1}</th>
+                          <th key={i} className="px-4 py-3 text-center font-medium text-[var(--color-gray)]">{breakPeriods.get(i) || i + 1}</th>
                         ))}
                       </tr>
                     </thead>
@@ -399,7 +484,17 @@ export default function TimetablesPage() {
                       {grid.map((row, d) => (
                         <tr key={d} className="border-t border-gray-100 align-top">
                           <td className="px-4 py-3 font-medium text-[var(--color-black)]">{dayNames[d] || `D${d + 1}`}</td>
-                          {row.map((text, p) => (
+                          {row.map((text, p) => text === null ? (
+                            <td key={p} className="bg-gray-50" style={{ minWidth: 80 }} title="No such period on this day" />
+                          ) : problems[d]?.[p] ? (
+                            <td key={p} className="px-3 py-3 text-center whitespace-pre-line" style={{ minWidth: 140 }} title={problems[d][p].join('\n')}>
+                              <div className="mx-auto max-w-[14rem] rounded-md border-2 border-rose-500 bg-rose-50 p-1 text-sm text-rose-800">{text}</div>
+                            </td>
+                          ) : breakPeriods.has(p) ? (
+                            <td key={p} className="px-3 py-3 text-center bg-gray-50 text-xs text-[var(--color-gray)]" style={{ minWidth: 80 }}>
+                              {breakPeriods.get(p)}
+                            </td>
+                          ) : (
                             <td key={p} className="px-3 py-3 text-center whitespace-pre-line text-[var(--color-black)]" style={{ minWidth: 140 }}>
                               <div className="mx-auto max-w-[14rem]">
                                 {text === '—' ? (